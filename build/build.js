@@ -0,0 +1,505 @@
+/**
+ * Static site build
+ * Renders src/pages/*.html through a layout and shared partials into the
+ * HTML files at the project root. Page front matter supplies the title,
+ * description, Open Graph/Twitter overrides, extra scripts and structured
+ * data; src/site.json supplies everything shared between pages, and the
+ * lists in src/data/ (testimonials, events, case studies, media) are available to
+ * every page as `data`.
+ *
+ * Pages are also built for every other locale in src/site.json that has a
+ * translation in src/pages/<locale>/ (es/about.html from src/pages/es/about.html),
+ * and sitemap.xml lists every page with its translations. Each locale also
+ * gets a search-index.json for the site search (see build/lib/search-index.js).
+ *
+ * Markdown posts in src/posts/ become the blog in blog/ (articles, tag pages,
+ * archive, RSS and Atom feeds) through the templates in src/blog/; see
+ * build/lib/blog.js.
+ *
+ * With `app` in src/site.json the build also writes the web app manifest and
+ * the service worker (sw.js) that caches the site for offline visits; see
+ * build/lib/pwa.js. Pages with `noindex: true` in their front matter (the
+ * offline page) are left out of the sitemap and the search.
+ *
+ * Images of the photos resized by build/images.js become <picture> elements
+ * offering their AVIF, WebP and resized variants (see build/lib/images.js).
+ *
+ * Usage: node build/build.js          write the pages
+ *        node build/build.js --check  exit with 1 if a generated file is out of date
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { loadPosts, getBlog, getBlogPages, fillPlaceholders } = require('./lib/blog');
+const { loadContent } = require('./lib/content');
+const { buildRss, buildAtom } = require('./lib/feeds');
+const { parseFrontMatter } = require('./lib/front-matter');
+const { loadLocales } = require('./lib/i18n');
+const { getConfig: getImageConfig, transformImages } = require('./lib/images');
+const { indexPage, indexContent, buildSearchIndex } = require('./lib/search-index');
+const { buildManifest, buildServiceWorker } = require('./lib/pwa');
+const { buildSitemap } = require('./lib/sitemap');
+const { buildStructuredData } = require('./lib/structured-data');
+const { render } = require('./lib/template');
+
+const rootDir = path.resolve(__dirname, '..');
+const srcDir = path.join(rootDir, 'src');
+const dataDir = path.join(srcDir, 'data');
+const i18nDir = path.join(srcDir, 'i18n');
+const pagesDir = path.join(srcDir, 'pages');
+const postsDir = path.join(srcDir, 'posts');
+const blogDir = path.join(srcDir, 'blog');
+const layoutsDir = path.join(srcDir, 'layouts');
+const partialsDir = path.join(srcDir, 'partials');
+
+/**
+ * Read every .html file of a directory into { name: contents }
+ */
+function readTemplates(dir) {
+    return fs.readdirSync(dir)
+        .filter(fileName => fileName.endsWith('.html'))
+        .reduce((templates, fileName) => {
+            templates[path.basename(fileName, '.html')] = fs.readFileSync(path.join(dir, fileName), 'utf8');
+            return templates;
+        }, {});
+}
+
+/**
+ * Canonical URL of a page in a locale; index.html is the locale's root
+ */
+function getPageUrl(site, locale, fileName) {
+    return `${site.url}/${locale.dir}${fileName === 'index.html' ? '' : fileName}`;
+}
+
+/**
+ * JSON for a <script> block; "<" is escaped so content cannot close the tag
+ */
+function formatJson(data, indent) {
+    return JSON.stringify(data, null, indent).replace(/</g, '\\u003c');
+}
+
+/**
+ * "../" for each folder between a file and the directory it is relative to
+ */
+function getPrefix(fileName) {
+    return '../'.repeat(fileName.split('/').length - 1);
+}
+
+/**
+ * Navigation item for a page: its own, or the one of the folder it is in
+ * (blog/tags/leadership.html belongs to blog/index.html)
+ */
+function findNavItem(nav, fileName) {
+    const folder = fileName.includes('/') ? fileName.split('/')[0] : null;
+    return nav.find(item => item.href === fileName) ||
+        (folder ? nav.find(item => item.href.split('/')[0] === folder) : undefined);
+}
+
+/**
+ * Template data for one page
+ * `source` is the file it is generated from, `translations` the locales it is built in
+ */
+function createContext(env, { fileName, source, data, translations }) {
+    const { site, content, locale, locales } = env;
+
+    if (!data.title) throw new Error('Front matter needs a "title"');
+    if (!data.description) throw new Error('Front matter needs a "description"');
+
+    // Prefix from this page back to the site root, for shared CSS and JS
+    const root = getPrefix(locale.dir + fileName);
+    // Prefix back to the locale's home, for the navigation
+    const base = getPrefix(fileName);
+
+    const page = Object.assign({}, data, {
+        fileName,
+        source,
+        url: getPageUrl(site, locale, fileName),
+        lang: locale.code,
+        root,
+        base,
+        // hreflang alternates, only when the page has been translated
+        alternates: translations.length > 1
+            ? translations.map(item => ({ lang: item.code, url: getPageUrl(site, item, fileName) }))
+            : [],
+        defaultUrl: getPageUrl(site, locales[0], fileName)
+    });
+
+    // Social tags fall back to the page title/description and the site defaults
+    const og = Object.assign({
+        type: 'website',
+        locale: locale.ogLocale,
+        title: page.title,
+        description: page.description
+    }, data.og);
+
+    const twitter = Object.assign({
+        card: site.twitterCard,
+        title: og.title,
+        description: og.description
+    }, data.twitter);
+
+    return {
+        site,
+        page,
+        og,
+        twitter,
+        locale,
+        t: locale.t,
+        // Submenu links (`children`) are never the current page: they point into one
+        nav: site.nav.map(item => Object.assign({}, item, {
+            href: base + item.href,
+            current: item.href === fileName,
+            children: (item.children || []).map(child => Object.assign({}, child, { href: base + child.href }))
+        })),
+        // Language switcher: the same page in each locale, or that locale's home page
+        languages: locales.map(item => ({
+            code: item.code,
+            name: item.name,
+            href: root + item.dir + (translations.includes(item) ? fileName : 'index.html'),
+            current: item === locale
+        })),
+        // Browser translations for js/i18n.js
+        i18nMessages: Object.keys(locale.messages).length > 0 ? formatJson(locale.messages) : '',
+        data: content,
+        blog: env.blog,
+        // Hand-written JSON-LD first, then the blocks generated from content
+        structuredData: (data.structuredData ? [data.structuredData] : [])
+            .concat(buildStructuredData(data.schemas || [], site, content, page))
+            .map(item => formatJson(item, 4))
+    };
+}
+
+/**
+ * Front matter and body of a page source
+ */
+function readPage(filePath) {
+    return parseFrontMatter(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Render one page through its layout
+ * Returns { fileName, html, localeDir, sitemap, search }; a noindex page has
+ * no sitemap entry and no search entries
+ */
+function renderPage(env, templates, { fileName, source, data, body, translations }) {
+    const { layouts, partials } = templates;
+
+    try {
+        const context = createContext(env, { fileName, source, data, translations });
+        const layoutName = data.layout || 'default';
+
+        if (!(layoutName in layouts)) throw new Error(`Unknown layout "${layoutName}"`);
+
+        context.content = render(body, context, partials);
+
+        const navItem = findNavItem(env.site.nav, fileName);
+        const searchPage = {
+            fileName,
+            label: navItem ? navItem.label : data.title,
+            description: data.description,
+            type: data.post ? 'post' : 'page'
+        };
+
+        const outputFile = env.locale.dir + fileName;
+        return {
+            fileName: outputFile,
+            html: transformImages(render(layouts[layoutName], context, partials), Object.assign({}, env.images, {
+                pageFile: outputFile,
+                root: context.page.root
+            })),
+            localeDir: env.locale.dir,
+            sitemap: data.noindex ? null : Object.assign({}, data.sitemap, {
+                url: context.page.url,
+                alternates: context.page.alternates,
+                defaultUrl: context.page.defaultUrl
+            }),
+            search: data.noindex ? [] : indexPage(searchPage, context.content)
+                .concat(indexContent(searchPage, data.search || [], env.content))
+        };
+    } catch (error) {
+        error.message = `${source}: ${error.message}`;
+        throw error;
+    }
+}
+
+/**
+ * The blog of the default locale: a page per src/blog/ template, tag and
+ * post, and the feeds ({ fileName, html } without sitemap or search)
+ */
+function buildBlog(env, templates) {
+    const { site, blog } = env;
+    const blogTemplates = fs.readdirSync(blogDir)
+        .filter(fileName => fileName.endsWith('.html'))
+        .reduce((map, fileName) => {
+            map[path.basename(fileName, '.html')] = readPage(path.join(blogDir, fileName));
+            return map;
+        }, {});
+
+    const pages = getBlogPages(blog).map(item => {
+        const template = blogTemplates[item.template];
+        if (!template) throw new Error(`src/blog/${item.template}.html is missing`);
+
+        const data = Object.assign(fillPlaceholders(template.data, item.values), item.data, {
+            sitemap: Object.assign({}, template.data.sitemap, { lastmod: item.lastmod })
+        });
+        const post = item.data.post;
+        if (post && post.image) {
+            // Shared as an article with the post's image
+            const image = post.imageIsRelative ? `${site.url}/${post.image}` : post.image;
+            data.og = Object.assign({}, template.data.og, { image });
+            data.twitter = Object.assign({ card: 'summary_large_image' }, template.data.twitter, { image });
+        }
+
+        return renderPage(env, templates, {
+            fileName: item.fileName,
+            source: post ? post.source : `src/blog/${item.template}.html`,
+            data,
+            body: template.body,
+            translations: [env.locale]
+        });
+    });
+
+    // Feed title and description from `feed` in src/blog/index.html
+    const index = blogTemplates.index.data;
+    const feed = Object.assign({ title: index.title, description: index.description }, index.feed, {
+        site,
+        lang: env.locale.code,
+        url: `${site.url}/${blog.dir}/`,
+        rss: blog.feeds.rss,
+        atom: blog.feeds.atom,
+        posts: blog.posts
+    });
+
+    return pages.concat(
+        { fileName: blog.feeds.rss, html: buildRss(feed) },
+        { fileName: blog.feeds.atom, html: buildAtom(feed) }
+    );
+}
+
+/**
+ * src/site.json
+ */
+function readSite() {
+    return JSON.parse(fs.readFileSync(path.join(srcDir, 'site.json'), 'utf8'));
+}
+
+/**
+ * Settings of the responsive images and the photos recorded by build/images.js
+ */
+function readImages(site) {
+    const config = getImageConfig(site);
+    const manifestPath = path.join(rootDir, config.output, 'images.json');
+    const manifest = fs.existsSync(manifestPath) ? JSON.parse(fs.readFileSync(manifestPath, 'utf8')) : {};
+    return { config, manifest };
+}
+
+/**
+ * Render every page in every locale it is translated to, then the blog
+ * Returns [{ fileName, html, localeDir, sitemap, search }] where fileName is
+ * relative to the project root, sitemap is the page's sitemap.xml entry and
+ * search its search index entries; the feeds only have fileName and html
+ */
+function buildPages() {
+    const baseSite = readSite();
+    const locales = loadLocales(i18nDir, baseSite.locales || [baseSite.lang]);
+    const templates = { layouts: readTemplates(layoutsDir), partials: readTemplates(partialsDir) };
+    const posts = loadPosts(postsDir);
+    const images = readImages(baseSite);
+
+    // Navigation order (for the sitemap), then pages missing from the navigation
+    const navOrder = baseSite.nav.map(item => item.href);
+    const position = fileName => (navOrder.includes(fileName) ? navOrder.indexOf(fileName) : navOrder.length);
+    const fileNames = fs.readdirSync(pagesDir)
+        .filter(fileName => fileName.endsWith('.html'))
+        .sort((a, b) => position(a) - position(b) || a.localeCompare(b));
+
+    // Which locales each page is built in
+    const translations = fileNames.reduce((map, fileName) => {
+        map[fileName] = locales.filter(locale => locale.isDefault || fs.existsSync(path.join(pagesDir, locale.code, fileName)));
+        return map;
+    }, {});
+
+    locales.slice(1).forEach(locale => {
+        const dir = path.join(pagesDir, locale.code);
+        if (!fs.existsSync(dir)) return;
+        fs.readdirSync(dir).filter(fileName => fileName.endsWith('.html')).forEach(fileName => {
+            if (!translations[fileName]) {
+                throw new Error(`src/pages/${locale.code}/${fileName} has no src/pages/${fileName} to translate`);
+            }
+        });
+    });
+
+    return locales.reduce((pages, locale) => {
+        const env = {
+            site: Object.assign({}, baseSite, locale.site),
+            content: loadContent(dataDir, { locale: locale.isDefault ? null : locale.code, labels: locale.labels }),
+            blog: getBlog(posts, locale, locales[0]),
+            images,
+            locale,
+            locales
+        };
+
+        fileNames.filter(fileName => translations[fileName].includes(locale)).forEach(fileName => {
+            const source = path.posix.join('src/pages', locale.dir, fileName);
+            let original;
+            let translated;
+            try {
+                original = readPage(path.join(pagesDir, fileName));
+                translated = locale.isDefault ? original : readPage(path.join(pagesDir, locale.code, fileName));
+            } catch (error) {
+                error.message = `${source}: ${error.message}`;
+                throw error;
+            }
+
+            pages.push(renderPage(env, templates, {
+                fileName,
+                source,
+                // Translations inherit the front matter they do not override (scripts, schemas…)
+                data: Object.assign({}, original.data, translated.data),
+                body: translated.body,
+                translations: translations[fileName]
+            }));
+        });
+
+        // Posts are written in the default locale only
+        if (locale.isDefault && posts.length > 0) {
+            pages.push(...buildBlog(env, templates));
+        }
+
+        return pages;
+    }, []);
+}
+
+/**
+ * Files below a folder of the project, relative to the project root
+ */
+function listFiles(dir) {
+    return fs.readdirSync(path.join(rootDir, dir), { withFileTypes: true })
+        .filter(entry => !entry.name.startsWith('.'))
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .reduce((files, entry) => {
+            const fileName = `${dir}/${entry.name}`;
+            return files.concat(entry.isDirectory() ? listFiles(fileName) : [fileName]);
+        }, []);
+}
+
+/**
+ * The web app manifest and the service worker
+ * The service worker caches on install the pages in the navigation, the
+ * `precachePages` of `app` and the offline page in every locale, the search
+ * indexes, the manifest, the files of the `precacheDirs` of `app` (CSS,
+ * JavaScript, icons), the image shown for images that fail to load and the
+ * `dataFiles` of `app`
+ * searchIndexes: [{ fileName, html }] as written by main()
+ */
+function buildOfflineFiles(site, pages, searchIndexes) {
+    const { app } = site;
+    const manifest = { fileName: 'manifest.webmanifest', html: buildManifest(site) };
+    const htmlByName = new Map(pages.map(page => [page.fileName, page.html]));
+
+    // The navigation's pages from src/pages/ (not the blog) and the other pages to keep offline,
+    // in every locale they are translated to
+    const navFiles = site.nav
+        .map(item => item.href)
+        .concat(app.precachePages || [])
+        .filter(fileName => fs.existsSync(path.join(pagesDir, fileName)));
+    const navPages = pages
+        .filter(page => page.localeDir !== undefined && navFiles.includes(page.fileName.slice(page.localeDir.length)))
+        .map(page => page.fileName);
+
+    const offlinePages = pages
+        .filter(page => page.fileName === page.localeDir + app.offlinePage)
+        .reduce((map, page) => {
+            map[page.localeDir] = page.fileName;
+            return map;
+        }, {});
+    if (!('' in offlinePages)) {
+        throw new Error(`src/pages/${app.offlinePage} is missing ("offlinePage" in src/site.json)`);
+    }
+
+    const precacheFiles = [].concat(...(app.precacheDirs || []).map(listFiles));
+    const { fallback } = getImageConfig(site);
+    if (fs.existsSync(path.join(rootDir, fallback))) {
+        precacheFiles.push(fallback);
+    }
+
+    const precache = navPages
+        .concat(Object.values(offlinePages))
+        .map(fileName => ({ fileName, contents: htmlByName.get(fileName) }))
+        .concat(searchIndexes.map(({ fileName, html }) => ({ fileName, contents: html })))
+        .concat({ fileName: manifest.fileName, contents: manifest.html })
+        .concat(precacheFiles.map(fileName => ({
+            fileName,
+            contents: fs.readFileSync(path.join(rootDir, fileName))
+        })));
+
+    // Edited without a rebuild, so they are not part of the build's version
+    const dataFiles = (app.dataFiles || []).filter(fileName => fs.existsSync(path.join(rootDir, fileName)));
+
+    const source = fs.readFileSync(path.join(srcDir, 'sw.js'), 'utf8');
+    return [manifest, { fileName: 'sw.js', html: buildServiceWorker(source, { precache, dataFiles, offlinePages }) }];
+}
+
+/**
+ * Write the pages, feeds, sitemap, search indexes and offline files, or compare them with the files on disk when checking
+ */
+function main() {
+    const checkOnly = process.argv.includes('--check');
+    const stale = [];
+    const pages = buildPages();
+
+    const htmlPages = pages.filter(page => page.sitemap);
+
+    const outputs = pages.concat({ fileName: 'sitemap.xml', html: buildSitemap(htmlPages.map(page => page.sitemap)) });
+
+    // One search index per locale, in the locale's folder
+    const searchEntries = htmlPages.reduce((indexes, page) => {
+        indexes[page.localeDir] = (indexes[page.localeDir] || []).concat(page.search);
+        return indexes;
+    }, {});
+    const searchIndexes = Object.keys(searchEntries).map(dir => ({
+        fileName: `${dir}search-index.json`,
+        html: buildSearchIndex(searchEntries[dir])
+    }));
+    outputs.push(...searchIndexes);
+
+    const site = readSite();
+    if (site.app) {
+        outputs.push(...buildOfflineFiles(site, pages, searchIndexes));
+    }
+
+    outputs.forEach(({ fileName, html }) => {
+        const outputPath = path.join(rootDir, fileName);
+        const current = fs.existsSync(outputPath) ? fs.readFileSync(outputPath, 'utf8') : null;
+
+        if (current === html) return;
+        stale.push(fileName);
+
+        if (!checkOnly) {
+            fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+            fs.writeFileSync(outputPath, html);
+        }
+    });
+
+    if (checkOnly && stale.length > 0) {
+        console.error(`Out of date: ${stale.join(', ')}. Run "node build/build.js".`);
+        process.exitCode = 1;
+    } else if (checkOnly) {
+        console.log('All pages are up to date.');
+    } else {
+        console.log(stale.length > 0 ? `Wrote ${stale.join(', ')}` : 'All pages are up to date.');
+    }
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { buildPages };
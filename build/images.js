@@ -0,0 +1,188 @@
+/**
+ * Responsive image variants
+ * Resizes the JPEG and PNG photos in assets/images/ (`images.source` in
+ * src/site.json) into AVIF, WebP and their own format at each configured
+ * width, makes a tiny blurred placeholder of each, and writes images.json
+ * next to the variants for build/build.js (see build/lib/images.js).
+ *
+ * Photos that have not changed since the last run are skipped, and variants
+ * of photos that have been removed are deleted. Needs ImageMagick 7 (`magick`,
+ * built with AVIF support) on the PATH, or its path in the MAGICK environment
+ * variable; checking does not.
+ *
+ * Usage: node build/images.js          write the variants and images.json
+ *        node build/images.js --check  exit with 1 if a photo has changed since the last run
+ */
+
+'use strict';
+
+const childProcess = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { getConfig, getSourceFormat, getVariants } = require('./lib/images');
+
+const rootDir = path.resolve(__dirname, '..');
+const MAGICK = process.env.MAGICK || 'magick';
+const MANIFEST = 'images.json';
+
+/**
+ * Photos below a folder, relative to the project root, leaving out the variants' folder
+ */
+function listSources(dir, config) {
+    if (!fs.existsSync(path.join(rootDir, dir))) return [];
+
+    return fs.readdirSync(path.join(rootDir, dir), { withFileTypes: true })
+        .filter(entry => !entry.name.startsWith('.'))
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .reduce((files, entry) => {
+            const fileName = `${dir}/${entry.name}`;
+            if (entry.isDirectory()) {
+                return fileName === config.output ? files : files.concat(listSources(fileName, config));
+            }
+            return getSourceFormat(fileName) ? files.concat(fileName) : files;
+        }, []);
+}
+
+/**
+ * Files below a folder, relative to the project root
+ */
+function listFiles(dir) {
+    if (!fs.existsSync(path.join(rootDir, dir))) return [];
+
+    return fs.readdirSync(path.join(rootDir, dir), { withFileTypes: true })
+        .reduce((files, entry) => {
+            const fileName = `${dir}/${entry.name}`;
+            return files.concat(entry.isDirectory() ? listFiles(fileName) : [fileName]);
+        }, []);
+}
+
+/**
+ * Hash of a file's contents, to notice changed photos
+ */
+function hashFile(fileName) {
+    return crypto.createHash('sha256').update(fs.readFileSync(path.join(rootDir, fileName))).digest('hex').slice(0, 10);
+}
+
+/**
+ * Run ImageMagick; returns its output
+ */
+function magick(args) {
+    try {
+        return childProcess.execFileSync(MAGICK, args, { cwd: rootDir, maxBuffer: 16 * 1024 * 1024 });
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            throw new Error(`ImageMagick not found ("${MAGICK}"); install ImageMagick 7 or set MAGICK to its path`);
+        }
+        throw new Error(`${MAGICK} ${args.join(' ')}: ${String(error.stderr || error.message).trim()}`);
+    }
+}
+
+/**
+ * Whether a manifest entry still matches its photo and all of its variants exist
+ */
+function isCurrent(entry, hash, config, fileName) {
+    if (!entry || entry.hash !== hash) return false;
+
+    const variants = getVariants(config, fileName, entry.width);
+    return JSON.stringify(variants) === JSON.stringify(entry.variants) &&
+        Object.values(variants).every(list => list.every(variant => fs.existsSync(path.join(rootDir, variant.src))));
+}
+
+/**
+ * Resize one photo; returns its manifest entry
+ */
+function processImage(config, fileName, hash) {
+    // The size as displayed, after applying the camera's orientation
+    const [width, height] = String(magick([fileName, '-auto-orient', '-format', '%w %h', 'info:'])).trim().split(' ').map(Number);
+    const variants = getVariants(config, fileName, width);
+
+    Object.keys(variants).forEach(format => {
+        variants[format].forEach(variant => {
+            fs.mkdirSync(path.dirname(path.join(rootDir, variant.src)), { recursive: true });
+            magick([
+                fileName, '-auto-orient', '-strip',
+                '-resize', `${variant.width}x`,
+                '-quality', String(config.quality[format]),
+                `${format}:${variant.src}`
+            ]);
+        });
+    });
+
+    const placeholder = magick([
+        fileName, '-auto-orient', '-strip',
+        '-resize', `${config.placeholderWidth}x`,
+        '-blur', '0x1',
+        '-quality', '60',
+        'jpeg:-'
+    ]);
+
+    return {
+        hash,
+        width,
+        height,
+        placeholder: `data:image/jpeg;base64,${placeholder.toString('base64')}`,
+        variants
+    };
+}
+
+/**
+ * Bring the variants and images.json up to date with the photos, or only compare them when checking
+ */
+function main() {
+    const checkOnly = process.argv.includes('--check');
+    const site = JSON.parse(fs.readFileSync(path.join(rootDir, 'src', 'site.json'), 'utf8'));
+    const config = getConfig(site);
+    const manifestPath = path.join(rootDir, config.output, MANIFEST);
+    const previous = fs.existsSync(manifestPath) ? JSON.parse(fs.readFileSync(manifestPath, 'utf8')) : {};
+
+    const sources = listSources(config.source, config);
+    const stale = sources.filter(fileName => !isCurrent(previous[fileName], hashFile(fileName), config, fileName));
+    const removed = Object.keys(previous).filter(fileName => !sources.includes(fileName));
+
+    if (checkOnly) {
+        if (stale.length > 0 || removed.length > 0) {
+            console.error(`Out of date: ${stale.concat(removed).join(', ')}. Run "node build/images.js".`);
+            process.exitCode = 1;
+        } else {
+            console.log('All images are up to date.');
+        }
+        return;
+    }
+
+    const manifest = sources.reduce((entries, fileName) => {
+        if (stale.includes(fileName)) {
+            console.log(`Resizing ${fileName}`);
+            entries[fileName] = processImage(config, fileName, hashFile(fileName));
+        } else {
+            entries[fileName] = previous[fileName];
+        }
+        return entries;
+    }, {});
+
+    // Variants of removed photos and of widths no longer configured
+    const kept = new Set([`${config.output}/${MANIFEST}`]);
+    Object.values(manifest).forEach(entry => {
+        Object.values(entry.variants).forEach(list => list.forEach(variant => kept.add(variant.src)));
+    });
+    listFiles(config.output)
+        .filter(fileName => !kept.has(fileName))
+        .forEach(fileName => fs.unlinkSync(path.join(rootDir, fileName)));
+
+    if (stale.length > 0 || removed.length > 0 || !fs.existsSync(manifestPath)) {
+        fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+        fs.writeFileSync(manifestPath, `${JSON.stringify(manifest, null, 4)}\n`);
+        console.log(`Wrote ${config.output}/${MANIFEST}`);
+    } else {
+        console.log('All images are up to date.');
+    }
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+    }
+}
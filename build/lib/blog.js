@@ -0,0 +1,195 @@
+/**
+ * Blog
+ * Posts are Markdown files in src/posts/ with front matter:
+ *
+ *   title, description   required
+ *   date                 YYYY-MM-DD, required; `updated` is optional
+ *   tags                 optional list, e.g. [Leadership, Remote Work]
+ *   image, imageAlt      optional card/social image (absolute URL or path from the site root)
+ *   draft: true          left out of the build
+ *
+ * The file name is the slug: src/posts/trust-first.md becomes
+ * blog/trust-first.html. Every tag gets a page at blog/tags/<slug>.html.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { parseFrontMatter } = require('./front-matter');
+const { renderMarkdown, slugify } = require('./markdown');
+
+const BLOG_DIR = 'blog';
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const WORDS_PER_MINUTE = 200;
+// Posts on the home page
+const LATEST_COUNT = 3;
+
+/**
+ * Words in a rendered post, leaving out code blocks
+ */
+function countWords(html) {
+    const text = html.replace(/<pre[\s\S]*?<\/pre>/g, ' ').replace(/<[^>]*>/g, ' ');
+    return (text.match(/[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu) || []).length;
+}
+
+/**
+ * Check and extend one post
+ */
+function preparePost(fileName, data, body) {
+    const missing = ['title', 'description', 'date'].filter(field => !data[field]);
+    if (missing.length > 0) {
+        throw new Error(`missing ${missing.map(field => `"${field}"`).join(', ')}`);
+    }
+    ['date', 'updated'].forEach(field => {
+        if (data[field] !== undefined && !ISO_DATE.test(data[field])) {
+            throw new Error(`"${field}" must be YYYY-MM-DD, got "${data[field]}"`);
+        }
+    });
+    if (data.tags !== undefined && !Array.isArray(data.tags)) {
+        throw new Error('"tags" must be a list');
+    }
+    if (data.image && !data.imageAlt) {
+        throw new Error('"imageAlt" is required with "image"');
+    }
+
+    const slug = path.basename(fileName, '.md');
+    const html = renderMarkdown(body);
+    const wordCount = countWords(html);
+
+    return Object.assign({}, data, {
+        slug,
+        source: path.posix.join('src/posts', fileName),
+        url: `${BLOG_DIR}/${slug}.html`,
+        html,
+        wordCount,
+        readingTime: Math.max(1, Math.round(wordCount / WORDS_PER_MINUTE)),
+        tags: (data.tags || []).map(name => ({
+            name: String(name),
+            slug: slugify(name),
+            url: `${BLOG_DIR}/tags/${slugify(name)}.html`
+        })),
+        // Relative images are resolved from the site root on every page
+        imageIsRelative: Boolean(data.image) && !/^(?:[a-z][a-z\d+.-]*:|\/)/i.test(data.image)
+    });
+}
+
+/**
+ * Published posts of a directory, newest first
+ */
+function loadPosts(dir) {
+    if (!fs.existsSync(dir)) return [];
+
+    const posts = fs.readdirSync(dir)
+        .filter(fileName => fileName.endsWith('.md'))
+        .map(fileName => {
+            try {
+                const { data, body } = parseFrontMatter(fs.readFileSync(path.join(dir, fileName), 'utf8'));
+                return data.draft ? null : preparePost(fileName, data, body);
+            } catch (error) {
+                error.message = `src/posts/${fileName}: ${error.message}`;
+                throw error;
+            }
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.date.localeCompare(a.date) || a.title.localeCompare(b.title));
+
+    // Neighbours for the links at the end of each post
+    posts.forEach((post, index) => {
+        post.newer = index > 0 ? { title: posts[index - 1].title, url: posts[index - 1].url } : null;
+        post.older = index < posts.length - 1 ? { title: posts[index + 1].title, url: posts[index + 1].url } : null;
+    });
+
+    return posts;
+}
+
+/**
+ * Template data for the blog in one locale: dates in the locale's language,
+ * tags with their posts, the archive by year and the latest posts
+ * Posts are written in the default locale; other locales only show them on
+ * their home page, marked with the posts' language.
+ */
+function getBlog(posts, locale, defaultLocale) {
+    const formatter = new Intl.DateTimeFormat(locale.code, { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+    const localized = posts.map(post => Object.assign({}, post, {
+        displayDate: formatter.format(new Date(`${post.date}T00:00:00Z`)),
+        displayUpdated: post.updated ? formatter.format(new Date(`${post.updated}T00:00:00Z`)) : '',
+        lang: locale.isDefault ? '' : defaultLocale.code
+    }));
+
+    const tags = new Map();
+    localized.forEach(post => {
+        post.tags.forEach(tag => {
+            if (!tags.has(tag.slug)) {
+                tags.set(tag.slug, Object.assign({}, tag, { posts: [] }));
+            }
+            tags.get(tag.slug).posts.push(post);
+        });
+    });
+
+    const archive = [];
+    localized.forEach(post => {
+        const year = post.date.slice(0, 4);
+        if (archive.length === 0 || archive[archive.length - 1].year !== year) {
+            archive.push({ year, posts: [] });
+        }
+        archive[archive.length - 1].posts.push(post);
+    });
+
+    return {
+        dir: BLOG_DIR,
+        lang: defaultLocale.code,
+        posts: localized,
+        latest: localized.slice(0, LATEST_COUNT),
+        tags: Array.from(tags.values())
+            .map(tag => Object.assign(tag, { count: tag.posts.length }))
+            .sort((a, b) => a.name.localeCompare(b.name)),
+        archive,
+        feeds: posts.length > 0 ? { rss: `${BLOG_DIR}/feed.xml`, atom: `${BLOG_DIR}/atom.xml` } : null
+    };
+}
+
+/**
+ * Fill {name} placeholders in the title and description of a template's front matter
+ */
+function fillPlaceholders(data, values) {
+    const fill = text => String(text).replace(/\{(\w+)\}/g, (match, name) => (name in values ? values[name] : match));
+    return Object.assign({}, data, {
+        title: fill(data.title),
+        description: fill(data.description)
+    });
+}
+
+/**
+ * The pages of the blog, from the templates in src/blog/ (index, archive,
+ * tag and post): [{ fileName, template, values, data, lastmod }] where
+ * `values` fill the placeholders of the template's title and description
+ * and `data` is added to its front matter
+ */
+function getBlogPages(blog) {
+    if (blog.posts.length === 0) return [];
+
+    const lastmod = list => list.reduce((latest, post) => {
+        const date = post.updated || post.date;
+        return date > latest ? date : latest;
+    }, '');
+
+    return [
+        { fileName: `${BLOG_DIR}/index.html`, template: 'index', values: {}, data: {}, lastmod: lastmod(blog.posts) },
+        { fileName: `${BLOG_DIR}/archive.html`, template: 'archive', values: {}, data: {}, lastmod: lastmod(blog.posts) }
+    ].concat(blog.tags.map(tag => ({
+        fileName: tag.url,
+        template: 'tag',
+        values: { tag: tag.name },
+        data: { tag },
+        lastmod: lastmod(tag.posts)
+    })), blog.posts.map(post => ({
+        fileName: post.url,
+        template: 'post',
+        values: { title: post.title, description: post.description },
+        data: { post, keywords: post.tags.map(tag => tag.name).join(', ') },
+        lastmod: post.updated || post.date
+    })));
+}
+
+module.exports = { loadPosts, getBlog, getBlogPages, fillPlaceholders };
@@ -0,0 +1,235 @@
+/**
+ * Content collections
+ * Loads the lists in src/data/*.{yml,yaml,json} for the templates, keyed by
+ * file name in camelCase (case-studies.yml -> data.caseStudies). Known
+ * collections are checked for required fields and get display fields added,
+ * and their filterable fields are summarised as `data.facets.<key>.<field>`:
+ * a list of { value, label } for building filter options. Events are also
+ * placed on a map, `data.eventMap` (see build/lib/event-map.js).
+ *
+ * Translated lists live in a subdirectory per locale (src/data/es/events.yml)
+ * and replace the file of the same name when building that locale.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { geocode, buildEventMap } = require('./event-map');
+const { parseYaml } = require('./yaml');
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// URLs with a scheme or starting with "/"; other image paths are resolved from the site root on every page
+const ABSOLUTE_URL = /^(?:[a-z][a-z\d+.-]*:|\/)/i;
+
+// Privacy-friendly player URLs for the click-to-load video facade
+const VIDEO_PROVIDERS = {
+    youtube: {
+        embed: id => `https://www.youtube-nocookie.com/embed/${encodeURIComponent(id)}?autoplay=1&rel=0`,
+        watch: id => `https://www.youtube.com/watch?v=${encodeURIComponent(id)}`,
+        name: 'YouTube'
+    },
+    vimeo: {
+        embed: id => `https://player.vimeo.com/video/${encodeURIComponent(id)}?autoplay=1&dnt=1`,
+        watch: id => `https://vimeo.com/${encodeURIComponent(id)}`,
+        name: 'Vimeo'
+    }
+};
+
+// Testimonial service types, in the order the filter lists them;
+// locales translate the labels with `labels.services` in src/i18n/<locale>.json
+const SERVICE_LABELS = {
+    coaching: 'Executive Coaching',
+    consulting: 'Consulting',
+    speaking: 'Speaking',
+    workshop: 'Workshops'
+};
+
+const COLLECTIONS = {
+    testimonials: {
+        required: ['author', 'role', 'quote', 'service', 'industry'],
+        prepare(item, labels) {
+            const serviceLabels = Object.assign({}, SERVICE_LABELS, labels.services);
+            const rating = item.rating === undefined ? 5 : item.rating;
+            if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+                throw new Error(`"rating" must be a whole number from 1 to 5, got ${rating}`);
+            }
+            if (!SERVICE_LABELS[item.service]) {
+                throw new Error(`"service" must be one of ${Object.keys(SERVICE_LABELS).join(', ')}, got "${item.service}"`);
+            }
+            return Object.assign({}, item, {
+                rating,
+                stars: '★'.repeat(rating) + '☆'.repeat(5 - rating),
+                serviceLabel: serviceLabels[item.service]
+            });
+        },
+        facets: {
+            service: { label: item => item.serviceLabel, order: Object.keys(SERVICE_LABELS) },
+            industry: {}
+        }
+    },
+    events: {
+        required: ['name', 'date', 'location', 'city', 'country', 'region', 'description'],
+        prepare(item) {
+            if (!ISO_DATE.test(item.date)) {
+                throw new Error(`"date" must be YYYY-MM-DD, got "${item.date}"`);
+            }
+            return Object.assign({}, item, { year: item.date.slice(0, 4), coordinates: geocode(item) });
+        },
+        // Newest first, wherever an event was added in the file
+        sort: (a, b) => b.date.localeCompare(a.date),
+        facets: {
+            year: { descending: true },
+            region: {}
+        }
+    },
+    caseStudies: {
+        required: ['title', 'category', 'duration', 'summary'],
+        prepare(item) {
+            return Object.assign({ url: 'contact.html' }, item);
+        }
+    },
+    media: {
+        required: ['type', 'title', 'thumbnail'],
+        prepare(item) {
+            const thumbnailIsRelative = !ABSOLUTE_URL.test(item.thumbnail);
+
+            if (item.type === 'video') {
+                const provider = VIDEO_PROVIDERS[item.provider];
+                if (!provider) {
+                    throw new Error(`"provider" must be one of ${Object.keys(VIDEO_PROVIDERS).join(', ')}, got "${item.provider}"`);
+                }
+                if (!item.videoId) throw new Error('missing "videoId"');
+
+                return Object.assign({}, item, {
+                    isVideo: true,
+                    embedUrl: provider.embed(item.videoId),
+                    watchUrl: provider.watch(item.videoId),
+                    providerName: provider.name,
+                    thumbnailIsRelative
+                });
+            }
+            if (item.type === 'photo') {
+                if (!item.src) throw new Error('missing "src" (the full-size photo)');
+                if (!item.alt) throw new Error('missing "alt"');
+                // Photos with the same gallery name are browsed together in the lightbox
+                return Object.assign({ gallery: 'media' }, item, {
+                    isPhoto: true,
+                    thumbnailIsRelative,
+                    srcIsRelative: !ABSOLUTE_URL.test(item.src)
+                });
+            }
+            throw new Error(`"type" must be video or photo, got "${item.type}"`);
+        }
+    }
+};
+
+/**
+ * "case-studies" -> "caseStudies"
+ */
+function toKey(fileName) {
+    return path.basename(fileName, path.extname(fileName))
+        .replace(/-([a-z0-9])/g, (match, letter) => letter.toUpperCase());
+}
+
+/**
+ * Parse a data file by extension
+ */
+function readDataFile(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8');
+    return path.extname(filePath) === '.json' ? JSON.parse(text) : parseYaml(text);
+}
+
+/**
+ * Validate and extend the items of a known collection
+ */
+function prepareCollection(key, items, labels) {
+    const collection = COLLECTIONS[key];
+    if (!collection) return items;
+
+    const prepared = items.map((item, index) => {
+        try {
+            const missing = collection.required.filter(field => item[field] === undefined || item[field] === null || item[field] === '');
+            if (missing.length > 0) {
+                throw new Error(`missing ${missing.map(field => `"${field}"`).join(', ')}`);
+            }
+            return collection.prepare(item, labels);
+        } catch (error) {
+            throw new Error(`item ${index + 1}: ${error.message}`);
+        }
+    });
+
+    return collection.sort ? prepared.sort(collection.sort) : prepared;
+}
+
+/**
+ * Distinct values of each filterable field as [{ value, label }]
+ */
+function getFacets(collection, items) {
+    return Object.keys(collection.facets).reduce((facets, field) => {
+        const facet = collection.facets[field];
+        const values = new Map();
+
+        items.forEach(item => {
+            const value = String(item[field]);
+            if (!values.has(value)) {
+                values.set(value, facet.label ? facet.label(item) : value);
+            }
+        });
+
+        const options = Array.from(values, ([value, label]) => ({ value, label }));
+        options.sort(facet.order
+            ? (a, b) => facet.order.indexOf(a.value) - facet.order.indexOf(b.value)
+            : (a, b) => a.label.localeCompare(b.label));
+
+        facets[field] = facet.descending ? options.reverse() : options;
+        return facets;
+    }, {});
+}
+
+/**
+ * Load every data file of a directory into { key: items, facets: { key: … } }
+ * Options: `locale` picks translated files from the locale's subdirectory,
+ * `labels` translates generated labels ({ services: { coaching: … } })
+ */
+function loadContent(dir, options = {}) {
+    if (!fs.existsSync(dir)) return {};
+
+    const labels = options.labels || {};
+    const localeDir = options.locale ? path.join(dir, options.locale) : null;
+
+    const content = fs.readdirSync(dir)
+        .filter(fileName => ['.yml', '.yaml', '.json'].includes(path.extname(fileName)))
+        .sort()
+        .reduce((content, fileName) => {
+            const translated = localeDir && fs.existsSync(path.join(localeDir, fileName));
+            const relativePath = path.posix.join('src/data', translated ? options.locale : '', fileName);
+            try {
+                const items = readDataFile(path.join(translated ? localeDir : dir, fileName));
+                if (!Array.isArray(items)) throw new Error('expected a list of items');
+                if (toKey(fileName) === 'facets') throw new Error('"facets" is reserved for the generated filter options');
+                if (toKey(fileName) === 'eventMap') throw new Error('"eventMap" is reserved for the generated map of the events');
+                content[toKey(fileName)] = prepareCollection(toKey(fileName), items, labels);
+            } catch (error) {
+                error.message = `${relativePath}: ${error.message}`;
+                throw error;
+            }
+            return content;
+        }, {});
+
+    content.facets = Object.keys(content).reduce((facets, key) => {
+        if (COLLECTIONS[key] && COLLECTIONS[key].facets) {
+            facets[key] = getFacets(COLLECTIONS[key], content[key]);
+        }
+        return facets;
+    }, {});
+
+    if (content.events) {
+        content.eventMap = buildEventMap(content.events);
+    }
+
+    return content;
+}
+
+module.exports = { loadContent };
@@ -0,0 +1,142 @@
+/**
+ * Engagements map
+ * Places the events of src/data/events.yml on a map drawn from the outlines
+ * in build/lib/geo-data.js, so it works offline and without a map service.
+ * The projection is equirectangular (longitude and latitude straight to x
+ * and y), and the map is framed around the events: engagements in one
+ * country fill it, engagements on several continents zoom it out.
+ *
+ * Rendered by src/partials/engagement-map.html and made interactive by
+ * js/engagement-map.js.
+ */
+
+'use strict';
+
+const { LAND, CITIES } = require('./geo-data');
+
+// Width of the whole world in map units, and the latitudes drawn
+const WORLD_WIDTH = 1000;
+const NORTH = 84;
+const SOUTH = -56;
+const SCALE = WORLD_WIDTH / 360;
+const WORLD_HEIGHT = (NORTH - SOUTH) * SCALE;
+
+// Frame around the events, in degrees, and its shape (width / height)
+const PADDING = { longitude: 14, latitude: 9 };
+const MIN_WIDTH = 60;
+const ASPECT_RATIO = 2;
+
+/**
+ * [latitude, longitude] of an event: its own `latitude`/`longitude`, or its city from the bundled table
+ */
+function geocode(event) {
+    if (event.latitude !== undefined || event.longitude !== undefined) {
+        const latitude = Number(event.latitude);
+        const longitude = Number(event.longitude);
+        if (!(Math.abs(latitude) <= 90) || !(Math.abs(longitude) <= 180)) {
+            throw new Error(`"latitude" and "longitude" must both be given in degrees, got ${event.latitude}, ${event.longitude}`);
+        }
+        return [latitude, longitude];
+    }
+
+    const cities = CITIES[event.country] || {};
+    const coordinates = (event.state && cities[`${event.city}, ${event.state}`]) || cities[event.city];
+    if (!coordinates) {
+        const name = [event.city, event.state, event.country].filter(Boolean).join(', ');
+        throw new Error(`no map position for "${name}": add the city to build/lib/geo-data.js or give the event "latitude" and "longitude"`);
+    }
+    return coordinates;
+}
+
+/**
+ * Map units of a [longitude, latitude] point
+ */
+function project([longitude, latitude]) {
+    return [(longitude + 180) * SCALE, (NORTH - latitude) * SCALE];
+}
+
+/**
+ * Round to one decimal for the SVG
+ */
+function round(value) {
+    return Math.round(value * 10) / 10;
+}
+
+/**
+ * SVG path of the land outlines
+ */
+function buildLandPath() {
+    return LAND.map(ring => `M${ring.map(point => project(point).map(round).join(' ')).join('L')}Z`).join('');
+}
+
+/**
+ * Visible part of the map, in map units: the events with some space around
+ * them, widened to the map's shape and kept within the world
+ */
+function getFrame(points) {
+    if (points.length === 0) return { x: 0, y: 0, width: WORLD_WIDTH, height: WORLD_HEIGHT };
+
+    const longitudes = points.map(point => point[0]);
+    const latitudes = points.map(point => point[1]);
+    const [left, top] = project([Math.min(...longitudes) - PADDING.longitude, Math.max(...latitudes) + PADDING.latitude]);
+    const [right, bottom] = project([Math.max(...longitudes) + PADDING.longitude, Math.min(...latitudes) - PADDING.latitude]);
+
+    // Taller or wider than ASPECT_RATIO only when the world is not big enough
+    const width = Math.min(WORLD_WIDTH, Math.max(right - left, MIN_WIDTH * SCALE, (bottom - top) * ASPECT_RATIO));
+    const height = Math.min(WORLD_HEIGHT, Math.max(width / ASPECT_RATIO, bottom - top));
+
+    const clamp = (start, size, max) => Math.min(Math.max(start, 0), max - size);
+    return {
+        x: clamp((left + right - width) / 2, width, WORLD_WIDTH),
+        y: clamp((top + bottom - height) / 2, height, WORLD_HEIGHT),
+        width,
+        height
+    };
+}
+
+/**
+ * Template data of the map: the SVG viewBox (and its aspect ratio, for the
+ * markers laid over it) and land, one marker per city (west to east,
+ * positioned in percent of the map) and the events with the id of their marker
+ */
+function buildEventMap(events) {
+    const locations = new Map();
+
+    // Events in the same city share a marker
+    const keys = events.map(event => {
+        const [latitude, longitude] = event.coordinates;
+        const key = `${latitude},${longitude}`;
+        if (!locations.has(key)) {
+            locations.set(key, { longitude, latitude, label: event.location, count: 0 });
+        }
+        locations.get(key).count += 1;
+        return key;
+    });
+
+    const frame = getFrame(Array.from(locations.values(), location => [location.longitude, location.latitude]));
+    const ids = new Map();
+    const markers = Array.from(locations, ([key, location]) => Object.assign({ key }, location))
+        .sort((a, b) => a.longitude - b.longitude || b.latitude - a.latitude)
+        .map((location, index) => {
+            const id = `engagement-location-${index + 1}`;
+            const [x, y] = project([location.longitude, location.latitude]);
+            ids.set(location.key, id);
+            return {
+                id,
+                label: location.label,
+                count: location.count,
+                x: Math.round(((x - frame.x) / frame.width) * 10000) / 100,
+                y: Math.round(((y - frame.y) / frame.height) * 10000) / 100
+            };
+        });
+
+    return {
+        viewBox: [frame.x, frame.y, frame.width, frame.height].map(round).join(' '),
+        aspectRatio: `${round(frame.width)} / ${round(frame.height)}`,
+        land: buildLandPath(),
+        locations: markers,
+        events: events.map((event, index) => Object.assign({}, event, { mapLocation: ids.get(keys[index]) }))
+    };
+}
+
+module.exports = { geocode, buildEventMap };
@@ -0,0 +1,124 @@
+/**
+ * Blog feeds
+ * RSS 2.0 (blog/feed.xml) and Atom (blog/atom.xml) with the full text of the
+ * newest posts. Links in the posts are made absolute, since feed readers
+ * show them away from the site.
+ */
+
+'use strict';
+
+const { escapeHtml } = require('./template');
+
+// Posts in each feed
+const FEED_SIZE = 20;
+
+/**
+ * Post HTML with relative href/src values resolved against the post's URL
+ */
+function absolutizeLinks(html, baseUrl) {
+    return html.replace(/\b(href|src)="([^"]*)"/g, (match, attribute, value) => {
+        if (/^[a-z][a-z\d+.-]*:/i.test(value)) return match;
+        return `${attribute}="${escapeHtml(new URL(value.replace(/&amp;/g, '&'), baseUrl).href)}"`;
+    });
+}
+
+/**
+ * Feed data shared by both formats
+ * feed: { site, title, description, lang, url (the blog index), posts }
+ */
+function getItems(feed) {
+    return feed.posts.slice(0, FEED_SIZE).map(post => {
+        const url = `${feed.site.url}/${post.url}`;
+        return {
+            title: post.title,
+            url,
+            description: post.description,
+            html: absolutizeLinks(post.html, url),
+            published: `${post.date}T00:00:00Z`,
+            updated: `${post.updated || post.date}T00:00:00Z`,
+            tags: post.tags.map(tag => tag.name)
+        };
+    });
+}
+
+/**
+ * RSS 2.0 document
+ */
+function buildRss(feed) {
+    const items = getItems(feed);
+    const selfUrl = `${feed.site.url}/${feed.rss}`;
+    const rfc822 = date => new Date(date).toUTCString();
+
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">',
+        '    <channel>',
+        `        <title>${escapeHtml(feed.title)}</title>`,
+        `        <link>${escapeHtml(feed.url)}</link>`,
+        `        <atom:link href="${escapeHtml(selfUrl)}" rel="self" type="application/rss+xml"/>`,
+        `        <description>${escapeHtml(feed.description)}</description>`,
+        `        <language>${feed.lang}</language>`
+    ];
+    if (items.length > 0) {
+        lines.push(`        <lastBuildDate>${rfc822(items.reduce((latest, item) => (item.updated > latest ? item.updated : latest), ''))}</lastBuildDate>`);
+    }
+
+    items.forEach(item => {
+        lines.push(
+            '        <item>',
+            `            <title>${escapeHtml(item.title)}</title>`,
+            `            <link>${escapeHtml(item.url)}</link>`,
+            `            <guid isPermaLink="true">${escapeHtml(item.url)}</guid>`,
+            `            <pubDate>${rfc822(item.published)}</pubDate>`,
+            `            <description>${escapeHtml(item.description)}</description>`,
+            ...item.tags.map(tag => `            <category>${escapeHtml(tag)}</category>`),
+            `            <content:encoded>${escapeHtml(item.html)}</content:encoded>`,
+            '        </item>'
+        );
+    });
+
+    return lines.concat('    </channel>', '</rss>', '').join('\n');
+}
+
+/**
+ * Atom document
+ */
+function buildAtom(feed) {
+    const items = getItems(feed);
+    const selfUrl = `${feed.site.url}/${feed.atom}`;
+    const updated = items.reduce((latest, item) => (item.updated > latest ? item.updated : latest), '');
+
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${feed.lang}">`,
+        `    <title>${escapeHtml(feed.title)}</title>`,
+        `    <subtitle>${escapeHtml(feed.description)}</subtitle>`,
+        `    <id>${escapeHtml(feed.url)}</id>`,
+        `    <link href="${escapeHtml(feed.url)}"/>`,
+        `    <link href="${escapeHtml(selfUrl)}" rel="self" type="application/atom+xml"/>`,
+        `    <updated>${updated}</updated>`,
+        '    <author>',
+        `        <name>${escapeHtml(feed.site.author)}</name>`,
+        `        <uri>${escapeHtml(feed.site.url)}</uri>`,
+        '    </author>'
+    ];
+
+    items.forEach(item => {
+        lines.push(
+            '    <entry>',
+            `        <title>${escapeHtml(item.title)}</title>`,
+            `        <id>${escapeHtml(item.url)}</id>`,
+            `        <link href="${escapeHtml(item.url)}"/>`,
+            `        <published>${item.published}</published>`,
+            `        <updated>${item.updated}</updated>`,
+            ...item.tags.map(tag => `        <category term="${escapeHtml(tag)}"/>`),
+            `        <summary>${escapeHtml(item.description)}</summary>`,
+            `        <content type="html">${escapeHtml(item.html)}</content>`,
+            '    </entry>'
+        );
+    });
+
+    return lines.concat('</feed>', '').join('\n');
+}
+
+module.exports = { buildRss, buildAtom };
@@ -0,0 +1,27 @@
+/**
+ * Front matter
+ * Splits a leading `---` YAML block from the rest of a source file
+ */
+
+'use strict';
+
+const { parseYaml } = require('./yaml');
+
+const FRONT_MATTER = /^\uFEFF?---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+/**
+ * { data, body } for a source file; data is {} without front matter
+ */
+function parseFrontMatter(text) {
+    const match = text.match(FRONT_MATTER);
+    if (!match) {
+        return { data: {}, body: text };
+    }
+
+    return {
+        data: parseYaml(match[1]) || {},
+        body: text.slice(match[0].length)
+    };
+}
+
+module.exports = { parseFrontMatter };
@@ -0,0 +1,227 @@
+/**
+ * Geography for the engagements map (build/lib/event-map.js)
+ * Bundled so the map needs no map service: simplified land outlines and the
+ * coordinates of the cities events are likely to be held in.
+ *
+ * LAND     outlines as [[longitude, latitude]] rings, coarse enough for a
+ *          world map a page wide (no Antarctica, small islands left out)
+ * CITIES   { countryCode: { city: [latitude, longitude] } }; US cities are
+ *          listed as "City, ST" so cities of the same name stay apart
+ *
+ * To place an event in a city missing here, add the city, or give the
+ * event `latitude` and `longitude` in src/data/events.yml.
+ */
+
+'use strict';
+
+const LAND = [
+    // North and Central America
+    [
+        [-168, 66], [-162, 70], [-156, 71.3], [-141, 69.6], [-130, 70], [-115, 68.5], [-95, 72], [-82, 73],
+        [-80, 69], [-87, 64], [-93, 61], [-94, 58.8], [-88, 56], [-82, 52.5], [-79, 55], [-77, 60], [-78, 62.5],
+        [-72, 61], [-65, 60], [-61, 56], [-56, 52], [-59, 48], [-65, 49], [-70, 47], [-66, 45], [-70, 43.5],
+        [-70, 41.5], [-74, 40.5], [-76, 37], [-75.5, 35.2], [-78, 33.8], [-81, 31.5], [-80, 27], [-80.4, 25.2],
+        [-82, 26.5], [-83, 29], [-85, 29.8], [-89, 30.2], [-90, 29], [-94, 29.5], [-97.2, 27.5], [-97.5, 24],
+        [-97.8, 22], [-96, 19], [-94.5, 18.2], [-91, 18.6], [-90.5, 21], [-87, 21.5], [-88, 16], [-83.5, 15],
+        [-83.5, 11], [-81, 9], [-79.5, 9.5], [-77.5, 8.5], [-77.8, 7.3], [-80, 7.5], [-82.5, 8.2], [-85.7, 10],
+        [-87.5, 13], [-91.5, 14], [-94, 16], [-96.5, 15.7], [-101, 17.3], [-105.5, 20], [-105.5, 22.8],
+        [-109, 26], [-112.5, 29.5], [-114.8, 31.8], [-113, 29], [-112, 27], [-110, 23], [-112, 24.8],
+        [-114, 27.5], [-114.5, 30], [-117, 32.5], [-120.5, 34.5], [-122.5, 37.5], [-124, 40.5], [-124.5, 43],
+        [-124, 46.2], [-124.7, 48.4], [-123, 49], [-125, 50.5], [-128, 52], [-131, 54.5], [-133.5, 57],
+        [-137, 58.5], [-140, 59.8], [-146, 60.5], [-150, 59.5], [-152, 58], [-157, 57], [-162, 55],
+        [-164, 54.5], [-158, 58.5], [-162, 60], [-165, 62.5], [-164, 64.5]
+    ],
+    // Greenland
+    [
+        [-73, 78], [-60, 82], [-30, 83.5], [-20, 81.5], [-18, 76], [-22, 70], [-32, 68], [-40, 65], [-43, 60],
+        [-48, 61], [-52, 64.5], [-54, 68], [-56, 72], [-66, 76]
+    ],
+    // Canadian Arctic: Baffin, Ellesmere and Victoria islands
+    [[-62, 66.5], [-73, 71.5], [-79, 72.7], [-90, 73], [-84, 70], [-78, 70], [-72, 68], [-68, 66.6], [-65, 64]],
+    [[-80, 76], [-90, 78], [-92, 81], [-70, 83], [-62, 82], [-76, 79]],
+    [[-118, 70], [-117, 73], [-105, 73.3], [-101, 70], [-108, 68.8]],
+    // Newfoundland, Cuba, Hispaniola
+    [[-59.3, 47.6], [-55.5, 51.6], [-53, 49.4], [-52.7, 46.7], [-56, 47.6]],
+    [[-85, 21.9], [-81.8, 23.1], [-77.5, 21.8], [-74.2, 20.2], [-77.7, 19.9], [-80, 21.7], [-84, 21.8]],
+    [[-74.4, 18.5], [-72.8, 19.9], [-70, 19.8], [-68.3, 18.6], [-71.1, 17.6]],
+    // South America
+    [
+        [-71.5, 12.3], [-63, 10.7], [-60, 8.5], [-55, 6], [-51.5, 4], [-50, 0], [-44.5, -2.5], [-39, -3.5],
+        [-35, -5.5], [-35, -9], [-39, -13.5], [-39, -18], [-41, -22], [-44.5, -23.3], [-48.5, -26],
+        [-48.7, -28.5], [-51, -31], [-53.5, -34], [-57, -35], [-57, -37], [-62, -39], [-65, -41],
+        [-63.5, -42.7], [-65.5, -45], [-67.5, -46.5], [-66, -48], [-69, -51], [-68.5, -52.5], [-71.5, -53.8],
+        [-74.5, -52], [-75.5, -48], [-74, -44], [-73.7, -40], [-73.5, -37], [-71.5, -32], [-71.4, -28],
+        [-70.3, -22], [-70.3, -18.5], [-75, -15.5], [-78, -11], [-80, -7], [-81.2, -5], [-80, -2], [-80, 1],
+        [-78.8, 1.8], [-77.3, 4], [-77.5, 7], [-76, 9.5], [-75, 10.8]
+    ],
+    // Europe and Asia
+    [
+        [-9.5, 37], [-9, 43], [-8, 43.7], [-1.8, 43.4], [-1.2, 46], [-4.5, 48], [-1.5, 48.7], [1.5, 50.5],
+        [4, 51.5], [5, 53.3], [8.5, 53.7], [8.5, 56.5], [10.5, 57.6], [10.5, 54.5], [12.5, 54.5], [14, 54],
+        [18.5, 54.6], [21, 55.5], [21, 57], [23.5, 57.2], [24, 59.3], [28.5, 60], [22.5, 60], [21.4, 61],
+        [21.5, 63.5], [25, 65], [22.5, 65.8], [17.5, 62.5], [19, 60], [17, 57.5], [16, 56], [13, 55.5],
+        [11, 59], [8, 58], [5.5, 58.9], [5, 62], [10, 64], [14, 67], [17, 69], [21, 70.2], [28, 71],
+        [33, 69.5], [41, 67.5], [33, 66.5], [36, 64.5], [38, 64.5], [44, 66.5], [44, 68.4], [53, 68.5],
+        [60, 69], [66, 70.5], [68, 73], [72, 72.8], [74, 68], [78, 72.3], [80, 73.5], [87, 74.5], [95, 76],
+        [104, 77.5], [112, 76], [113, 73.5], [125, 73.5], [128, 72], [140, 72.5], [150, 71.5], [160, 70],
+        [170, 70], [180, 69], [180, 65], [178, 64.5], [174, 61.5], [170, 60], [164, 59.8], [162.5, 57],
+        [163, 56], [156, 51], [156, 57], [160, 61], [155, 59.2], [148, 59.3], [142, 59], [137, 54], [141, 52],
+        [141, 48.5], [138, 46], [135, 43.5], [131, 42.6], [129.5, 40.5], [129, 38], [129.5, 35.2],
+        [126.5, 34.5], [126, 37.5], [124.5, 40], [121, 40.5], [122, 39], [121, 37.5], [119, 37], [122.5, 37],
+        [120.5, 34], [122, 31], [121.5, 28.5], [119.5, 25.5], [117, 23.5], [113.5, 22.3], [110, 21],
+        [108, 21.6], [106, 20], [106.5, 17.5], [109, 13.5], [109, 11.5], [105, 8.6], [104.5, 10.5],
+        [101, 12.7], [100, 13.5], [99.2, 10], [100.5, 7.2], [103.5, 4], [103.5, 1.5], [101, 2.5],
+        [100.3, 5.5], [98.3, 8], [98.5, 13], [97.7, 16.5], [94.3, 16], [94, 19], [92, 21.5], [90, 21.9],
+        [86.5, 20], [85, 19.3], [80.3, 15.5], [80, 11.5], [77.5, 8], [76.5, 9], [74.5, 13], [73.5, 16],
+        [72.8, 19], [72.7, 21], [69, 22.5], [67, 24.8], [62, 25.2], [57.5, 25.7], [56.3, 27], [52, 27.8],
+        [50, 30], [48, 30], [50, 27], [51.5, 24.5], [54, 24.2], [56.3, 26.2], [56.5, 24.5], [58.8, 22.5],
+        [57.5, 19], [55, 17], [52, 15.7], [48, 14], [45, 12.8], [43.5, 12.6], [42.7, 16], [40, 20],
+        [38.5, 23], [36.5, 26], [35, 28], [34.5, 29.5], [33.5, 28], [32.5, 29.9], [32.3, 31.2], [34.2, 31.3],
+        [35, 33], [36, 35.8], [34, 36.5], [30, 36.2], [27.4, 37], [26.5, 39.5], [26.2, 40.6], [28.5, 41],
+        [29, 41.2], [31, 41.1], [35, 42], [38, 41], [41.5, 41.5], [41.5, 42.5], [38, 44.5], [38, 47],
+        [35, 46], [33.5, 44.5], [32.5, 45.4], [30.7, 46.5], [29.6, 45.2], [28.7, 44], [27.5, 42.5],
+        [28, 41.5], [26, 40.8], [24, 40.7], [23, 39.5], [22.8, 37.5], [21.5, 36.8], [21, 38.5], [19.5, 40.5],
+        [19.5, 42], [15.5, 44], [13.5, 45.6], [12.3, 45.3], [12.5, 44], [14, 42.3], [16, 41.4], [18.5, 40.2],
+        [16.5, 38.8], [15.7, 38], [16, 39.5], [15, 40.2], [12.5, 41.5], [10.5, 43], [8.8, 44.4], [6.5, 43.1],
+        [3.2, 43.2], [3.2, 42], [0.8, 41], [-0.3, 39.5], [0, 38.7], [-0.8, 37.6], [-2.2, 36.7], [-4.4, 36.7],
+        [-5.6, 36], [-6.3, 36.8], [-7.4, 37.2], [-8.9, 37]
+    ],
+    // Great Britain, Ireland, Iceland, Sicily
+    [
+        [-5.7, 50], [1.5, 51.1], [1.7, 52.7], [0.3, 53.4], [-0.4, 54.5], [-1.6, 55.6], [-2, 56.5],
+        [-1.8, 57.6], [-3.1, 58.6], [-5, 58.6], [-6.2, 57.5], [-5.6, 55.4], [-4.6, 54.8], [-3.2, 54.4],
+        [-3, 53.3], [-4.6, 53.2], [-4.2, 52.2], [-5.2, 51.7], [-3.5, 51.4]
+    ],
+    [[-6, 52.2], [-6.2, 53.9], [-5.5, 54.6], [-7.3, 55.3], [-8.3, 55.1], [-10, 54.2], [-9.8, 53.5], [-10.3, 51.9], [-8.5, 51.6]],
+    [[-22.5, 64], [-22, 65.5], [-24, 65.6], [-21.5, 66.3], [-16, 66.5], [-13.7, 65.2], [-15, 64.3], [-18.7, 63.4]],
+    [[12.4, 38.1], [15.6, 38.3], [15.1, 36.7]],
+    // Africa and Madagascar
+    [
+        [-5.9, 35.8], [-2, 35.1], [3, 36.8], [10, 37.3], [11, 35.5], [10, 34], [12, 32.8], [15.2, 32.3],
+        [19.5, 30.3], [20, 32], [23, 32.5], [25, 31.5], [29, 30.9], [32.3, 31.2], [32.5, 29.9], [34, 27.5],
+        [35.5, 23.9], [37.2, 21], [38.5, 18], [39.3, 15.8], [41.2, 14.5], [43.3, 12.5], [44.5, 10.4],
+        [51.2, 11.8], [51, 10.5], [49.5, 6.5], [47.5, 4.5], [43, 0], [40.5, -2.5], [39, -6], [39.5, -10],
+        [40.5, -15], [37, -17.8], [35.3, -22.5], [32.8, -26], [32.4, -29], [30, -31.5], [27, -33.6],
+        [22.5, -34], [20, -34.8], [18.4, -34], [17.8, -31], [16.5, -28.5], [15, -26.5], [14.4, -22.5],
+        [12, -18], [11.8, -15.8], [13.5, -12], [13.2, -9], [12, -6], [12.3, -5], [9, -1], [9.5, 3.5],
+        [8.5, 4.5], [5.8, 4.3], [4.5, 6.3], [1, 6], [-2, 4.8], [-4.5, 5.2], [-7.5, 4.4], [-9.2, 5.2],
+        [-11.5, 6.9], [-13.2, 8.5], [-15, 10.8], [-16.7, 12.4], [-17.5, 14.7], [-16.3, 19], [-16.8, 21.5],
+        [-14.8, 24.5], [-13, 27.5], [-10, 29.5], [-9.6, 32], [-6.8, 34]
+    ],
+    [[44, -25], [47, -25], [50.5, -15.5], [49.5, -12], [47, -15], [44, -17], [43.5, -22]],
+    // Japan, Sri Lanka, the Philippines (Luzon) and Indonesia
+    [
+        [130, 31.5], [131.5, 31.5], [132, 33.8], [135, 33.5], [136.8, 34.5], [139.8, 35], [140.9, 36.5],
+        [141.5, 38.5], [142, 40], [141.3, 41.4], [140, 40.5], [140, 39], [138.5, 37.5], [137, 36.8],
+        [136, 36], [133, 35.5], [131, 34.3]
+    ],
+    [[140, 41.5], [141.5, 42.5], [143.3, 42], [145.5, 43.3], [144, 44.1], [141.8, 45.4], [141.3, 43.3]],
+    [[79.9, 6.8], [80.6, 5.9], [81.8, 7.3], [81.2, 8.6], [80, 9.8]],
+    [[120.6, 18.5], [122.3, 18.3], [122, 16], [121.6, 14], [124, 13.5], [121, 13.8], [120, 14.5]],
+    [[95.3, 5.6], [97.5, 5.2], [100.4, 2.3], [103.8, -1], [106, -3.1], [105.8, -5.8], [104.5, -5.9], [101.4, -2.8], [100, -0.5], [98.8, 1.7]],
+    [[109, 1.5], [110, -1.5], [111.5, -3], [114.5, -3.5], [116.5, -3], [116, 0], [118, 1], [119, 5], [117, 7], [115, 5], [113, 3.2], [111, 1.6]],
+    [[105.2, -6.8], [106, -5.9], [108.5, -6.5], [111, -6.4], [114.5, -7.7], [114.4, -8.7], [111, -8.2], [108, -7.8]],
+    [
+        [131, -1.3], [134, -0.8], [137.5, -1.5], [141, -2.6], [145, -4.3], [147.5, -6], [147.9, -8],
+        [150, -10.5], [146.8, -8.2], [144, -7.7], [141, -9.1], [138, -8.3], [138.5, -6.8], [135, -4.4], [132, -2.9]
+    ],
+    // Australia, Tasmania and New Zealand
+    [
+        [114, -22], [114.2, -26.3], [115, -30], [115, -33.6], [117.9, -35], [123.5, -33.9], [126, -32.3],
+        [131, -31.5], [135.5, -34.8], [138, -35.5], [138.5, -34.5], [140, -37.8], [143.5, -38.8],
+        [146.4, -39.1], [150, -37.5], [151.3, -33.8], [153.1, -30.5], [153.5, -28], [153, -25.4],
+        [150.8, -22.6], [149, -20.5], [146.3, -19], [145.4, -15], [143.5, -14], [142.5, -10.8], [141.5, -13.5],
+        [141.7, -17], [140, -17.7], [136.5, -15.8], [136.8, -12.2], [132.6, -11.5], [131, -12.2],
+        [129.5, -14.9], [126.2, -14.2], [122.2, -17.5], [121, -19.5], [117, -20.6]
+    ],
+    [[144.6, -40.7], [148.3, -40.9], [148, -43.2], [146, -43.6]],
+    [[172.7, -34.4], [174.5, -36.6], [175.9, -37.5], [178.5, -37.7], [177, -39.3], [176.5, -40.5], [174.8, -41.3], [174.6, -39.8], [173.8, -39.2], [174.6, -37.3]],
+    [[172.7, -40.5], [174.3, -41.7], [173, -43.5], [171.2, -44.5], [169.3, -46.6], [166.5, -46], [168.3, -44], [171.3, -41.8]]
+];
+
+const CITIES = {
+    US: {
+        'Atlanta, GA': [33.75, -84.39],
+        'Austin, TX': [30.27, -97.74],
+        'Baltimore, MD': [39.29, -76.61],
+        'Boston, MA': [42.36, -71.06],
+        'Charlotte, NC': [35.23, -80.84],
+        'Chicago, IL': [41.88, -87.63],
+        'Columbus, OH': [39.96, -83],
+        'Dallas, TX': [32.78, -96.8],
+        'Denver, CO': [39.74, -104.99],
+        'Detroit, MI': [42.33, -83.05],
+        'Honolulu, HI': [21.31, -157.86],
+        'Houston, TX': [29.76, -95.37],
+        'Indianapolis, IN': [39.77, -86.16],
+        'Kansas City, MO': [39.1, -94.58],
+        'Las Vegas, NV': [36.17, -115.14],
+        'Los Angeles, CA': [34.05, -118.24],
+        'Miami, FL': [25.76, -80.19],
+        'Minneapolis, MN': [44.98, -93.27],
+        'Nashville, TN': [36.16, -86.78],
+        'New Orleans, LA': [29.95, -90.07],
+        'New York, NY': [40.71, -74.01],
+        'Orlando, FL': [28.54, -81.38],
+        'Philadelphia, PA': [39.95, -75.17],
+        'Phoenix, AZ': [33.45, -112.07],
+        'Pittsburgh, PA': [40.44, -80],
+        'Portland, OR': [45.52, -122.68],
+        'Raleigh, NC': [35.78, -78.64],
+        'Salt Lake City, UT': [40.76, -111.89],
+        'San Antonio, TX': [29.42, -98.49],
+        'San Diego, CA': [32.72, -117.16],
+        'San Francisco, CA': [37.77, -122.42],
+        'San Jose, CA': [37.34, -121.89],
+        'Seattle, WA': [47.61, -122.33],
+        'St. Louis, MO': [38.63, -90.2],
+        'Tampa, FL': [27.95, -82.46],
+        'Washington, DC': [38.91, -77.04]
+    },
+    CA: {
+        Calgary: [51.05, -114.07],
+        Montreal: [45.5, -73.57],
+        Ottawa: [45.42, -75.7],
+        Toronto: [43.65, -79.38],
+        Vancouver: [49.28, -123.12]
+    },
+    MX: { 'Mexico City': [19.43, -99.13] },
+    BR: { 'Rio de Janeiro': [-22.91, -43.17], 'São Paulo': [-23.55, -46.63] },
+    AR: { 'Buenos Aires': [-34.6, -58.38] },
+    GB: { Edinburgh: [55.95, -3.19], London: [51.51, -0.13], Manchester: [53.48, -2.24] },
+    IE: { Dublin: [53.35, -6.26] },
+    FR: { Lyon: [45.76, 4.84], Paris: [48.86, 2.35] },
+    DE: { Berlin: [52.52, 13.4], Frankfurt: [50.11, 8.68], Hamburg: [53.55, 9.99], Munich: [48.14, 11.58] },
+    NL: { Amsterdam: [52.37, 4.9] },
+    BE: { Brussels: [50.85, 4.35] },
+    CH: { Geneva: [46.2, 6.14], Zurich: [47.38, 8.54] },
+    AT: { Vienna: [48.21, 16.37] },
+    ES: { Barcelona: [41.39, 2.17], Madrid: [40.42, -3.7] },
+    PT: { Lisbon: [38.72, -9.14] },
+    IT: { Milan: [45.46, 9.19], Rome: [41.9, 12.5] },
+    DK: { Copenhagen: [55.68, 12.57] },
+    SE: { Stockholm: [59.33, 18.07] },
+    NO: { Oslo: [59.91, 10.75] },
+    FI: { Helsinki: [60.17, 24.94] },
+    PL: { Warsaw: [52.23, 21.01] },
+    CZ: { Prague: [50.08, 14.44] },
+    GR: { Athens: [37.98, 23.73] },
+    TR: { Istanbul: [41.01, 28.98] },
+    AE: { 'Abu Dhabi': [24.45, 54.38], Dubai: [25.2, 55.27] },
+    IL: { 'Tel Aviv': [32.09, 34.78] },
+    EG: { Cairo: [30.04, 31.24] },
+    KE: { Nairobi: [-1.29, 36.82] },
+    NG: { Lagos: [6.52, 3.38] },
+    ZA: { 'Cape Town': [-33.92, 18.42], Johannesburg: [-26.2, 28.05] },
+    IN: { Bengaluru: [12.97, 77.59], Mumbai: [19.08, 72.88], 'New Delhi': [28.61, 77.21] },
+    SG: { Singapore: [1.35, 103.82] },
+    TH: { Bangkok: [13.76, 100.5] },
+    HK: { 'Hong Kong': [22.32, 114.17] },
+    CN: { Beijing: [39.9, 116.41], Shanghai: [31.23, 121.47] },
+    KR: { Seoul: [37.57, 126.98] },
+    JP: { Osaka: [34.69, 135.5], Tokyo: [35.68, 139.69] },
+    AU: { Melbourne: [-37.81, 144.96], Sydney: [-33.87, 151.21] },
+    NZ: { Auckland: [-36.85, 174.76] }
+};
+
+module.exports = { LAND, CITIES };
@@ -0,0 +1,86 @@
+/**
+ * Locales
+ * One dictionary per entry of `locales` in src/site.json, read from
+ * src/i18n/<code>.json. The first locale is the default and is built at the
+ * site root; the others are built in a directory named after their code
+ * (es/about.html). A dictionary has:
+ *
+ *   name       the language in that language, for the switcher ("Español")
+ *   ogLocale   Open Graph locale ("es_ES")
+ *   site       values that replace those of site.json (tagline, nav labels)
+ *   t          interface text for layouts and partials ({{ t.footer.connect }})
+ *   labels     generated content labels (see build/lib/content.js)
+ *   messages   browser text keyed by the English original (see js/i18n.js)
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Dotted paths of every string in a nested object
+ */
+function listKeys(object, prefix = '') {
+    return Object.keys(object).reduce((keys, key) => {
+        const value = object[key];
+        const keyPath = prefix ? `${prefix}.${key}` : key;
+        return keys.concat(value !== null && typeof value === 'object' ? listKeys(value, keyPath) : [keyPath]);
+    }, []);
+}
+
+/**
+ * Read and check one dictionary
+ */
+function readDictionary(dir, code) {
+    const relativePath = path.posix.join('src/i18n', `${code}.json`);
+    const filePath = path.join(dir, `${code}.json`);
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`${relativePath} is missing (listed in "locales" in src/site.json)`);
+    }
+
+    try {
+        const dictionary = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        if (!dictionary.name) throw new Error('needs a "name"');
+        if (!dictionary.t) throw new Error('needs the interface text under "t"');
+        return dictionary;
+    } catch (error) {
+        error.message = `${relativePath}: ${error.message}`;
+        throw error;
+    }
+}
+
+/**
+ * Dictionaries for the site's locales, default first
+ * Every locale must translate the same `t` keys as the default one
+ */
+function loadLocales(dir, codes) {
+    const locales = codes.map((code, index) => {
+        const dictionary = readDictionary(dir, code);
+        return {
+            code,
+            name: dictionary.name,
+            ogLocale: dictionary.ogLocale || '',
+            isDefault: index === 0,
+            // Output directory, with a trailing slash
+            dir: index === 0 ? '' : `${code}/`,
+            site: dictionary.site || {},
+            t: dictionary.t,
+            labels: dictionary.labels || {},
+            messages: dictionary.messages || {}
+        };
+    });
+
+    const expected = listKeys(locales[0].t);
+    locales.slice(1).forEach(locale => {
+        const keys = listKeys(locale.t);
+        const missing = expected.filter(key => !keys.includes(key));
+        if (missing.length > 0) {
+            throw new Error(`src/i18n/${locale.code}.json: missing ${missing.map(key => `"t.${key}"`).join(', ')}`);
+        }
+    });
+
+    return locales;
+}
+
+module.exports = { loadLocales };
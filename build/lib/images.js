@@ -0,0 +1,198 @@
+/**
+ * Responsive images
+ * build/images.js resizes the photos in the `source` folder (JPEG and PNG)
+ * into AVIF and WebP variants plus resized copies in their own format, and
+ * records each photo in images.json in the `output` folder: its size, a tiny
+ * blurred placeholder and the variants. The page build then turns every
+ * <img> of a recorded photo into a <picture> offering the variants to the
+ * browser, with the placeholder shown until the photo has loaded.
+ *
+ * `images` in src/site.json:
+ *
+ *   source            folder of the original photos
+ *   output            folder of the variants and images.json
+ *   widths            variant widths in pixels; those wider than a photo are skipped
+ *   formats           formats offered before the photo's own, best first
+ *   quality           { format: 1-100 }
+ *   placeholderWidth  width of the blurred placeholder
+ *   sizes             `sizes` of the images whose <img> has none
+ *   fallback          image shown in place of one that fails to load (js/main.js)
+ */
+
+'use strict';
+
+const path = require('path');
+
+const DEFAULTS = {
+    source: 'assets/images',
+    output: 'assets/images/optimized',
+    widths: [400, 800, 1200, 1600],
+    formats: ['avif', 'webp'],
+    quality: { avif: 50, webp: 75, jpeg: 80, png: 80 },
+    placeholderWidth: 16,
+    sizes: '100vw',
+    fallback: 'assets/images/placeholder.svg'
+};
+
+// Source extensions and the format of their variants
+const SOURCE_FORMATS = { '.jpg': 'jpeg', '.jpeg': 'jpeg', '.png': 'png' };
+
+// File extension and MIME type of each variant format
+const FORMATS = {
+    avif: { extension: 'avif', type: 'image/avif' },
+    webp: { extension: 'webp', type: 'image/webp' },
+    jpeg: { extension: 'jpg', type: 'image/jpeg' },
+    png: { extension: 'png', type: 'image/png' }
+};
+
+// An <img> tag; quoted attribute values may contain ">"
+const IMG_TAG = /<img\b(?:[^>"']|"[^"]*"|'[^']*')*>/gi;
+// One attribute after its whitespace: a bare name, or a double-quoted, single-quoted or unquoted value
+const ATTRIBUTE = /\s+([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/y;
+
+/**
+ * `images` of src/site.json over the defaults
+ */
+function getConfig(site) {
+    const images = site.images || {};
+    return Object.assign({}, DEFAULTS, images, {
+        quality: Object.assign({}, DEFAULTS.quality, images.quality)
+    });
+}
+
+/**
+ * Format of the variants of a photo in its own format, null for files that are not resized
+ */
+function getSourceFormat(fileName) {
+    return SOURCE_FORMATS[path.extname(fileName).toLowerCase()] || null;
+}
+
+/**
+ * Widths to resize a photo to: the configured ones narrower than the photo, and the photo's own
+ */
+function getWidths(config, width) {
+    return config.widths
+        .filter(size => size < width)
+        .concat(width)
+        .sort((a, b) => a - b);
+}
+
+/**
+ * Variant file of a photo: assets/images/team/portrait.jpg at 800 px in WebP is
+ * assets/images/optimized/team/portrait-800.webp
+ */
+function getVariantName(config, fileName, width, format) {
+    const relative = path.posix.relative(config.source, fileName);
+    const base = relative.slice(0, relative.length - path.posix.extname(relative).length);
+    return `${config.output}/${base}-${width}.${FORMATS[format].extension}`;
+}
+
+/**
+ * The variants of a photo: { format: [{ width, src }] }, its own format last
+ */
+function getVariants(config, fileName, width) {
+    const formats = config.formats.concat(getSourceFormat(fileName));
+    return formats.reduce((variants, format) => {
+        variants[format] = getWidths(config, width).map(size => ({
+            width: size,
+            src: getVariantName(config, fileName, size, format)
+        }));
+        return variants;
+    }, {});
+}
+
+/**
+ * Attributes of an <img> tag, in order: [[name, value]] with null for bare attributes
+ * Values are kept ready for double quotes. Null when the tag does not parse cleanly
+ */
+function parseAttributes(tag) {
+    const inner = tag.replace(/^<img\b/i, '').replace(/\s*\/?>$/, '');
+    const attributes = [];
+
+    ATTRIBUTE.lastIndex = 0;
+    while (ATTRIBUTE.lastIndex < inner.length) {
+        const match = ATTRIBUTE.exec(inner);
+        if (!match) return null;
+
+        const [, name, doubleQuoted, singleQuoted, unquoted] = match;
+        const value = [doubleQuoted, singleQuoted, unquoted].find(part => part !== undefined);
+        attributes.push([name, value === undefined ? null : value.replace(/"/g, '&quot;')]);
+    }
+    return attributes;
+}
+
+/**
+ * Attributes back into tag form
+ */
+function formatAttributes(attributes) {
+    return attributes
+        .map(([name, value]) => (value === null ? ` ${name}` : ` ${name}="${value}"`))
+        .join('');
+}
+
+/**
+ * Path from the site root of an image used on a page, null for other sites and absolute paths
+ */
+function resolveImage(pageFile, src) {
+    if (/^(?:[a-z][a-z\d+.-]*:|\/)/i.test(src)) return null;
+    return path.posix.normalize(path.posix.join(path.posix.dirname(pageFile), src.replace(/[?#].*$/, '')));
+}
+
+/**
+ * <picture> for an <img> of a recorded photo
+ * Images lazy-loaded by js/main.js (data-src) get data-srcset so they still
+ * wait for it; the others are left to the browser (loading="lazy" or not)
+ */
+function buildPicture(attributes, image, { config, root }) {
+    const lazy = attributes.some(([name]) => name === 'data-src');
+    const srcsetName = lazy ? 'data-srcset' : 'srcset';
+    const sizes = (attributes.find(([name]) => name === 'sizes') || [])[1] || config.sizes;
+    const toSrcset = variants => variants.map(variant => `${root}${variant.src} ${variant.width}w`).join(', ');
+
+    const formats = Object.keys(image.variants);
+    const ownFormat = formats[formats.length - 1];
+
+    const img = attributes.filter(([name]) => name !== 'sizes');
+    img.push([srcsetName, toSrcset(image.variants[ownFormat])], ['sizes', sizes]);
+    // Reserve the space so the page does not jump when the photo arrives
+    if (!attributes.some(([name]) => name === 'width' || name === 'height')) {
+        img.push(['width', String(image.width)], ['height', String(image.height)]);
+    }
+
+    const sources = formats.slice(0, -1).map(format => (
+        `<source type="${FORMATS[format].type}" ${srcsetName}="${toSrcset(image.variants[format])}" sizes="${sizes}">`
+    ));
+
+    return [
+        `<picture class="image-placeholder" style="background-image: url(${image.placeholder})">`,
+        ...sources,
+        `<img${formatAttributes(img)}>`,
+        '</picture>'
+    ].join('');
+}
+
+/**
+ * Replace the <img> tags of a page that show a recorded photo by a <picture>
+ * manifest: images.json; pageFile: the page's path from the site root; root: its prefix back to the root
+ */
+function transformImages(html, { manifest, config, pageFile, root }) {
+    if (Object.keys(manifest).length === 0) return html;
+
+    return html.replace(IMG_TAG, tag => {
+        const attributes = parseAttributes(tag);
+        // Anything the scanner cannot read is left as the author wrote it
+        if (!attributes) return tag;
+
+        const get = name => (attributes.find(([attribute]) => attribute === name) || [])[1];
+
+        // Hand-written srcsets are left alone
+        if (get('srcset') !== undefined || get('data-srcset') !== undefined) return tag;
+
+        const src = get('data-src') || get('src');
+        const fileName = src ? resolveImage(pageFile, src) : null;
+        const image = fileName ? manifest[fileName] : null;
+        return image ? buildPicture(attributes, image, { config, root }) : tag;
+    });
+}
+
+module.exports = { getConfig, getSourceFormat, getVariants, transformImages };
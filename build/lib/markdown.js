@@ -0,0 +1,204 @@
+/**
+ * Markdown
+ * The subset of Markdown used by the blog posts in src/posts/:
+ *
+ *   ## Heading               <h2 id="heading"> (ids are unique within a post)
+ *   paragraphs, > quotes, ---
+ *   - lists / 1. lists       nested by indenting two or more spaces
+ *   ```lang … ```            code blocks
+ *   **strong** *em* `code` [link](url "title") ![alt](src) <https://…>
+ *   <figure>…</figure>       HTML blocks are copied as they are
+ *
+ * Text is HTML-escaped; a backslash escapes a Markdown character (\*).
+ */
+
+'use strict';
+
+const { escapeHtml } = require('./template');
+
+const BLOCK_START = /^(#{1,6}[ \t]|>|```|\s*(?:[-*+]|\d+[.)])[ \t]|\s*(?:-[ \t]*){3,}$|\s*(?:\*[ \t]*){3,}$|<[a-zA-Z/!])/;
+const LIST_ITEM = /^(\s*)([-*+]|\d+[.)])[ \t]+(.*)$/;
+const HTML_BLOCK = /^<(?:[a-zA-Z][\w-]*|\/[a-zA-Z]|!--)/;
+
+/**
+ * URL-safe id from text: "Trust & Teams" -> "trust-teams"
+ */
+function slugify(text) {
+    return String(text)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/&[a-z]+;|&#\d+;/g, '')
+        .replace(/['’]/g, '')
+        .replace(/[^\p{L}\p{N}]+/gu, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Inline formatting of one block of text
+ */
+function renderInline(text) {
+    const stash = [];
+    // Keep finished HTML away from the later replacements
+    const keep = html => `\u0000${stash.push(html) - 1}\u0000`;
+
+    let html = text
+        .replace(/\\([\\`*_[\]()#+\-.!<>])/g, (match, char) => keep(escapeHtml(char)))
+        .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => keep(`<code>${escapeHtml(code.trim())}</code>`))
+        .replace(/<(https?:\/\/[^>\s]+)>/g, (match, url) => keep(`<a href="${escapeHtml(url)}">${escapeHtml(url)}</a>`));
+
+    html = escapeHtml(html)
+        .replace(/!\[([^\]]*)\]\(([^)\s]+)(?:\s+&quot;(.*?)&quot;)?\)/g, (match, alt, src, title) => (
+            keep(`<img src="${src}" alt="${alt}"${title ? ` title="${title}"` : ''} loading="lazy">`)
+        ))
+        .replace(/\[([^\]]+)\]\(([^)\s]+)(?:\s+&quot;(.*?)&quot;)?\)/g, (match, label, href, title) => (
+            `<a href="${href}"${title ? ` title="${title}"` : ''}>${label}</a>`
+        ))
+        .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+        .replace(/(\*|_)(?=\S)([\s\S]*?\S)\1(?![\w*])/g, '<em>$2</em>')
+        .replace(/ {2,}\n/g, '<br>\n');
+
+    return html.replace(/\u0000(\d+)\u0000/g, (match, index) => stash[index]);
+}
+
+/**
+ * Lines of a list item's continuation, without the item's indentation
+ */
+function outdent(lines, width) {
+    return lines.map(line => line.slice(Math.min(width, line.length - line.trimStart().length)));
+}
+
+/**
+ * Render block-level Markdown; `ids` tracks heading ids already used
+ */
+function renderBlocks(lines, ids) {
+    const output = [];
+    let index = 0;
+
+    while (index < lines.length) {
+        const line = lines[index];
+
+        if (!line.trim()) {
+            index++;
+            continue;
+        }
+
+        // Fenced code block
+        const fence = line.match(/^```\s*([\w-]*)\s*$/);
+        if (fence) {
+            const code = [];
+            index++;
+            while (index < lines.length && !/^```\s*$/.test(lines[index])) {
+                code.push(lines[index++]);
+            }
+            index++;
+            const language = fence[1] ? ` class="language-${fence[1]}"` : '';
+            output.push(`<pre><code${language}>${escapeHtml(code.join('\n'))}</code></pre>`);
+            continue;
+        }
+
+        // Heading
+        const heading = line.match(/^(#{1,6})[ \t]+(.*?)[ \t#]*$/);
+        if (heading) {
+            const level = heading[1].length;
+            const content = renderInline(heading[2]);
+            const base = slugify(content.replace(/<[^>]*>/g, '')) || 'section';
+            let id = base;
+            for (let count = 2; ids.has(id); count++) {
+                id = `${base}-${count}`;
+            }
+            ids.add(id);
+            output.push(`<h${level} id="${id}">${content}</h${level}>`);
+            index++;
+            continue;
+        }
+
+        // Horizontal rule
+        if (/^\s*(?:(?:-[ \t]*){3,}|(?:\*[ \t]*){3,})$/.test(line)) {
+            output.push('<hr>');
+            index++;
+            continue;
+        }
+
+        // Blockquote
+        if (line.startsWith('>')) {
+            const quote = [];
+            while (index < lines.length && lines[index].trim()) {
+                quote.push(lines[index++].replace(/^>[ \t]?/, ''));
+            }
+            output.push(`<blockquote>\n${renderBlocks(quote, ids)}\n</blockquote>`);
+            continue;
+        }
+
+        // HTML block, up to the next blank line
+        if (HTML_BLOCK.test(line)) {
+            const block = [];
+            while (index < lines.length && lines[index].trim()) {
+                block.push(lines[index++]);
+            }
+            output.push(block.join('\n'));
+            continue;
+        }
+
+        // List
+        const item = line.match(LIST_ITEM);
+        if (item) {
+            const indent = item[1].length;
+            const ordered = /\d/.test(item[2]);
+            const start = ordered ? parseInt(item[2], 10) : 1;
+            const items = [];
+
+            while (index < lines.length) {
+                const current = lines[index].match(LIST_ITEM);
+                if (current && current[1].length === indent && /\d/.test(current[2]) === ordered) {
+                    items.push([current[3]]);
+                    index++;
+                } else if (lines[index].trim() && (lines[index].length - lines[index].trimStart().length) > indent) {
+                    // Continuation or nested list
+                    items[items.length - 1].push(lines[index++]);
+                } else if (!lines[index].trim() && index + 1 < lines.length && (lines[index + 1].length - lines[index + 1].trimStart().length) > indent) {
+                    items[items.length - 1].push('');
+                    index++;
+                } else {
+                    break;
+                }
+            }
+
+            const tag = ordered ? 'ol' : 'ul';
+            const startAttribute = ordered && start !== 1 ? ` start="${start}"` : '';
+            const rendered = items.map(itemLines => {
+                const [first, ...rest] = itemLines;
+                const nested = rest.length > 0 ? outdent(rest, indent + 2) : [];
+                const nestedStart = nested.findIndex(text => LIST_ITEM.test(text) || !text.trim());
+                if (nested.length === 0) return `<li>${renderInline(first)}</li>`;
+
+                // Text lines straight after the item belong to its first paragraph
+                const textLines = nestedStart === -1 ? nested : nested.slice(0, nestedStart);
+                const blocks = nestedStart === -1 ? [] : nested.slice(nestedStart);
+                const text = renderInline([first].concat(textLines.map(text => text.trim())).join('\n'));
+                return blocks.length > 0 ? `<li>${text}\n${renderBlocks(blocks, ids)}</li>` : `<li>${text}</li>`;
+            });
+            output.push(`<${tag}${startAttribute}>\n${rendered.join('\n')}\n</${tag}>`);
+            continue;
+        }
+
+        // Paragraph, up to a blank line or the start of another block
+        const paragraph = [line.trim()];
+        index++;
+        while (index < lines.length && lines[index].trim() && !BLOCK_START.test(lines[index])) {
+            paragraph.push(lines[index++].replace(/^[ \t]+/, ''));
+        }
+        output.push(`<p>${renderInline(paragraph.join('\n'))}</p>`);
+    }
+
+    return output.join('\n');
+}
+
+/**
+ * HTML for a Markdown document
+ */
+function renderMarkdown(text) {
+    return renderBlocks(text.replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n'), new Set());
+}
+
+module.exports = { renderMarkdown, slugify };
@@ -0,0 +1,85 @@
+/**
+ * Offline support
+ * The web app manifest (manifest.webmanifest) from `app` in src/site.json,
+ * and the service worker (sw.js): src/sw.js with the list of files to cache
+ * on install and a version that changes with every build that changes one of
+ * them. A new version is what makes browsers install the new service worker
+ * and js/pwa.js offer the visitor a refresh.
+ *
+ * `app` in src/site.json:
+ *
+ *   shortName        name under the home screen icon
+ *   themeColor       browser UI color of the installed app
+ *   backgroundColor  splash screen color
+ *   icons            [{ src, sizes, type, purpose }] with src relative to the site root
+ *   offlinePage      page shown for pages that are not cached, in every locale it is translated to
+ *   precachePages    pages outside the navigation also cached on install, in every locale
+ *   precacheDirs     folders whose files are all cached on install
+ *   dataFiles        files edited without a rebuild: cached on install, fetched from the network first
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+// Characters of the content hash used as the version
+const VERSION_LENGTH = 10;
+
+/**
+ * manifest.webmanifest contents, in the default language
+ */
+function buildManifest(site) {
+    const app = site.app || {};
+    return `${JSON.stringify({
+        name: site.name,
+        short_name: app.shortName || site.name,
+        description: site.tagline,
+        lang: site.lang,
+        start_url: './',
+        scope: './',
+        display: 'standalone',
+        theme_color: app.themeColor,
+        background_color: app.backgroundColor,
+        icons: app.icons || []
+    }, null, 4)}\n`;
+}
+
+/**
+ * Version of a set of files: a hash of their names and contents
+ * files: [{ fileName, contents }]
+ */
+function getVersion(files) {
+    const hash = crypto.createHash('sha256');
+    files
+        .slice()
+        .sort((a, b) => a.fileName.localeCompare(b.fileName))
+        .forEach(file => {
+            hash.update(`${file.fileName}\0`);
+            hash.update(file.contents);
+            hash.update('\0');
+        });
+    return hash.digest('hex').slice(0, VERSION_LENGTH);
+}
+
+/**
+ * sw.js contents
+ * precache: [{ fileName, contents }] cached on install, relative to the site root
+ * dataFiles: [fileName] also cached on install, left out of the version
+ * offlinePages: { localeDir: fileName } offline page for the pages under each locale folder
+ */
+function buildServiceWorker(source, { precache, dataFiles = [], offlinePages }) {
+    return [
+        '/* Generated by build/build.js from src/sw.js; do not edit */',
+        '',
+        "'use strict';",
+        '',
+        `const VERSION = '${getVersion(precache)}';`,
+        `const PRECACHE_URLS = ${JSON.stringify(precache.map(file => file.fileName), null, 4)};`,
+        `const DATA_URLS = ${JSON.stringify(dataFiles, null, 4)};`,
+        `const OFFLINE_PAGES = ${JSON.stringify(offlinePages, null, 4)};`,
+        '',
+        source
+    ].join('\n');
+}
+
+module.exports = { buildManifest, getVersion, buildServiceWorker };
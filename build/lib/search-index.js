@@ -0,0 +1,146 @@
+/**
+ * Search index
+ * Entries for the site search (js/search.js), written to search-index.json
+ * next to each locale's pages. Every page contributes its title, its <h2>
+ * sections and its topic and service cards; pages that list data with
+ * `search: [testimonials]` in their front matter also get an entry per item,
+ * linking to the list filtered down to that item.
+ *
+ * Entry: { type, page, title, text, url } with url relative to the locale's pages
+ */
+
+'use strict';
+
+// Hand-written cards indexed from the rendered page, by class name
+const CARD_TYPES = {
+    'topic-card': 'topic',
+    'service-card': 'service'
+};
+
+// Data collections a page can list with `search: [key]`
+const COLLECTIONS = {
+    testimonials: {
+        type: 'testimonial',
+        title: item => item.author,
+        text: item => `${item.role} — ${item.quote}`
+    },
+    events: {
+        type: 'event',
+        title: item => item.name,
+        text: item => `${item.location}, ${item.year} — ${item.description}`
+    }
+};
+
+// Longest text kept per entry; the browser shows a snippet of it
+const MAX_TEXT_LENGTH = 400;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'", nbsp: ' ' };
+
+/**
+ * Plain text of an HTML fragment, leaving out decorative (aria-hidden) elements
+ * and screen reader text (.sr-only), which repeats what the snippet shows
+ */
+function toText(html) {
+    return html
+        .replace(/<(\w+)\b[^>]*\b(?:aria-hidden="true"|class="[^"]*\bsr-only\b[^"]*")[^>]*>[\s\S]*?<\/\1>/g, ' ')
+        .replace(/<[^>]*>/g, ' ')
+        .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (match, name) => ENTITIES[name])
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Shorten text to a word boundary
+ */
+function truncate(text) {
+    if (text.length <= MAX_TEXT_LENGTH) return text;
+    const cut = text.slice(0, MAX_TEXT_LENGTH);
+    return `${cut.slice(0, cut.lastIndexOf(' '))}…`;
+}
+
+/**
+ * Entries for the headings and cards of a rendered page
+ * page: { fileName, label, description, type ('page' or 'post') }, body: the page's <main> content
+ */
+function indexPage(page, body) {
+    const entries = [];
+    const headings = [];
+    const headingPattern = /<h([12])\b([^>]*)>([\s\S]*?)<\/h\1>/g;
+    let match;
+
+    while ((match = headingPattern.exec(body)) !== null) {
+        const id = (match[2].match(/\bid="([^"]+)"/) || [])[1];
+        const hidden = /\bclass="[^"]*\bsr-only\b/.test(match[2]);
+        if (!id || hidden) continue;
+
+        headings.push({ id, index: match.index });
+
+        if (match[1] === '1') {
+            entries.push({ type: page.type, title: toText(match[3]), text: page.description, url: page.fileName });
+        } else {
+            // The section's text runs up to the next heading, form or footer
+            const rest = body.slice(headingPattern.lastIndex);
+            const next = rest.search(/<h[1-6]\b|<form\b|<footer\b|<\/section>/);
+            entries.push({
+                type: 'section',
+                title: toText(match[3]),
+                text: truncate(toText(next === -1 ? rest : rest.slice(0, next))),
+                url: `${page.fileName}#${id}`
+            });
+        }
+    }
+
+    const cardPattern = /<article class="([\w-]+)"[^>]*>([\s\S]*?)<\/article>/g;
+    while ((match = cardPattern.exec(body)) !== null) {
+        const type = CARD_TYPES[match[1]];
+        const title = match[2].match(/<h3\b[^>]*>([\s\S]*?)<\/h3>/);
+        if (!type || !title) continue;
+
+        // Cards link to themselves when they have an id, otherwise to the heading of their section
+        const cardId = (match[0].match(/^<article\b[^>]*\bid="([^"]+)"/) || [])[1];
+        const cardIndex = match.index;
+        const section = headings.filter(heading => heading.index < cardIndex).pop();
+        const anchor = cardId || (section && section.id);
+        entries.push({
+            type,
+            title: toText(title[1]),
+            text: truncate(toText(match[2].replace(title[0], ''))),
+            url: anchor ? `${page.fileName}#${anchor}` : page.fileName
+        });
+    }
+
+    return entries.map(entry => Object.assign({ page: page.label }, entry));
+}
+
+/**
+ * Entries for the data items a page lists (front matter `search: [key]`)
+ * Each links to the page's list (#<key>-list) with the filter set to the item
+ */
+function indexContent(page, keys, content) {
+    return keys.reduce((entries, key) => {
+        const collection = COLLECTIONS[key];
+        if (!collection) {
+            throw new Error(`Unknown search collection "${key}" (expected one of ${Object.keys(COLLECTIONS).join(', ')})`);
+        }
+
+        return entries.concat((content[key] || []).map(item => {
+            const title = collection.title(item);
+            return {
+                page: page.label,
+                type: collection.type,
+                title,
+                text: truncate(collection.text(item)),
+                url: `${page.fileName}?q=${encodeURIComponent(title)}#${key}-list`
+            };
+        }));
+    }, []);
+}
+
+/**
+ * search-index.json contents
+ */
+function buildSearchIndex(entries) {
+    return `${JSON.stringify({ entries }, null, 4)}\n`;
+}
+
+module.exports = { indexPage, indexContent, buildSearchIndex };
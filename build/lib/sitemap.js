@@ -0,0 +1,50 @@
+/**
+ * XML sitemap
+ * One <url> per generated page, with the page's translations listed as
+ * xhtml:link alternates (and an x-default pointing at the default locale)
+ */
+
+'use strict';
+
+const { escapeHtml } = require('./template');
+
+/**
+ * <url> block for one page
+ * entry: { url, lastmod, changefreq, priority, alternates: [{ lang, url }], defaultUrl }
+ */
+function renderUrl(entry) {
+    const lines = [`        <loc>${escapeHtml(entry.url)}</loc>`];
+
+    if (entry.alternates.length > 1) {
+        entry.alternates.forEach(alternate => {
+            lines.push(`        <xhtml:link rel="alternate" hreflang="${alternate.lang}" href="${escapeHtml(alternate.url)}"/>`);
+        });
+        lines.push(`        <xhtml:link rel="alternate" hreflang="x-default" href="${escapeHtml(entry.defaultUrl)}"/>`);
+    }
+    if (entry.lastmod) {
+        lines.push(`        <lastmod>${entry.lastmod}</lastmod>`);
+    }
+    if (entry.changefreq) {
+        lines.push(`        <changefreq>${entry.changefreq}</changefreq>`);
+    }
+    if (entry.priority !== undefined) {
+        lines.push(`        <priority>${Number(entry.priority).toFixed(1)}</priority>`);
+    }
+
+    return `    <url>\n${lines.join('\n')}\n    </url>`;
+}
+
+/**
+ * sitemap.xml contents for a list of page entries
+ */
+function buildSitemap(entries) {
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">',
+        ...entries.map(renderUrl),
+        '</urlset>',
+        ''
+    ].join('\n');
+}
+
+module.exports = { buildSitemap };
@@ -0,0 +1,121 @@
+/**
+ * Structured data from content
+ * JSON-LD builders a page can list under `schemas` in its front matter,
+ * so the markup and the schema.org data come from the same source
+ */
+
+'use strict';
+
+/**
+ * The site owner as the reviewed/performing Person
+ */
+function owner(site) {
+    return {
+        '@type': 'Person',
+        name: site.author,
+        url: site.url
+    };
+}
+
+const BUILDERS = {
+    /**
+     * Person with a Review per testimonial and the AggregateRating they add up to
+     */
+    reviews(site, content) {
+        const testimonials = content.testimonials || [];
+        const total = testimonials.reduce((sum, item) => sum + item.rating, 0);
+
+        return Object.assign({ '@context': 'https://schema.org' }, owner(site), {
+            aggregateRating: {
+                '@type': 'AggregateRating',
+                ratingValue: testimonials.length > 0 ? Math.round(total / testimonials.length * 10) / 10 : 0,
+                bestRating: 5,
+                reviewCount: testimonials.length
+            },
+            review: testimonials.map(item => ({
+                '@type': 'Review',
+                reviewBody: item.quote,
+                author: {
+                    '@type': 'Person',
+                    name: item.author,
+                    jobTitle: item.role
+                },
+                reviewRating: {
+                    '@type': 'Rating',
+                    ratingValue: item.rating,
+                    bestRating: 5
+                }
+            }))
+        });
+    },
+
+    /**
+     * An Event per past engagement
+     */
+    events(site, content) {
+        return {
+            '@context': 'https://schema.org',
+            '@graph': (content.events || []).map(item => ({
+                '@type': 'Event',
+                name: item.name,
+                startDate: item.date,
+                eventStatus: 'https://schema.org/EventScheduled',
+                eventAttendanceMode: 'https://schema.org/OfflineEventAttendanceMode',
+                description: item.description,
+                location: {
+                    '@type': 'Place',
+                    name: item.venue || item.city,
+                    address: Object.assign({
+                        '@type': 'PostalAddress',
+                        addressLocality: item.city
+                    }, item.state ? { addressRegion: item.state } : {}, {
+                        addressCountry: item.country
+                    })
+                },
+                performer: owner(site)
+            }))
+        };
+    },
+
+    /**
+     * Article for a blog post page (see build/lib/blog.js)
+     */
+    article(site, content, page) {
+        const post = page.post;
+        if (!post) throw new Error('"article" is only available on blog posts');
+
+        return Object.assign({
+            '@context': 'https://schema.org',
+            '@type': 'Article',
+            headline: post.title,
+            description: post.description,
+            url: page.url,
+            mainEntityOfPage: page.url,
+            inLanguage: page.lang,
+            datePublished: post.date,
+            dateModified: post.updated || post.date
+        }, post.image ? {
+            image: post.imageIsRelative ? `${site.url}/${post.image}` : post.image
+        } : {}, {
+            author: owner(site),
+            publisher: owner(site),
+            keywords: post.tags.map(tag => tag.name),
+            wordCount: post.wordCount,
+            timeRequired: `PT${post.readingTime}M`
+        });
+    }
+};
+
+/**
+ * JSON-LD objects for the builder names in a page's `schemas` list
+ */
+function buildStructuredData(names, site, content, page) {
+    return names.map(name => {
+        if (!BUILDERS[name]) {
+            throw new Error(`Unknown schema "${name}" (available: ${Object.keys(BUILDERS).join(', ')})`);
+        }
+        return BUILDERS[name](site, content, page);
+    });
+}
+
+module.exports = { buildStructuredData };
@@ -0,0 +1,209 @@
+/**
+ * Template engine
+ * Mustache-style tags for layouts, partials and pages:
+ *
+ *   {{ page.title }}           HTML-escaped value
+ *   {{{ content }}}            raw value
+ *   {{> header }}              partial from src/partials/header.html
+ *   {{> form id="footer" }}    partial with string parameters, e.g. {{ id }}
+ *   {{#if page.og.image}} … {{else}} … {{/if}}
+ *   {{#unless page.noindex}} … {{/unless}}
+ *   {{#each site.nav}} {{ label }} {{ @index }} {{/each}}
+ *
+ * Block tags and partials alone on a line leave no blank line behind, and
+ * a standalone partial is indented to match its tag
+ */
+
+'use strict';
+
+const TAG = /\{\{\{\s*([\w.@]+)\s*\}\}\}|\{\{\s*([#/>]?)\s*([\w.@-]+)((?:\s+[\w.@-]+(?:="[^"]*")?)*)\s*\}\}/g;
+const PARAM = /([\w-]+)="([^"]*)"/g;
+
+/**
+ * Escape text for HTML content and attribute values
+ */
+function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Split a template into text and tag tokens, removing the lines of standalone tags
+ */
+function tokenize(source) {
+    const tokens = [];
+    let lastIndex = 0;
+    let match;
+
+    TAG.lastIndex = 0;
+    while ((match = TAG.exec(source)) !== null) {
+        let start = match.index;
+        let end = TAG.lastIndex;
+        const token = match[1]
+            ? { type: 'var', path: match[1], raw: true }
+            : createTagToken(match[2], match[3], match[4]);
+
+        // A block tag or partial with only whitespace around it on its line
+        if (token.type !== 'var') {
+            const lineStart = source.lastIndexOf('\n', start - 1) + 1;
+            const lineEndIndex = source.indexOf('\n', end);
+            const lineEnd = lineEndIndex === -1 ? source.length : lineEndIndex;
+            const before = source.slice(lineStart, start);
+            const after = source.slice(end, lineEnd);
+
+            if (/^[ \t]*$/.test(before) && /^[ \t\r]*$/.test(after) && lineStart >= lastIndex) {
+                token.indent = before;
+                start = lineStart;
+                end = lineEndIndex === -1 ? source.length : lineEndIndex + 1;
+            }
+        }
+
+        if (start > lastIndex) {
+            tokens.push({ type: 'text', value: source.slice(lastIndex, start) });
+        }
+        tokens.push(token);
+        lastIndex = end;
+        TAG.lastIndex = end;
+    }
+
+    if (lastIndex < source.length) {
+        tokens.push({ type: 'text', value: source.slice(lastIndex) });
+    }
+    return tokens;
+}
+
+/**
+ * Token for a {{…}} tag
+ */
+function createTagToken(prefix, word, args) {
+    const argument = args.trim();
+    if (prefix === '>') {
+        const params = {};
+        for (const [, name, value] of argument.matchAll(PARAM)) {
+            params[name] = value;
+        }
+        return { type: 'partial', name: word, params };
+    }
+    if (prefix === '#') return { type: 'open', block: word, path: argument };
+    if (prefix === '/') return { type: 'close', block: word };
+    if (word === 'else') return { type: 'else' };
+    return { type: 'var', path: word, raw: false };
+}
+
+/**
+ * Build a tree from the flat token list
+ */
+function parse(tokens) {
+    const root = { children: [] };
+    const stack = [root];
+
+    tokens.forEach(token => {
+        const current = stack[stack.length - 1];
+        const target = current.inElse ? current.elseChildren : current.children;
+
+        if (token.type === 'open') {
+            if (!['if', 'unless', 'each'].includes(token.block)) {
+                throw new Error(`Unknown block "{{#${token.block}}}"`);
+            }
+            const node = { type: token.block, path: token.path, children: [], elseChildren: [], inElse: false };
+            target.push(node);
+            stack.push(node);
+        } else if (token.type === 'else') {
+            if (stack.length === 1) throw new Error('{{else}} outside a block');
+            current.inElse = true;
+        } else if (token.type === 'close') {
+            if (current.type !== token.block) {
+                throw new Error(`Unexpected "{{/${token.block}}}"${current.type ? ` (open block is "${current.type}")` : ''}`);
+            }
+            stack.pop();
+        } else {
+            target.push(token);
+        }
+    });
+
+    if (stack.length > 1) {
+        throw new Error(`Unclosed "{{#${stack[stack.length - 1].type}}}"`);
+    }
+    return root.children;
+}
+
+/**
+ * Resolve a dotted path against the innermost scope that defines its first segment
+ */
+function lookup(scopes, path) {
+    if (path === 'this') return scopes[0];
+
+    const [head, ...rest] = path.split('.');
+    const scope = scopes.find(item => item !== null && typeof item === 'object' && head in item);
+    if (!scope) return undefined;
+
+    return rest.reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), scope[head]);
+}
+
+/**
+ * Truthiness for blocks: empty arrays are false
+ */
+function isTruthy(value) {
+    return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * Render a node list
+ */
+function renderNodes(nodes, scopes, partials) {
+    return nodes.map(node => {
+        switch (node.type) {
+            case 'text':
+                return node.value;
+            case 'var': {
+                const value = lookup(scopes, node.path);
+                return node.raw ? (value === undefined || value === null ? '' : String(value)) : escapeHtml(value);
+            }
+            case 'partial': {
+                if (!(node.name in partials)) throw new Error(`Unknown partial "${node.name}"`);
+                // Parameters shadow the surrounding values inside the partial
+                const scope = Object.keys(node.params).length > 0 ? [node.params, ...scopes] : scopes;
+                const output = render(partials[node.name], scope, partials);
+                return node.indent ? output.replace(/^(?=.)/gm, node.indent) : output;
+            }
+            case 'if':
+            case 'unless': {
+                const condition = isTruthy(lookup(scopes, node.path));
+                const branch = condition === (node.type === 'if') ? node.children : node.elseChildren;
+                return renderNodes(branch, scopes, partials);
+            }
+            case 'each': {
+                const list = lookup(scopes, node.path);
+                if (!isTruthy(list)) return renderNodes(node.elseChildren, scopes, partials);
+                return list.map((item, index) => renderNodes(node.children, [
+                    item,
+                    { '@index': index, '@first': index === 0, '@last': index === list.length - 1 },
+                    ...scopes
+                ], partials)).join('');
+            }
+            default:
+                return '';
+        }
+    }).join('');
+}
+
+const cache = new Map();
+
+/**
+ * Render a template string with a data object (or a scope chain) and named partials
+ */
+function render(source, data, partials = {}) {
+    if (!cache.has(source)) {
+        cache.set(source, parse(tokenize(source)));
+    }
+    const scopes = Array.isArray(data) ? data : [data];
+    return renderNodes(cache.get(source), scopes, partials);
+}
+
+module.exports = {
+    escapeHtml,
+    render
+};
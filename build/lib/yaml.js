@@ -0,0 +1,291 @@
+/**
+ * YAML subset parser
+ * Covers what front matter and content files need: nested maps, lists of
+ * scalars or maps, `|` and `>` block scalars, quoted strings, booleans,
+ * numbers, null and flow lists like [a, b]. Anchors, tags and multi-document
+ * streams are not supported. Dates stay strings.
+ */
+
+'use strict';
+
+const KEY = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s#'"\[\]{}-][^:]*?|-[^\s:][^:]*?)[ \t]*:(?:[ \t]+(.*))?$/;
+const NUMBER = /^[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?$/;
+
+/**
+ * Error with the 1-based source line
+ */
+function syntaxError(message, lineIndex) {
+    return new Error(`YAML line ${lineIndex + 1}: ${message}`);
+}
+
+/**
+ * Blank or comment-only line
+ */
+function isBlank(line) {
+    return /^[ \t]*(?:#.*)?$/.test(line);
+}
+
+/**
+ * Leading spaces (tabs are not valid YAML indentation)
+ */
+function indentOf(line) {
+    return line.match(/^ */)[0].length;
+}
+
+/**
+ * Skip blank and comment lines; returns false at the end of input
+ */
+function skipBlank(state) {
+    while (state.index < state.lines.length && isBlank(state.lines[state.index])) {
+        state.index++;
+    }
+    return state.index < state.lines.length;
+}
+
+/**
+ * Whether a line starts a list item
+ */
+function isListItem(text) {
+    return text === '-' || text.startsWith('- ');
+}
+
+/**
+ * Split a flow list body on commas outside quotes and brackets
+ */
+function splitFlow(body) {
+    const parts = [];
+    let depth = 0;
+    let quote = '';
+    let current = '';
+
+    for (const char of body) {
+        if (quote) {
+            if (char === quote) quote = '';
+        } else if (char === '"' || char === '\'') {
+            quote = char;
+        } else if (char === '[' || char === '{') {
+            depth++;
+        } else if (char === ']' || char === '}') {
+            depth--;
+        } else if (char === ',' && depth === 0) {
+            parts.push(current);
+            current = '';
+            continue;
+        }
+        current += char;
+    }
+
+    if (current.trim() !== '') {
+        parts.push(current);
+    }
+    return parts.map(part => part.trim());
+}
+
+/**
+ * Convert an inline value
+ */
+function parseScalar(raw, lineIndex) {
+    const text = raw.trim();
+
+    if (text.startsWith('"')) {
+        const match = text.match(/^"((?:[^"\\]|\\.)*)"[ \t]*(?:#.*)?$/);
+        if (!match) throw syntaxError('Unterminated double-quoted string', lineIndex);
+        return JSON.parse(`"${match[1].replace(/\\'/g, '\'')}"`);
+    }
+
+    if (text.startsWith('\'')) {
+        const match = text.match(/^'((?:[^']|'')*)'[ \t]*(?:#.*)?$/);
+        if (!match) throw syntaxError('Unterminated single-quoted string', lineIndex);
+        return match[1].replace(/''/g, '\'');
+    }
+
+    const plain = text.replace(/[ \t]+#.*$/, '');
+
+    if (plain.startsWith('[')) {
+        if (!plain.endsWith(']')) throw syntaxError('Unterminated flow list', lineIndex);
+        return splitFlow(plain.slice(1, -1)).map(item => parseScalar(item, lineIndex));
+    }
+
+    if (plain.startsWith('{')) {
+        if (!plain.endsWith('}')) throw syntaxError('Unterminated flow map', lineIndex);
+        return splitFlow(plain.slice(1, -1)).reduce((map, pair) => {
+            const match = pair.match(KEY);
+            if (!match) throw syntaxError(`Invalid flow map entry "${pair}"`, lineIndex);
+            map[parseKey(match[1], lineIndex)] = parseScalar(match[2] || '', lineIndex);
+            return map;
+        }, {});
+    }
+
+    if (plain === '' || plain === '~' || plain === 'null') return null;
+    if (plain === 'true') return true;
+    if (plain === 'false') return false;
+    if (NUMBER.test(plain)) return Number(plain);
+    return plain;
+}
+
+/**
+ * Mapping key, unquoted if needed
+ */
+function parseKey(raw, lineIndex) {
+    return /^["']/.test(raw) ? String(parseScalar(raw, lineIndex)) : raw;
+}
+
+/**
+ * `|` (literal) or `>` (folded) block scalar, with optional - or + chomping
+ */
+function parseBlockScalar(state, parentIndent, indicator) {
+    const lines = [];
+    let blockIndent = -1;
+
+    while (state.index < state.lines.length) {
+        const line = state.lines[state.index];
+
+        if (/^[ \t]*$/.test(line)) {
+            lines.push('');
+        } else {
+            const indent = indentOf(line);
+            if (indent <= parentIndent) break;
+            if (blockIndent === -1) blockIndent = indent;
+            if (indent < blockIndent) throw syntaxError('Block scalar line is less indented than the first line', state.index);
+            lines.push(line.slice(blockIndent));
+        }
+        state.index++;
+    }
+
+    // Trailing blank lines are handled by the chomping indicator
+    let trailing = 0;
+    while (lines.length > 0 && lines[lines.length - 1] === '') {
+        lines.pop();
+        trailing++;
+    }
+
+    let text = lines.join('\n');
+    if (indicator[0] === '>') {
+        // Single line breaks become spaces; each extra blank line keeps one break
+        text = text.replace(/\n+/g, breaks => (breaks.length === 1 ? ' ' : '\n'.repeat(breaks.length - 1)));
+    }
+
+    if (text === '' || indicator.endsWith('-')) return text;
+    return indicator.endsWith('+') ? text + '\n'.repeat(trailing + 1) : `${text}\n`;
+}
+
+/**
+ * Value after "key:" or "- "; nested blocks start on the following lines
+ */
+function parseValue(state, indent, rest, lineIndex) {
+    const value = rest.replace(/^[ \t]*#.*$/, '').trim();
+
+    if (/^[|>][+-]?$/.test(value)) {
+        return parseBlockScalar(state, indent, value);
+    }
+    if (value !== '') {
+        return parseScalar(value, lineIndex);
+    }
+    if (!skipBlank(state)) return null;
+
+    const nextLine = state.lines[state.index];
+    const nextIndent = indentOf(nextLine);
+    if (nextIndent > indent) {
+        return parseNode(state, nextIndent);
+    }
+    // A list may sit at the same indentation as its key
+    if (nextIndent === indent && isListItem(nextLine.slice(nextIndent))) {
+        return parseSequence(state, indent);
+    }
+    return null;
+}
+
+/**
+ * Block mapping at a fixed indentation
+ */
+function parseMapping(state, indent) {
+    const map = {};
+
+    while (skipBlank(state)) {
+        const lineIndex = state.index;
+        const line = state.lines[lineIndex];
+        const lineIndent = indentOf(line);
+        const text = line.slice(lineIndent);
+
+        if (lineIndent < indent || (lineIndent === indent && isListItem(text))) break;
+        if (lineIndent > indent) throw syntaxError('Unexpected indentation', lineIndex);
+
+        const match = text.match(KEY);
+        if (!match) throw syntaxError(`Expected "key: value", found "${text}"`, lineIndex);
+
+        const key = parseKey(match[1], lineIndex);
+        if (Object.prototype.hasOwnProperty.call(map, key)) {
+            throw syntaxError(`Duplicate key "${key}"`, lineIndex);
+        }
+
+        state.index++;
+        map[key] = parseValue(state, indent, match[2] || '', lineIndex);
+    }
+
+    return map;
+}
+
+/**
+ * Block sequence at a fixed indentation
+ */
+function parseSequence(state, indent) {
+    const list = [];
+
+    while (skipBlank(state)) {
+        const lineIndex = state.index;
+        const line = state.lines[lineIndex];
+        const lineIndent = indentOf(line);
+        const text = line.slice(lineIndent);
+
+        if (lineIndent < indent || !isListItem(text)) break;
+        if (lineIndent > indent) throw syntaxError('Unexpected indentation', lineIndex);
+
+        const after = text.slice(1);
+        const content = after.trim();
+
+        if (KEY.test(content) && !/^[|>]/.test(content)) {
+            // "- key: value" opens a map whose other keys align with "key"
+            const itemIndent = indent + 1 + indentOf(after);
+            state.lines[lineIndex] = ' '.repeat(itemIndent) + content;
+            list.push(parseMapping(state, itemIndent));
+        } else {
+            state.index++;
+            list.push(parseValue(state, indent, content, lineIndex));
+        }
+    }
+
+    return list;
+}
+
+/**
+ * Map or list starting at the current line
+ */
+function parseNode(state, indent) {
+    const text = state.lines[state.index].slice(indent);
+    return isListItem(text) ? parseSequence(state, indent) : parseMapping(state, indent);
+}
+
+/**
+ * Parse a YAML document; an empty document gives null
+ */
+function parseYaml(source) {
+    const lines = String(source).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n');
+    const tabLine = lines.findIndex(line => /^ *\t/.test(line) && !isBlank(line));
+    if (tabLine !== -1) throw syntaxError('Tabs are not allowed for indentation', tabLine);
+
+    const state = { lines, index: 0 };
+    if (!skipBlank(state)) return null;
+
+    const first = lines[state.index];
+    const firstText = first.trim();
+    const value = isListItem(firstText) || KEY.test(firstText)
+        ? parseNode(state, indentOf(first))
+        : parseScalar(firstText, state.index++);
+
+    if (skipBlank(state)) {
+        throw syntaxError('Unexpected content', state.index);
+    }
+    return value;
+}
+
+module.exports = { parseYaml };
@@ -0,0 +1,65 @@
+/**
+ * Responsive image rewriting (build/lib/images.js) against a fixture manifest
+ *
+ * Usage: node --test build/test/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { getConfig, getVariants, transformImages } = require('../lib/images');
+
+const config = getConfig({});
+
+// images.json as build/images.js writes it, for one 1000 x 750 photo
+const manifest = {
+    'assets/images/team/portrait.jpg': {
+        width: 1000,
+        height: 750,
+        placeholder: 'data:image/webp;base64,AAAA',
+        variants: getVariants(config, 'assets/images/team/portrait.jpg', 1000)
+    }
+};
+
+/**
+ * Rewrite a fragment as it would appear on a page in es/
+ */
+function transform(html) {
+    return transformImages(html, { manifest, config, pageFile: 'es/about.html', root: '../' });
+}
+
+test('an <img> of a recorded photo becomes a <picture> with every format', () => {
+    const html = transform('<img src="../assets/images/team/portrait.jpg" alt="Portrait" loading="lazy">');
+
+    assert.match(html, /^<picture class="image-placeholder" style="background-image: url\(data:image\/webp;base64,AAAA\)">/);
+    assert.match(html, /<source type="image\/avif" srcset="\.\.\/assets\/images\/optimized\/team\/portrait-400\.avif 400w, .*portrait-1000\.avif 1000w" sizes="100vw">/);
+    assert.match(html, /<source type="image\/webp" srcset="[^"]*portrait-800\.webp 800w/);
+    assert.match(html, /<img src="\.\.\/assets\/images\/team\/portrait\.jpg" alt="Portrait" loading="lazy" srcset="[^"]*portrait-1000\.jpg 1000w" sizes="100vw" width="1000" height="750"><\/picture>$/);
+});
+
+test('lazy-loaded images get data-srcset and keep their own size and sizes', () => {
+    const html = transform('<img data-src="../assets/images/team/portrait.jpg" alt="" width="400" height="300" sizes="50vw">');
+
+    assert.doesNotMatch(html, / srcset=/);
+    assert.match(html, /<source type="image\/avif" data-srcset="[^"]+" sizes="50vw">/);
+    assert.match(html, /<img data-src="[^"]+" alt="" width="400" height="300" data-srcset="[^"]+" sizes="50vw">/);
+});
+
+test('">" and quotes inside attribute values stay part of the value', () => {
+    const html = transform('<p><img src="../assets/images/team/portrait.jpg" alt="Revenue > costs" title=\'The "before" shot\'> after</p>');
+
+    assert.match(html, /<img src="[^"]+" alt="Revenue > costs" title="The &quot;before&quot; shot" srcset=/);
+    assert.match(html, /<\/picture> after<\/p>$/);
+});
+
+test('other images, hand-written srcsets and unreadable tags are left alone', () => {
+    const fragments = [
+        '<img src="../assets/images/other.jpg" alt="Not recorded">',
+        '<img src="https://example.com/assets/images/team/portrait.jpg" alt="Other site">',
+        '<img src="../assets/images/team/portrait.jpg" srcset="custom.jpg 2x" alt="Own srcset">',
+        '<img src="../assets/images/team/portrait.jpg"alt="No space between attributes">'
+    ];
+
+    fragments.forEach(fragment => assert.strictEqual(transform(fragment), fragment));
+});
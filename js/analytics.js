@@ -0,0 +1,284 @@
+/**
+ * Analytics
+ * Consent-gated event tracking with pluggable adapters (GA4, Plausible,
+ * self-hosted endpoint), exposed as window.Analytics
+ *
+ * Configure by defining window.ANALYTICS_CONFIG before this script loads:
+ *   { adapters: ['plausible'], plausible: { domain: 'example.com' } }
+ */
+
+(function() {
+    'use strict';
+
+    const CONSENT_KEY = 'analytics-consent';
+
+    // Interface text in the page's language (js/i18n.js)
+    const t = window.I18n ? window.I18n.t : text => text;
+
+    const CONSENT_TEXT = 'We would like to use analytics to learn which pages are useful to you. ' +
+        'Nothing is collected unless you agree, and you can change your mind at any time ' +
+        'from "Cookie settings" at the bottom of every page.';
+
+    const config = Object.assign({
+        // Adapters to load once the visitor consents
+        adapters: ['endpoint'],
+        ga4: { measurementId: '' },
+        plausible: { domain: 'alexandrachen.com', src: 'https://plausible.io/js/script.manual.js' },
+        endpoint: { url: '/api/events' }
+    }, window.ANALYTICS_CONFIG);
+
+    const adapterFactories = {};
+    let activeAdapters = [];
+    let banner = null;
+
+    /**
+     * Add a script tag to the document head
+     */
+    function loadScript(src, attributes) {
+        const script = document.createElement('script');
+        script.async = true;
+        script.src = src;
+        Object.keys(attributes || {}).forEach(name => {
+            script.setAttribute(name, attributes[name]);
+        });
+        document.head.appendChild(script);
+    }
+
+    /**
+     * Register an adapter factory
+     * A factory receives its config section and returns { load(), page(), track(name, props) },
+     * or null when that section is incomplete
+     */
+    function registerAdapter(name, factory) {
+        adapterFactories[name] = factory;
+    }
+
+    /**
+     * Google Analytics 4 via gtag.js
+     */
+    registerAdapter('ga4', settings => settings.measurementId ? ({
+        load() {
+            window.dataLayer = window.dataLayer || [];
+            window.gtag = window.gtag || function() {
+                window.dataLayer.push(arguments);
+            };
+            window.gtag('js', new Date());
+            // Page views are sent by page() so every adapter behaves the same
+            window.gtag('config', settings.measurementId, { send_page_view: false, anonymize_ip: true });
+            loadScript(`https://www.googletagmanager.com/gtag/js?id=${encodeURIComponent(settings.measurementId)}`);
+        },
+        page() {
+            window.gtag('event', 'page_view', {
+                page_location: window.location.href,
+                page_title: document.title
+            });
+        },
+        track(name, props) {
+            window.gtag('event', name, props);
+        }
+    }) : null);
+
+    /**
+     * Plausible (manual script so page views are sent explicitly)
+     */
+    registerAdapter('plausible', settings => ({
+        load() {
+            window.plausible = window.plausible || function() {
+                (window.plausible.q = window.plausible.q || []).push(arguments);
+            };
+            loadScript(settings.src, { 'data-domain': settings.domain });
+        },
+        page() {
+            window.plausible('pageview');
+        },
+        track(name, props) {
+            window.plausible(name, { props });
+        }
+    }));
+
+    /**
+     * Self-hosted collection endpoint (POST /api/events on the local server)
+     */
+    registerAdapter('endpoint', settings => {
+        function send(name, props) {
+            const payload = JSON.stringify({
+                name,
+                props: props || {},
+                path: window.location.pathname,
+                referrer: document.referrer
+            });
+
+            // sendBeacon survives page unloads, e.g. when an outbound link is followed
+            if (navigator.sendBeacon && navigator.sendBeacon(settings.url, new Blob([payload], { type: 'application/json' }))) {
+                return;
+            }
+            fetch(settings.url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: payload,
+                keepalive: true
+            }).catch(() => {});
+        }
+
+        return {
+            load() {},
+            page() {
+                send('page_view');
+            },
+            track: send
+        };
+    });
+
+    /**
+     * Stored consent: 'granted', 'denied' or '' when the visitor has not chosen yet
+     * Global Privacy Control counts as a refusal
+     */
+    function getConsent() {
+        if (navigator.globalPrivacyControl) return 'denied';
+        try {
+            return localStorage.getItem(CONSENT_KEY) || '';
+        } catch (e) {
+            return '';
+        }
+    }
+
+    /**
+     * Remove first-party analytics cookies (GA sets _ga and _ga_<id>)
+     */
+    function clearAnalyticsCookies() {
+        document.cookie.split(';').forEach(cookie => {
+            const name = cookie.split('=')[0].trim();
+            if (name.startsWith('_ga')) {
+                document.cookie = `${name}=; Max-Age=0; path=/`;
+                document.cookie = `${name}=; Max-Age=0; path=/; domain=.${window.location.hostname}`;
+            }
+        });
+    }
+
+    /**
+     * Load the configured adapters and record the page view
+     */
+    function start() {
+        if (activeAdapters.length > 0) return;
+
+        activeAdapters = config.adapters
+            .filter(name => adapterFactories[name])
+            .map(name => adapterFactories[name](config[name] || {}))
+            .filter(Boolean);
+
+        activeAdapters.forEach(adapter => {
+            try {
+                adapter.load();
+                adapter.page();
+            } catch (error) {
+                console.warn('Analytics adapter failed to load', error);
+            }
+        });
+    }
+
+    /**
+     * Record the visitor's choice and start or stop tracking
+     */
+    function setConsent(value) {
+        try {
+            localStorage.setItem(CONSENT_KEY, value);
+        } catch (e) {
+            // Private mode: the choice lasts for this page only
+        }
+
+        hideBanner();
+
+        if (value === 'granted') {
+            start();
+        } else {
+            activeAdapters = [];
+            clearAnalyticsCookies();
+        }
+    }
+
+    /**
+     * Send an event to every active adapter; a no-op without consent
+     */
+    function track(name, props) {
+        activeAdapters.forEach(adapter => {
+            try {
+                adapter.track(name, props || {});
+            } catch (error) {
+                console.warn('Analytics event failed', error);
+            }
+        });
+    }
+
+    /**
+     * Hide the consent banner
+     */
+    function hideBanner() {
+        if (banner) {
+            banner.hidden = true;
+        }
+    }
+
+    /**
+     * Show the consent banner, creating it on first use
+     */
+    function showBanner() {
+        if (!banner) {
+            banner = document.createElement('div');
+            banner.className = 'consent-banner';
+            banner.setAttribute('role', 'region');
+            banner.setAttribute('aria-label', t('Cookie consent'));
+            banner.innerHTML = `
+                <p class="consent-text"></p>
+                <div class="consent-actions">
+                    <button type="button" class="btn btn-primary" data-consent="granted"></button>
+                    <button type="button" class="btn btn-outline" data-consent="denied"></button>
+                </div>
+            `;
+
+            banner.querySelector('.consent-text').textContent = t(CONSENT_TEXT);
+            banner.querySelector('[data-consent="granted"]').textContent = t('Accept analytics');
+            banner.querySelector('[data-consent="denied"]').textContent = t('Decline');
+
+            banner.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-consent]');
+                if (button) {
+                    setConsent(button.dataset.consent);
+                }
+            });
+
+            document.body.appendChild(banner);
+        }
+
+        banner.hidden = false;
+    }
+
+    /**
+     * Start tracking if consent was given before, otherwise ask
+     */
+    function init() {
+        if (!config.adapters.some(name => adapterFactories[name])) return;
+
+        document.addEventListener('click', (e) => {
+            if (e.target.closest('[data-consent-settings]')) {
+                e.preventDefault();
+                showBanner();
+                banner.querySelector('[data-consent]').focus();
+            }
+        });
+
+        const consent = getConsent();
+        if (consent === 'granted') {
+            start();
+        } else if (consent === '') {
+            showBanner();
+        }
+    }
+
+    window.Analytics = {
+        registerAdapter,
+        getConsent,
+        setConsent,
+        track,
+        init
+    };
+})();
@@ -0,0 +1,276 @@
+/**
+ * Availability calendar
+ * Keyboard-navigable month grid that shows booked/blocked dates from
+ * data/availability.json and writes the chosen date into a date input
+ *
+ * Markup: <div class="availability-calendar" data-calendar-input="event-date"></div>
+ */
+
+(function() {
+    'use strict';
+
+    const Availability = window.Availability;
+    if (!Availability) return;
+
+    // From the site root, so pages in locale directories (es/) find it too
+    const AVAILABILITY_URL = '/data/availability.json';
+
+    // Interface text in the page's language (js/i18n.js)
+    const t = window.I18n ? window.I18n.t : text => text;
+    // Dates are written in the page's language
+    const LOCALE = window.I18n ? window.I18n.locale : undefined;
+
+    const STATUS_LABELS = {
+        available: t('available'),
+        booked: t('booked'),
+        blocked: t('unavailable'),
+        past: t('in the past')
+    };
+
+    let availabilityPromise = null;
+    let calendarCount = 0;
+
+    /**
+     * Load the availability file once per page
+     */
+    function loadAvailability() {
+        if (!availabilityPromise) {
+            availabilityPromise = fetch(AVAILABILITY_URL, { headers: { 'Accept': 'application/json' } })
+                .then(response => (response.ok ? response.json() : {}))
+                .catch(() => ({}));
+        }
+        return availabilityPromise;
+    }
+
+    /**
+     * Copy of a date moved by a number of days
+     */
+    function addDays(date, days) {
+        const result = new Date(date);
+        result.setDate(result.getDate() + days);
+        return result;
+    }
+
+    /**
+     * Copy of a date moved by a number of months, clamped to the month's last day
+     */
+    function addMonths(date, months) {
+        const result = new Date(date.getFullYear(), date.getMonth() + months, 1);
+        const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+        result.setDate(Math.min(date.getDate(), lastDay));
+        return result;
+    }
+
+    /**
+     * Build one calendar bound to an input
+     */
+    function createCalendar(container, input, availability) {
+        const id = `availability-calendar-${++calendarCount}`;
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+
+        let focusedDate = Availability.parseIsoDate(input.value) || today;
+
+        container.innerHTML = `
+            <div class="calendar-header">
+                <button type="button" class="calendar-nav" data-calendar-prev aria-label="${t('Previous month')}">‹</button>
+                <h4 id="${id}-heading" class="calendar-title" aria-live="polite"></h4>
+                <button type="button" class="calendar-nav" data-calendar-next aria-label="${t('Next month')}">›</button>
+            </div>
+            <table class="calendar-grid" role="grid" aria-labelledby="${id}-heading">
+                <thead><tr></tr></thead>
+                <tbody></tbody>
+            </table>
+            <ul class="calendar-legend">
+                <li><span class="calendar-swatch is-available" aria-hidden="true"></span> ${t('Available')}</li>
+                <li><span class="calendar-swatch is-booked" aria-hidden="true"></span> ${t('Booked')}</li>
+                <li><span class="calendar-swatch is-blocked" aria-hidden="true"></span> ${t('Unavailable')}</li>
+            </ul>
+            <p class="calendar-hint">${t('Use the arrow keys to move between dates and Enter to choose one.')}</p>
+            <p class="calendar-status sr-only" aria-live="assertive"></p>
+        `;
+
+        const heading = container.querySelector('.calendar-title');
+        const headRow = container.querySelector('thead tr');
+        const body = container.querySelector('tbody');
+        const status = container.querySelector('.calendar-status');
+
+        // Weekday column headers, Sunday first
+        for (let day = 0; day < 7; day++) {
+            const date = addDays(new Date(2023, 0, 1), day);
+            const th = document.createElement('th');
+            th.scope = 'col';
+            th.abbr = date.toLocaleDateString(LOCALE, { weekday: 'long' });
+            th.textContent = date.toLocaleDateString(LOCALE, { weekday: 'short' });
+            headRow.appendChild(th);
+        }
+
+        /**
+         * Status of a date, treating past dates as unavailable
+         */
+        function getStatus(date) {
+            if (date < today) return 'past';
+            return Availability.getDateStatus(availability, Availability.toIsoDate(date));
+        }
+
+        /**
+         * Render the month containing the focused date
+         */
+        function render(moveFocus) {
+            const year = focusedDate.getFullYear();
+            const month = focusedDate.getMonth();
+            const selected = input.value;
+
+            heading.textContent = focusedDate.toLocaleDateString(LOCALE, { month: 'long', year: 'numeric' });
+            body.innerHTML = '';
+
+            let cursor = addDays(new Date(year, month, 1), -new Date(year, month, 1).getDay());
+            for (let week = 0; week < 6; week++) {
+                const row = document.createElement('tr');
+
+                for (let day = 0; day < 7; day++) {
+                    const cell = document.createElement('td');
+
+                    if (cursor.getMonth() === month) {
+                        const isoDate = Availability.toIsoDate(cursor);
+                        const cellStatus = getStatus(cursor);
+                        const label = cursor.toLocaleDateString(LOCALE, {
+                            weekday: 'long', month: 'long', day: 'numeric', year: 'numeric'
+                        });
+
+                        cell.textContent = cursor.getDate();
+                        cell.dataset.date = isoDate;
+                        cell.className = `calendar-day is-${cellStatus}`;
+                        cell.setAttribute('aria-label', `${label}, ${STATUS_LABELS[cellStatus]}`);
+                        cell.setAttribute('aria-selected', isoDate === selected ? 'true' : 'false');
+                        cell.tabIndex = isoDate === Availability.toIsoDate(focusedDate) ? 0 : -1;
+                        if (cellStatus !== 'available') {
+                            cell.setAttribute('aria-disabled', 'true');
+                        }
+                        if (cursor.getTime() === today.getTime()) {
+                            cell.classList.add('is-today');
+                        }
+                    }
+
+                    row.appendChild(cell);
+                    cursor = addDays(cursor, 1);
+                }
+
+                body.appendChild(row);
+            }
+
+            if (moveFocus) {
+                const focusedCell = body.querySelector('[tabindex="0"]');
+                if (focusedCell) focusedCell.focus();
+            }
+        }
+
+        /**
+         * Move focus to another date, re-rendering when the month changes
+         */
+        function moveTo(date) {
+            focusedDate = date;
+            render(true);
+        }
+
+        /**
+         * Write an available date into the input
+         */
+        function select(date) {
+            const cellStatus = getStatus(date);
+            if (cellStatus !== 'available') {
+                status.textContent = t('{date} is {status}. Please choose another date.', {
+                    date: date.toLocaleDateString(LOCALE),
+                    status: STATUS_LABELS[cellStatus]
+                });
+                return;
+            }
+
+            input.value = Availability.toIsoDate(date);
+            input.dispatchEvent(new Event('input', { bubbles: true }));
+            input.dispatchEvent(new Event('change', { bubbles: true }));
+            status.textContent = t('Selected {date}.', { date: date.toLocaleDateString(LOCALE) });
+
+            focusedDate = date;
+            render(true);
+        }
+
+        /**
+         * Grid keyboard model (WAI-ARIA date picker pattern)
+         */
+        function handleKeydown(e) {
+            const keyMoves = {
+                ArrowLeft: () => addDays(focusedDate, -1),
+                ArrowRight: () => addDays(focusedDate, 1),
+                ArrowUp: () => addDays(focusedDate, -7),
+                ArrowDown: () => addDays(focusedDate, 7),
+                Home: () => addDays(focusedDate, -focusedDate.getDay()),
+                End: () => addDays(focusedDate, 6 - focusedDate.getDay()),
+                PageUp: () => addMonths(focusedDate, e.shiftKey ? -12 : -1),
+                PageDown: () => addMonths(focusedDate, e.shiftKey ? 12 : 1)
+            };
+
+            if (keyMoves[e.key]) {
+                e.preventDefault();
+                moveTo(keyMoves[e.key]());
+            } else if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                select(focusedDate);
+            }
+        }
+
+        body.addEventListener('keydown', handleKeydown);
+
+        body.addEventListener('click', (e) => {
+            const cell = e.target.closest('[data-date]');
+            if (cell) {
+                select(Availability.parseIsoDate(cell.dataset.date));
+            }
+        });
+
+        container.querySelector('[data-calendar-prev]').addEventListener('click', () => {
+            focusedDate = addMonths(focusedDate, -1);
+            render(false);
+        });
+
+        container.querySelector('[data-calendar-next]').addEventListener('click', () => {
+            focusedDate = addMonths(focusedDate, 1);
+            render(false);
+        });
+
+        // Typing a date into the input moves the calendar to it
+        input.addEventListener('change', () => {
+            const date = Availability.parseIsoDate(input.value);
+            if (date) {
+                focusedDate = date;
+            }
+            render(false);
+        });
+
+        render(false);
+    }
+
+    /**
+     * Mount every calendar on the page
+     */
+    function init() {
+        const containers = document.querySelectorAll('.availability-calendar[data-calendar-input]');
+        if (containers.length === 0) return;
+
+        loadAvailability().then(availability => {
+            containers.forEach(container => {
+                const input = document.getElementById(container.dataset.calendarInput);
+                if (input) {
+                    createCalendar(container, input, availability);
+                }
+            });
+        });
+    }
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+})();
@@ -0,0 +1,60 @@
+/**
+ * Speaking availability
+ * Date helpers for data/availability.json shared by the browser (window.Availability)
+ * and the Node server (require('../js/availability'))
+ */
+
+(function(root, factory) {
+    'use strict';
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Availability = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    'use strict';
+
+    const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+    /**
+     * Format a local Date as YYYY-MM-DD
+     */
+    function toIsoDate(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * Parse YYYY-MM-DD into a local Date, or null
+     */
+    function parseIsoDate(value) {
+        const match = ISO_DATE.exec(String(value || ''));
+        if (!match) return null;
+
+        const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+        return toIsoDate(date) === value ? date : null;
+    }
+
+    /**
+     * Status of a date: 'booked', 'blocked' or 'available'
+     * ISO date strings compare correctly as plain strings
+     */
+    function getDateStatus(availability, isoDate) {
+        const data = availability || {};
+
+        if ((data.booked || []).includes(isoDate)) {
+            return 'booked';
+        }
+
+        const isBlocked = (data.blocked || []).some(range => isoDate >= range.start && isoDate <= range.end);
+        return isBlocked ? 'blocked' : 'available';
+    }
+
+    return {
+        toIsoDate,
+        parseIsoDate,
+        getDateStatus
+    };
+});
@@ -0,0 +1,335 @@
+/**
+ * Booking wizard
+ * Multi-step speaking request form (event details → audience → logistics → review)
+ * built on the FormHandler validation machinery, with steps addressable as #book/<step>
+ */
+
+(function() {
+    'use strict';
+
+    const wizardForm = document.getElementById('booking-wizard');
+    if (!wizardForm || !window.FormHandler || !window.ValidationSchema) return;
+
+    // Step hashes look like #book/audience; no element has that id, so the
+    // browser (and navigation.js) never tries to scroll to them
+    const HASH_PREFIX = '#book/';
+
+    // Interface text in the page's language (js/i18n.js)
+    const t = window.I18n ? window.I18n.t : text => text;
+
+    const controller = window.FormHandler.createFormController(wizardForm, window.ValidationSchema.contactSchema);
+    const formFields = controller.fields;
+
+    const steps = Array.from(wizardForm.querySelectorAll('.wizard-step'));
+    const stepNames = steps.map(step => step.dataset.step);
+    const progressItems = wizardForm.querySelectorAll('.wizard-progress-step');
+    const statusRegion = document.getElementById('wizard-status');
+    const summaryList = wizardForm.querySelector('.wizard-summary');
+    const backButton = wizardForm.querySelector('[data-wizard-back]');
+    const nextButton = wizardForm.querySelector('[data-wizard-next]');
+    const submitButton = wizardForm.querySelector('[data-wizard-submit]');
+    const successMessage = document.getElementById('form-success');
+    const queuedMessage = document.getElementById('form-queued');
+
+    let currentIndex = 0;
+
+    /**
+     * Field names that live inside a step, in document order
+     */
+    function getStepFields(index) {
+        const fieldNames = Object.keys(formFields);
+        return Array.from(steps[index].querySelectorAll('input, select, textarea'))
+            .map(element => fieldNames.find(fieldName => formFields[fieldName].element === element))
+            .filter(Boolean);
+    }
+
+    /**
+     * Check a step without showing errors
+     */
+    function isStepValid(index) {
+        const errors = window.ValidationSchema.validate(window.ValidationSchema.contactSchema, controller.getFormValues()).errors;
+        return getStepFields(index).every(fieldName => !errors[fieldName]);
+    }
+
+    /**
+     * Step index from the URL hash, or -1
+     */
+    function getStepFromHash() {
+        if (!window.location.hash.startsWith(HASH_PREFIX)) return -1;
+        return stepNames.indexOf(window.location.hash.slice(HASH_PREFIX.length));
+    }
+
+    /**
+     * Human-readable value of a field for the review summary
+     */
+    function getDisplayValue(element) {
+        if (element.tagName === 'SELECT') {
+            return element.value ? element.options[element.selectedIndex].text : '';
+        }
+        return element.value.trim();
+    }
+
+    /**
+     * Field label text without the required marker
+     */
+    function getLabelText(element) {
+        const label = wizardForm.querySelector(`label[for="${element.id}"]`);
+        return label ? label.firstChild.textContent.trim() : element.name;
+    }
+
+    /**
+     * Render the answers from the earlier steps on the review step
+     */
+    function renderSummary() {
+        if (!summaryList) return;
+        summaryList.innerHTML = '';
+
+        steps.slice(0, -1).forEach((step, index) => {
+            getStepFields(index).forEach(fieldName => {
+                const element = formFields[fieldName].element;
+                const value = getDisplayValue(element);
+
+                const term = document.createElement('dt');
+                term.textContent = getLabelText(element);
+
+                const detail = document.createElement('dd');
+                detail.textContent = value || t('Not specified');
+
+                const editLink = document.createElement('a');
+                editLink.href = HASH_PREFIX + stepNames[index];
+                editLink.className = 'wizard-edit-link';
+                editLink.textContent = t('Edit');
+                editLink.setAttribute('aria-label', t('Edit {field}', { field: term.textContent }));
+                detail.appendChild(document.createTextNode(' '));
+                detail.appendChild(editLink);
+
+                summaryList.appendChild(term);
+                summaryList.appendChild(detail);
+            });
+        });
+    }
+
+    /**
+     * Show a step and update the progress indicator and buttons
+     */
+    function renderStep(index, moveFocus) {
+        currentIndex = index;
+
+        steps.forEach((step, stepIndex) => {
+            step.hidden = stepIndex !== index;
+        });
+
+        progressItems.forEach((item, itemIndex) => {
+            item.classList.toggle('is-complete', itemIndex < index);
+            if (itemIndex === index) {
+                item.setAttribute('aria-current', 'step');
+            } else {
+                item.removeAttribute('aria-current');
+            }
+        });
+
+        const isLast = index === steps.length - 1;
+        backButton.hidden = index === 0;
+        nextButton.hidden = isLast;
+        submitButton.hidden = !isLast;
+
+        if (isLast) {
+            renderSummary();
+        }
+
+        const heading = steps[index].querySelector('.wizard-step-title');
+        if (statusRegion && heading) {
+            statusRegion.textContent = t('Step {step} of {total}: {title}', {
+                step: index + 1,
+                total: steps.length,
+                title: heading.textContent
+            });
+        }
+
+        if (moveFocus && heading) {
+            heading.focus({ preventScroll: true });
+            wizardForm.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+    }
+
+    /**
+     * Go to a step, falling back to the first earlier step that is incomplete
+     * `push` adds a history entry so the browser back button returns to the previous step
+     */
+    function goToStep(index, options) {
+        const settings = Object.assign({ push: true, moveFocus: true }, options);
+
+        let target = index;
+        for (let i = 0; i < index; i++) {
+            if (!isStepValid(i)) {
+                target = i;
+                break;
+            }
+        }
+
+        const hash = HASH_PREFIX + stepNames[target];
+        if (window.location.hash !== hash) {
+            if (settings.push && target === index) {
+                history.pushState(null, '', hash);
+            } else {
+                history.replaceState(null, '', hash);
+            }
+        }
+
+        renderStep(target, settings.moveFocus);
+
+        if (target !== index) {
+            controller.validateFields(getStepFields(target));
+        }
+    }
+
+    /**
+     * Validate the current step and move forward
+     */
+    function handleNext() {
+        if (!controller.validateFields(getStepFields(currentIndex))) return;
+        goToStep(currentIndex + 1);
+    }
+
+    /**
+     * Move back one step; field values stay in the form
+     */
+    function handleBack() {
+        if (currentIndex > 0) {
+            goToStep(currentIndex - 1);
+        }
+    }
+
+    /**
+     * Follow browser back/forward and in-page links between steps
+     */
+    function handleHashChange() {
+        const index = getStepFromHash();
+        if (index !== -1) {
+            goToStep(index, { push: false });
+        }
+    }
+
+    /**
+     * Go to the step holding the first invalid field
+     */
+    function showFirstInvalidStep() {
+        const invalidIndex = steps.findIndex((step, index) => getStepFields(index).some(fieldName => {
+            return formFields[fieldName].element.getAttribute('aria-invalid') === 'true';
+        }));
+
+        if (invalidIndex !== -1 && invalidIndex !== currentIndex) {
+            goToStep(invalidIndex, { push: false });
+            controller.validateFields(getStepFields(invalidIndex));
+        }
+    }
+
+    /**
+     * Show a status message and hide the other one
+     */
+    function showOutcome(message) {
+        [successMessage, queuedMessage].forEach(element => {
+            if (element) {
+                element.style.display = element === message ? 'block' : 'none';
+            }
+        });
+        if (message) {
+            message.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        }
+    }
+
+    /**
+     * Submit from the review step
+     */
+    async function handleSubmit(e) {
+        e.preventDefault();
+        showOutcome(null);
+
+        if (currentIndex !== steps.length - 1) {
+            handleNext();
+            return;
+        }
+
+        // Earlier steps may have been edited via the address bar; check everything
+        const allFields = steps.reduce((fieldNames, step, index) => fieldNames.concat(getStepFields(index)), []);
+        if (!controller.validateFields(allFields)) {
+            showFirstInvalidStep();
+            return;
+        }
+
+        const originalButtonText = submitButton.textContent;
+        submitButton.disabled = true;
+        submitButton.textContent = t('Sending...');
+
+        const outcome = await controller.submit();
+
+        if (outcome === 'failed') {
+            showFirstInvalidStep();
+            submitButton.disabled = false;
+            submitButton.textContent = originalButtonText;
+            return;
+        }
+
+        if (outcome === 'queued') {
+            if (queuedMessage) window.FormHandler.showQueuedReason(queuedMessage);
+            showOutcome(queuedMessage);
+        } else {
+            window.FormHandler.showCalendarDownload(successMessage, controller.getLastResult());
+            showOutcome(successMessage);
+        }
+
+        // Start over after a delay
+        setTimeout(() => {
+            controller.resetForm();
+            submitButton.disabled = false;
+            submitButton.textContent = originalButtonText;
+            goToStep(0, { push: false, moveFocus: false });
+        }, 3000);
+    }
+
+    /**
+     * Initialize the wizard
+     */
+    function init() {
+        nextButton.addEventListener('click', handleNext);
+        backButton.addEventListener('click', handleBack);
+        wizardForm.addEventListener('submit', handleSubmit);
+        window.addEventListener('hashchange', handleHashChange);
+
+        // Enter in a text field advances instead of submitting early
+        wizardForm.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && e.target.tagName === 'INPUT' && currentIndex < steps.length - 1) {
+                e.preventDefault();
+                handleNext();
+            }
+        });
+
+        const initialIndex = getStepFromHash();
+        if (initialIndex !== -1) {
+            goToStep(initialIndex, { push: false });
+        } else {
+            renderStep(0, false);
+        }
+
+        // Deliver requests queued while offline
+        window.FormHandler.startInquiryQueue({
+            onSent: () => {
+                window.FormHandler.showCalendarDownload(successMessage, null);
+                showOutcome(successMessage);
+            },
+            onFailed: (record) => {
+                showOutcome(null);
+                controller.fillForm(record.data, true);
+                goToStep(steps.length - 1, { push: false });
+                controller.showError('message', t(window.FormHandler.SUBMIT_ERROR_MESSAGE));
+            }
+        });
+    }
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+})();
@@ -0,0 +1,256 @@
+/**
+ * Carousel
+ * Slide show following the WAI-ARIA carousel pattern: rotation, previous
+ * and next controls, slide picker, autoplay that pauses on hover and focus,
+ * and swipe gestures. Exposed as window.Carousel.create(root, options).
+ *
+ * Markup: <div class="carousel" data-carousel aria-label="Client testimonials">
+ *             <div class="carousel-track"> …slides (e.g. .testimonial-card)… </div>
+ *         </div>
+ * Optional attributes: data-carousel-interval="7000", data-carousel-autoplay="false"
+ */
+
+(function() {
+    'use strict';
+
+    const DEFAULT_INTERVAL = 7000;
+    // Horizontal distance in px that counts as a swipe
+    const SWIPE_THRESHOLD = 50;
+
+    // Interface text in the page's language (js/i18n.js)
+    const t = window.I18n ? window.I18n.t : text => text;
+
+    let carouselCount = 0;
+
+    /**
+     * Button with a visually hidden label next to a decorative icon
+     */
+    function createButton(className, icon, label) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = className;
+        button.innerHTML = `<span aria-hidden="true">${icon}</span><span class="sr-only"></span>`;
+        button.querySelector('.sr-only').textContent = label;
+        return button;
+    }
+
+    /**
+     * Turn a container with a .carousel-track into a carousel
+     */
+    function create(root, options) {
+        const settings = Object.assign({
+            interval: Number(root.dataset.carouselInterval) || DEFAULT_INTERVAL,
+            autoplay: root.dataset.carouselAutoplay !== 'false'
+        }, options);
+
+        const track = root.querySelector('.carousel-track');
+        const slides = track ? Array.from(track.children) : [];
+        if (slides.length < 2) return null;
+
+        const id = `carousel-${++carouselCount}`;
+        // Same check as initScrollAnimations in main.js
+        const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+        let current = 0;
+        let rotating = settings.autoplay && !prefersReducedMotion;
+        let hovered = false;
+        let focused = false;
+        let timer = null;
+
+        root.setAttribute('role', 'region');
+        root.setAttribute('aria-roledescription', 'carousel');
+        track.id = track.id || `${id}-slides`;
+
+        slides.forEach((slide, index) => {
+            slide.classList.add('carousel-slide');
+            slide.setAttribute('role', 'group');
+            slide.setAttribute('aria-roledescription', 'slide');
+            slide.setAttribute('aria-label', t('{number} of {total}', { number: index + 1, total: slides.length }));
+        });
+
+        // Controls come before the slides so the rotation button is reached first
+        const slidesWrapper = Array.from(root.children).find(child => child.contains(track));
+        const controls = document.createElement('div');
+        controls.className = 'carousel-controls';
+
+        const rotationButton = createButton('carousel-rotation', '', '');
+        const previousButton = createButton('carousel-previous', '‹', t('Previous slide'));
+        const nextButton = createButton('carousel-next', '›', t('Next slide'));
+        [rotationButton, previousButton, nextButton].forEach(button => {
+            button.setAttribute('aria-controls', track.id);
+        });
+
+        const picker = document.createElement('div');
+        picker.className = 'carousel-picker';
+        picker.setAttribute('role', 'group');
+        picker.setAttribute('aria-label', t('Choose slide'));
+
+        const dots = slides.map((slide, index) => {
+            const dot = createButton('carousel-dot', '', t('Slide {number}', { number: index + 1 }));
+            dot.setAttribute('aria-controls', track.id);
+            dot.addEventListener('click', () => goTo(index));
+            picker.appendChild(dot);
+            return dot;
+        });
+
+        controls.append(rotationButton, previousButton, picker, nextButton);
+        root.insertBefore(controls, slidesWrapper);
+        root.classList.add('is-ready');
+
+        /**
+         * Rotation button icon and label for the current state
+         */
+        function updateRotationButton() {
+            rotationButton.querySelector('[aria-hidden]').textContent = rotating ? '❚❚' : '▶';
+            rotationButton.querySelector('.sr-only').textContent = rotating
+                ? t('Stop automatic slide show')
+                : t('Start automatic slide show');
+        }
+
+        /**
+         * Announce slide changes only when they are not automatic
+         */
+        function updateLiveRegion() {
+            track.setAttribute('aria-live', isPlaying() ? 'off' : 'polite');
+        }
+
+        /**
+         * Autoplay is on and nothing is pausing it
+         */
+        function isPlaying() {
+            return rotating && !hovered && !focused && !document.hidden;
+        }
+
+        /**
+         * (Re)start or clear the timer to match the current state
+         */
+        function schedule() {
+            clearInterval(timer);
+            timer = isPlaying() ? setInterval(() => goTo(current + 1), settings.interval) : null;
+            updateLiveRegion();
+        }
+
+        /**
+         * Show a slide; indexes wrap around
+         */
+        function goTo(index) {
+            current = (index + slides.length) % slides.length;
+            track.style.transform = `translateX(-${current * 100}%)`;
+
+            slides.forEach((slide, slideIndex) => {
+                const hidden = slideIndex !== current;
+                slide.setAttribute('aria-hidden', String(hidden));
+                // Keep links inside off-screen slides out of the tab order
+                slide.inert = hidden;
+            });
+
+            dots.forEach((dot, dotIndex) => {
+                if (dotIndex === current) {
+                    dot.setAttribute('aria-current', 'true');
+                } else {
+                    dot.removeAttribute('aria-current');
+                }
+            });
+
+            // Moving on restarts the countdown so a manual change gets a full interval
+            if (timer) schedule();
+        }
+
+        /**
+         * Start or stop autoplay from the rotation button
+         */
+        function setRotating(value) {
+            rotating = value;
+            updateRotationButton();
+            schedule();
+        }
+
+        rotationButton.addEventListener('click', () => setRotating(!rotating));
+        previousButton.addEventListener('click', () => goTo(current - 1));
+        nextButton.addEventListener('click', () => goTo(current + 1));
+
+        // Pause while the pointer is over the carousel or focus is inside it
+        root.addEventListener('mouseenter', () => {
+            hovered = true;
+            schedule();
+        });
+        root.addEventListener('mouseleave', () => {
+            hovered = false;
+            schedule();
+        });
+        root.addEventListener('focusin', () => {
+            focused = true;
+            schedule();
+        });
+        root.addEventListener('focusout', (e) => {
+            if (!root.contains(e.relatedTarget)) {
+                focused = false;
+                schedule();
+            }
+        });
+        document.addEventListener('visibilitychange', schedule);
+
+        // Arrow keys move between slides while a control has focus
+        controls.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+                e.preventDefault();
+                goTo(current + (e.key === 'ArrowRight' ? 1 : -1));
+                if (e.target.classList.contains('carousel-dot')) {
+                    dots[current].focus();
+                }
+            }
+        });
+
+        // Swipe on touch screens
+        let swipeStart = null;
+        track.addEventListener('pointerdown', (e) => {
+            if (e.pointerType !== 'mouse') {
+                swipeStart = { x: e.clientX, y: e.clientY };
+            }
+        });
+        track.addEventListener('pointerup', (e) => {
+            if (!swipeStart) return;
+            const dx = e.clientX - swipeStart.x;
+            const dy = e.clientY - swipeStart.y;
+            swipeStart = null;
+
+            if (Math.abs(dx) > SWIPE_THRESHOLD && Math.abs(dx) > Math.abs(dy)) {
+                goTo(current + (dx < 0 ? 1 : -1));
+            }
+        });
+        track.addEventListener('pointercancel', () => {
+            swipeStart = null;
+        });
+
+        updateRotationButton();
+        goTo(0);
+        schedule();
+
+        return {
+            goTo,
+            next: () => goTo(current + 1),
+            previous: () => goTo(current - 1),
+            play: () => setRotating(true),
+            stop: () => setRotating(false),
+            get current() {
+                return current;
+            }
+        };
+    }
+
+    /**
+     * Mount every carousel on the page
+     */
+    function init() {
+        document.querySelectorAll('[data-carousel]').forEach(root => create(root));
+    }
+
+    window.Carousel = { create };
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+})();
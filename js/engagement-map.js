@@ -0,0 +1,245 @@
+/**
+ * Engagements map
+ * Brings to life the map of src/partials/engagement-map.html, whose markers
+ * the build has placed from src/data/events.yml (see build/lib/event-map.js).
+ * Nothing is loaded from a map service, so it also works offline.
+ *
+ * - A marker opens a panel with the engagements held in its city; Escape or
+ *   the close button closes it and returns focus to the marker
+ * - The year filter (the map's own, or the select named by data-year-filter)
+ *   leaves out the markers and engagements of other years
+ * - Engagements dated after today are marked as upcoming
+ * - The list of engagements, shown without JavaScript, stays available to
+ *   screen readers
+ */
+
+(function() {
+    'use strict';
+
+    // Interface text in the page's language (js/i18n.js)
+    const t = window.I18n ? window.I18n.t : text => text;
+
+    /**
+     * Today as YYYY-MM-DD in the visitor's time zone
+     */
+    function getToday() {
+        const now = new Date();
+        const pad = value => String(value).padStart(2, '0');
+        return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+    }
+
+    /**
+     * "2024-09-18" in the page's language, e.g. "September 18, 2024"
+     */
+    function formatDate(isoDate) {
+        const [year, month, day] = isoDate.split('-').map(Number);
+        const date = new Date(year, month - 1, day);
+        const options = { year: 'numeric', month: 'long', day: 'numeric' };
+        return window.I18n ? window.I18n.formatDate(date, options) : date.toLocaleDateString(undefined, options);
+    }
+
+    /**
+     * Wire one map
+     */
+    function createMap(container) {
+        const controls = container.querySelector('.engagement-map-controls');
+        const markers = Array.from(container.querySelectorAll('.engagement-map-marker'));
+        const items = Array.from(container.querySelectorAll('.engagement-list-item'));
+        const list = container.querySelector('.engagement-list');
+        const details = container.querySelector('.engagement-map-details');
+        const status = container.querySelector('[data-map-status]');
+        const ownFilter = !container.dataset.yearFilter;
+        const yearSelect = ownFilter
+            ? container.querySelector('[data-map-year]')
+            : document.getElementById(container.dataset.yearFilter);
+        const noun = container.dataset.noun || 'items';
+
+        let openMarker = null;
+
+        /**
+         * Engagements of a marker that match the year filter
+         */
+        function getVisibleItems(marker) {
+            return items.filter(item => item.dataset.location === marker.id && !item.hidden);
+        }
+
+        /**
+         * Close the panel; focus goes back to its marker when asked
+         */
+        function closeDetails(restoreFocus) {
+            if (!openMarker) return;
+
+            const marker = openMarker;
+            openMarker = null;
+            marker.setAttribute('aria-expanded', 'false');
+            marker.classList.remove('is-active');
+            details.hidden = true;
+            details.innerHTML = '';
+
+            if (restoreFocus) {
+                marker.focus();
+            }
+        }
+
+        /**
+         * Fill the panel with the engagements of a marker
+         */
+        function renderDetails(marker) {
+            details.innerHTML = `
+                <div class="engagement-map-details-header">
+                    <h3 class="engagement-map-details-title" id="engagement-map-details-title" tabindex="-1"></h3>
+                    <button type="button" class="engagement-map-close"><span aria-hidden="true">×</span></button>
+                </div>
+                <ul class="engagement-map-events"></ul>
+            `;
+            details.setAttribute('role', 'region');
+            details.setAttribute('aria-labelledby', 'engagement-map-details-title');
+            details.querySelector('.engagement-map-details-title').textContent = marker.querySelector('.sr-only').textContent;
+            details.querySelector('.engagement-map-close').setAttribute('aria-label', t('Close'));
+
+            const events = details.querySelector('.engagement-map-events');
+            getVisibleItems(marker).forEach(item => {
+                const copy = item.cloneNode(true);
+                copy.removeAttribute('data-location');
+                // The full date rather than the year of the list
+                const time = copy.querySelector('time');
+                time.textContent = formatDate(time.getAttribute('datetime'));
+                events.appendChild(copy);
+            });
+        }
+
+        /**
+         * Open the panel of a marker and move focus to it
+         */
+        function openDetails(marker) {
+            if (openMarker && openMarker !== marker) {
+                closeDetails(false);
+            }
+
+            openMarker = marker;
+            marker.setAttribute('aria-expanded', 'true');
+            marker.classList.add('is-active');
+            renderDetails(marker);
+            details.hidden = false;
+            details.querySelector('.engagement-map-details-title').focus();
+        }
+
+        /**
+         * Announce the number of engagements shown (only with the map's own filter;
+         * another filter announces its own results)
+         */
+        function announce(count) {
+            if (!ownFilter || !status) return;
+
+            if (count === 0) {
+                status.textContent = t('No {noun} match your filters.', { noun });
+            } else if (count === items.length) {
+                status.textContent = t('Showing all {total} {noun}.', { total: items.length, noun });
+            } else {
+                status.textContent = t('Showing {count} of {total} {noun}.', { count, total: items.length, noun });
+            }
+        }
+
+        /**
+         * Show the markers and engagements of the selected year; returns how many are shown
+         */
+        function applyYear() {
+            const year = yearSelect ? yearSelect.value : '';
+            items.forEach(item => {
+                item.hidden = Boolean(year) && item.dataset.year !== year;
+            });
+
+            markers.forEach(marker => {
+                const visible = getVisibleItems(marker);
+                marker.hidden = visible.length === 0;
+                marker.classList.toggle('is-upcoming', visible.some(item => item.classList.contains('is-upcoming')));
+                // Cities with several engagements show how many
+                marker.querySelector('.engagement-map-count').textContent = visible.length > 1 ? visible.length : '';
+            });
+
+            if (openMarker) {
+                if (openMarker.hidden) {
+                    closeDetails(false);
+                } else {
+                    renderDetails(openMarker);
+                }
+            }
+
+            return items.filter(item => !item.hidden).length;
+        }
+
+        /**
+         * Year filter changed
+         */
+        function handleYearChange() {
+            announce(applyYear());
+        }
+
+        // Engagements still to come
+        const today = getToday();
+        items.forEach(item => {
+            if (item.dataset.date > today) {
+                item.classList.add('is-upcoming');
+                const badge = document.createElement('span');
+                badge.className = 'engagement-badge';
+                badge.textContent = t('Upcoming');
+                item.querySelector('.engagement-list-meta').appendChild(badge);
+            }
+        });
+        const upcomingKey = container.querySelector('[data-map-upcoming]');
+        if (upcomingKey) {
+            upcomingKey.hidden = !items.some(item => item.classList.contains('is-upcoming'));
+        }
+
+        markers.forEach(marker => {
+            marker.hidden = false;
+            marker.addEventListener('click', () => {
+                if (openMarker === marker) {
+                    closeDetails(true);
+                } else {
+                    openDetails(marker);
+                }
+            });
+        });
+
+        details.addEventListener('click', (e) => {
+            if (e.target.closest('.engagement-map-close')) {
+                closeDetails(true);
+            }
+        });
+
+        container.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && openMarker) {
+                e.preventDefault();
+                closeDetails(true);
+            }
+        });
+
+        if (yearSelect) {
+            yearSelect.addEventListener('change', handleYearChange);
+            // Fields are cleared after the reset event, so apply on the next tick
+            if (yearSelect.form) {
+                yearSelect.form.addEventListener('reset', () => setTimeout(handleYearChange, 0));
+            }
+        }
+
+        // The list stays for screen readers; sighted visitors use the map
+        list.classList.add('sr-only');
+        controls.hidden = false;
+        applyYear();
+    }
+
+    /**
+     * Set up every map on the page
+     */
+    function init() {
+        document.querySelectorAll('[data-engagement-map]').forEach(createMap);
+    }
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+})();
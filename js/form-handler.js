@@ -1,342 +1,746 @@
 /**
- * Contact form handling
- * Client-side validation, error handling, and submission logic
+ * Form handling
+ * Schema-driven validation, error handling, and submission logic shared by
+ * the contact form, the booking wizard and the newsletter signup (window.FormHandler)
  */
 
 (function() {
     'use strict';
 
-    const contactForm = document.getElementById('contact-form');
-    if (!contactForm) return;
-
-    const formFields = {
-        name: {
-            element: document.getElementById('name'),
-            error: document.getElementById('name-error'),
-            validator: validateName
-        },
-        email: {
-            element: document.getElementById('email'),
-            error: document.getElementById('email-error'),
-            validator: validateEmail
-        },
-        phone: {
-            element: document.getElementById('phone'),
-            error: document.getElementById('phone-error'),
-            validator: validatePhone,
-            required: false
-        },
-        subject: {
-            element: document.getElementById('subject'),
-            error: document.getElementById('subject-error'),
-            validator: validateSubject
-        },
-        message: {
-            element: document.getElementById('message'),
-            error: document.getElementById('message-error'),
-            validator: validateMessage
-        }
-    };
+    const ValidationSchema = window.ValidationSchema;
+    if (!ValidationSchema) return;
+
+    // Endpoints served by server/index.js
+    const CONTACT_ENDPOINT = '/api/contact';
+    const FORM_TOKEN_ENDPOINT = '/api/form-token';
+
+    // Interface text in the page's language (js/i18n.js)
+    const t = window.I18n ? window.I18n.t : text => text;
 
-    const successMessage = document.getElementById('form-success');
+    // Generic failure text; spam rejections use it too so bots learn nothing
+    const SUBMIT_ERROR_MESSAGE = 'Failed to send message. Please try again or contact us directly.';
+
+    // Humans take longer than this to fill in the form
+    const MIN_SUBMIT_MS = 3000;
 
     /**
-     * Validate name field
+     * Element id for a schema field (eventDate -> event-date)
      */
-    function validateName(value) {
-        if (!value || value.trim().length === 0) {
-            return 'Name is required';
-        }
-        if (value.trim().length < 2) {
-            return 'Name must be at least 2 characters';
-        }
-        if (value.trim().length > 100) {
-            return 'Name must be less than 100 characters';
-        }
-        return '';
+    function toElementId(fieldName) {
+        return fieldName.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
     }
 
     /**
-     * Validate email field
+     * Create the validation and submission machinery for a form driven by a schema
+     * Fields are found inside the form by id (`event-date`) with a matching `event-date-error` slot;
+     * `idPrefix` tells apart forms that appear more than once on a page (`newsletter-footer-email`)
      */
-    function validateEmail(value) {
-        if (!value || value.trim().length === 0) {
-            return 'Email is required';
+    function createFormController(form, schema, options) {
+        const settings = Object.assign({
+            endpoint: form.getAttribute('action') || CONTACT_ENDPOINT,
+            idPrefix: '',
+            // Field that receives form-level errors, and their text
+            errorField: 'message',
+            errorMessage: SUBMIT_ERROR_MESSAGE,
+            // Keep submissions made while offline in the inquiry queue
+            offlineQueue: true
+        }, options);
+
+        /**
+         * Build the field registry from the shared schema
+         */
+        const formFields = {};
+        Object.keys(schema).forEach(fieldName => {
+            const id = settings.idPrefix + toElementId(fieldName);
+            formFields[fieldName] = {
+                element: form.querySelector(`#${id}`),
+                error: form.querySelector(`#${id}-error`),
+                // Schema messages are English; show them in the page's language
+                validator: value => t(ValidationSchema.validateValue(schema[fieldName], value, getFormValues())),
+                required: schema[fieldName].required !== false
+            };
+        });
+
+        // Hidden field that only bots fill in
+        const honeypotField = form.querySelector('input[name="website"]');
+
+        let formStartedAt = Date.now();
+        let formToken = '';
+
+        // Response body of the last successful submission
+        let lastResult = null;
+
+        // Whether form_start has been tracked for the current inquiry
+        let hasStarted = false;
+
+        /**
+         * Record a funnel step (start, validation_error, submit, success...)
+         * Only the form id and field names are sent, never what was typed
+         */
+        function trackStep(step, props) {
+            if (window.Analytics) {
+                window.Analytics.track(`form_${step}`, Object.assign({ form: form.id || 'form' }, props));
+            }
         }
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        if (!emailRegex.test(value)) {
-            return 'Please enter a valid email address';
+
+        /**
+         * Read the current value of every registered field
+         */
+        function getFormValues() {
+            const values = {};
+            Object.keys(formFields).forEach(fieldName => {
+                const field = formFields[fieldName];
+                values[fieldName] = field.element ? field.element.value : '';
+            });
+            return values;
         }
-        return '';
-    }
 
-    /**
-     * Validate phone field (optional)
-     */
-    function validatePhone(value) {
-        if (!value || value.trim().length === 0) {
-            return ''; // Phone is optional
+        /**
+         * Whether a field currently applies (conditional fields depend on other values)
+         */
+        function isFieldActive(fieldName) {
+            return ValidationSchema.isActive(schema[fieldName], getFormValues());
         }
-        const phoneRegex = /^[\d\s\-\+\(\)]+$/;
-        if (!phoneRegex.test(value)) {
-            return 'Please enter a valid phone number';
+
+        /**
+         * Display error message
+         */
+        function showError(fieldName, message) {
+            const field = formFields[fieldName];
+            if (field && field.error) {
+                field.error.textContent = message;
+                field.error.style.display = 'block';
+                if (field.element) {
+                    field.element.setAttribute('aria-invalid', 'true');
+                    field.element.classList.add('error');
+                }
+            }
         }
-        return '';
-    }
 
-    /**
-     * Validate subject field
-     */
-    function validateSubject(value) {
-        if (!value || value.trim().length === 0) {
-            return 'Please select a subject';
+        /**
+         * Clear error message
+         */
+        function clearError(fieldName) {
+            const field = formFields[fieldName];
+            if (field && field.error) {
+                field.error.textContent = '';
+                field.error.style.display = 'none';
+                if (field.element) {
+                    field.element.setAttribute('aria-invalid', 'false');
+                    field.element.classList.remove('error');
+                }
+            }
         }
-        return '';
-    }
 
-    /**
-     * Validate message field
-     */
-    function validateMessage(value) {
-        if (!value || value.trim().length === 0) {
-            return 'Message is required';
+        /**
+         * Validate single field
+         */
+        function validateField(fieldName) {
+            const field = formFields[fieldName];
+            if (!field || !field.element) return true;
+
+            // Inactive conditional fields are not validated
+            if (!isFieldActive(fieldName)) {
+                clearError(fieldName);
+                return true;
+            }
+
+            const value = field.element.value;
+            const isRequired = field.required !== false;
+
+            // Skip validation if field is optional and empty
+            if (!isRequired && (!value || value.trim().length === 0)) {
+                clearError(fieldName);
+                return true;
+            }
+
+            const error = field.validator(value);
+            if (error) {
+                if (field.element.getAttribute('aria-invalid') !== 'true') {
+                    trackStep('validation_error', { field: fieldName });
+                }
+                showError(fieldName, error);
+                return false;
+            } else {
+                clearError(fieldName);
+                return true;
+            }
         }
-        if (value.trim().length < 10) {
-            return 'Message must be at least 10 characters';
+
+        /**
+         * Validate a group of fields and focus the first invalid one
+         */
+        function validateFields(fieldNames) {
+            let isValid = true;
+
+            fieldNames.forEach(fieldName => {
+                if (!validateField(fieldName)) {
+                    isValid = false;
+                }
+            });
+
+            if (!isValid) {
+                // Focus first error field
+                const firstError = fieldNames.find(fieldName => {
+                    const field = formFields[fieldName];
+                    return field && field.element && field.element.getAttribute('aria-invalid') === 'true';
+                });
+
+                if (firstError && formFields[firstError].element) {
+                    formFields[firstError].element.focus();
+                }
+            }
+
+            return isValid;
+        }
+
+        /**
+         * Validate all fields
+         */
+        function validateForm() {
+            return validateFields(Object.keys(formFields));
+        }
+
+        /**
+         * Show errors returned by the server and focus the first affected field
+         */
+        function showFieldErrors(fieldErrors) {
+            const fieldNames = Object.keys(fieldErrors).filter(fieldName => formFields[fieldName]);
+
+            if (fieldNames.length === 0) {
+                showError(settings.errorField, t(settings.errorMessage));
+                return;
+            }
+
+            fieldNames.forEach(fieldName => {
+                trackStep('validation_error', { field: fieldName, source: 'server' });
+                showError(fieldName, t(fieldErrors[fieldName]));
+            });
+
+            const firstField = formFields[fieldNames[0]].element;
+            if (firstField) {
+                firstField.focus();
+            }
+        }
+
+        /**
+         * Copy saved values into the form fields
+         */
+        function fillForm(values, onlyEmpty) {
+            Object.keys(formFields).forEach(fieldName => {
+                const field = formFields[fieldName];
+                if (!field.element || typeof values[fieldName] !== 'string') return;
+                if (onlyEmpty && field.element.value) return;
+                field.element.value = values[fieldName];
+            });
         }
-        if (value.trim().length > 2000) {
-            return 'Message must be less than 2000 characters';
+
+        /**
+         * Reset values and errors
+         */
+        function resetForm() {
+            form.reset();
+            Object.keys(formFields).forEach(fieldName => {
+                clearError(fieldName);
+            });
         }
-        return '';
+
+        /**
+         * Honeypot and time-to-submit checks
+         */
+        function isLikelyBot() {
+            if (honeypotField && honeypotField.value.trim().length > 0) {
+                return true;
+            }
+            return Date.now() - formStartedAt < MIN_SUBMIT_MS;
+        }
+
+        /**
+         * Replace the token used by this form
+         */
+        async function refreshFormToken() {
+            formToken = await requestFormToken();
+            return formToken;
+        }
+
+        /**
+         * Post the (already validated) form
+         * Resolves to 'sent', 'queued' (saved for later delivery) or 'failed' (errors shown)
+         */
+        async function submit() {
+            trackStep('submit');
+
+            // Refuse obvious bots before anything is sent
+            if (isLikelyBot()) {
+                showError(settings.errorField, t(settings.errorMessage));
+                return 'failed';
+            }
+
+            // Only fields that currently apply are sent
+            const data = ValidationSchema.validate(schema, getFormValues()).data;
+            data.website = honeypotField ? honeypotField.value : '';
+
+            let outcome = 'sent';
+            lastResult = null;
+            try {
+                data.formToken = formToken || await refreshFormToken();
+                lastResult = await submitInquiry(data, settings.endpoint);
+            } catch (error) {
+                if (error.fieldErrors) {
+                    // Map server-side validation errors back onto the form
+                    showFieldErrors(error.fieldErrors);
+                    return 'failed';
+                }
+
+                if (error.retryable && settings.offlineQueue && await queueInquiry(data)) {
+                    // Offline or server unavailable: keep it and send later
+                    outcome = 'queued';
+                } else {
+                    trackStep('submit_error');
+                    showError(settings.errorField, t(settings.errorMessage));
+
+                    // The token may have expired; replace it before a retry
+                    refreshFormToken();
+                    return 'failed';
+                }
+            }
+
+            trackStep(outcome === 'sent' ? 'success' : 'queued');
+            hasStarted = false;
+
+            // The token is single-use; get a fresh one for the next inquiry
+            formToken = '';
+            formStartedAt = Date.now();
+            refreshFormToken();
+
+            return outcome;
+        }
+
+        /**
+         * Validate fields on blur, and again while typing once they are invalid
+         */
+        function bindLiveValidation() {
+            Object.keys(formFields).forEach(fieldName => {
+                const field = formFields[fieldName];
+                if (field && field.element) {
+                    field.element.addEventListener('blur', () => {
+                        validateField(fieldName);
+                    });
+
+                    // Clear error on input
+                    field.element.addEventListener('input', () => {
+                        if (field.element.getAttribute('aria-invalid') === 'true') {
+                            validateField(fieldName);
+                        }
+                    });
+                }
+            });
+        }
+
+        bindLiveValidation();
+
+        // First interaction with the form starts the funnel
+        form.addEventListener('focusin', () => {
+            if (!hasStarted) {
+                hasStarted = true;
+                trackStep('start');
+            }
+        });
+
+        // Request the anti-spam token up front so submission is not delayed
+        refreshFormToken();
+
+        return {
+            form,
+            fields: formFields,
+            getFormValues,
+            isFieldActive,
+            showError,
+            clearError,
+            validateField,
+            validateFields,
+            validateForm,
+            showFieldErrors,
+            fillForm,
+            resetForm,
+            submit,
+            getLastResult: () => lastResult
+        };
     }
 
     /**
-     * Display error message
+     * Fetch a signed form token; the endpoint rejects posts without one
      */
-    function showError(fieldName, message) {
-        const field = formFields[fieldName];
-        if (field && field.error) {
-            field.error.textContent = message;
-            field.error.style.display = 'block';
-            if (field.element) {
-                field.element.setAttribute('aria-invalid', 'true');
-                field.element.classList.add('error');
-            }
+    async function requestFormToken() {
+        try {
+            const response = await fetch(FORM_TOKEN_ENDPOINT, {
+                headers: { 'Accept': 'application/json' },
+                credentials: 'same-origin'
+            });
+            const result = await response.json();
+            return result.token || '';
+        } catch (e) {
+            return '';
         }
     }
 
     /**
-     * Clear error message
+     * Post an inquiry to the contact endpoint
+     * Rejects with `fieldErrors` set when the server reports invalid fields,
+     * and with `retryable` set for network failures and server errors
      */
-    function clearError(fieldName) {
-        const field = formFields[fieldName];
-        if (field && field.error) {
-            field.error.textContent = '';
-            field.error.style.display = 'none';
-            if (field.element) {
-                field.element.setAttribute('aria-invalid', 'false');
-                field.element.classList.remove('error');
-            }
+    async function submitInquiry(data, endpoint) {
+        let response;
+        try {
+            response = await fetch(endpoint || CONTACT_ENDPOINT, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                },
+                body: JSON.stringify(data)
+            });
+        } catch (networkError) {
+            networkError.retryable = true;
+            throw networkError;
         }
+
+        let result = {};
+        try {
+            result = await response.json();
+        } catch (e) {
+            // Non-JSON response (e.g. proxy error page)
+        }
+
+        if (!response.ok || !result.success) {
+            const error = new Error(result.error || `Request failed with status ${response.status}`);
+            error.fieldErrors = result.errors || null;
+            error.retryable = response.status >= 500;
+            throw error;
+        }
+
+        return result;
     }
 
     /**
-     * Validate single field
+     * Save an inquiry to the offline queue
+     * Resolves to false when IndexedDB is unavailable
      */
-    function validateField(fieldName) {
-        const field = formFields[fieldName];
-        if (!field || !field.element) return true;
-
-        const value = field.element.value;
-        const isRequired = field.required !== false;
-        
-        // Skip validation if field is optional and empty
-        if (!isRequired && (!value || value.trim().length === 0)) {
-            clearError(fieldName);
-            return true;
+    async function queueInquiry(data) {
+        if (!window.InquiryQueue || !window.InquiryQueue.isSupported()) {
+            return false;
         }
 
-        const error = field.validator(value);
-        if (error) {
-            showError(fieldName, error);
-            return false;
-        } else {
-            clearError(fieldName);
+        try {
+            await window.InquiryQueue.enqueue(data);
             return true;
+        } catch (e) {
+            return false;
         }
     }
 
     /**
-     * Validate all fields
+     * Send a queued inquiry with a fresh form token
      */
-    function validateForm() {
-        let isValid = true;
-        
-        Object.keys(formFields).forEach(fieldName => {
-            if (!validateField(fieldName)) {
-                isValid = false;
-            }
-        });
+    async function sendQueuedInquiry(data) {
+        const token = await requestFormToken();
+        if (!token) {
+            const error = new Error('Form token unavailable');
+            error.retryable = true;
+            throw error;
+        }
 
-        return isValid;
+        // The server rejects tokens used before the minimum time-to-submit
+        await new Promise(resolve => setTimeout(resolve, MIN_SUBMIT_MS + 500));
+
+        return submitInquiry(Object.assign({}, data, { formToken: token }));
     }
 
     /**
-     * Show success message
+     * Deliver inquiries queued while offline
+     * `callbacks.onSent(record)` and `callbacks.onFailed(record, error)` report the outcome
      */
-    function showSuccess() {
-        if (successMessage) {
-            successMessage.style.display = 'block';
-            successMessage.setAttribute('role', 'alert');
-            successMessage.focus();
-            
-            // Scroll to success message
-            successMessage.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    function startInquiryQueue(callbacks) {
+        if (window.InquiryQueue) {
+            window.InquiryQueue.start(sendQueuedInquiry, callbacks);
         }
     }
 
     /**
-     * Hide success message
+     * Offer the .ics hold returned for speaking requests via the
+     * [data-calendar-download] link inside `container`
      */
-    function hideSuccess() {
-        if (successMessage) {
-            successMessage.style.display = 'none';
+    function showCalendarDownload(container, result) {
+        const link = container && container.querySelector('[data-calendar-download]');
+        if (!link) return;
+
+        if (link.href && link.href.startsWith('blob:')) {
+            URL.revokeObjectURL(link.href);
+        }
+
+        const calendar = result && result.calendar;
+        if (!calendar) {
+            link.hidden = true;
+            link.removeAttribute('href');
+            return;
         }
+
+        const blob = new Blob([calendar.content], { type: 'text/calendar' });
+        link.href = URL.createObjectURL(blob);
+        link.download = calendar.filename;
+        link.hidden = false;
     }
 
     /**
-     * Reset form
+     * Pick the [data-queued-reason] text of a queued notice: "offline" when the
+     * browser has no connection, "server" when it is online but the send failed
      */
-    function resetForm() {
-        contactForm.reset();
-        Object.keys(formFields).forEach(fieldName => {
-            clearError(fieldName);
+    function showQueuedReason(container) {
+        const reason = navigator.onLine ? 'server' : 'offline';
+        container.querySelectorAll('[data-queued-reason]').forEach(element => {
+            element.hidden = element.dataset.queuedReason !== reason;
         });
-        hideSuccess();
     }
 
+    window.FormHandler = {
+        SUBMIT_ERROR_MESSAGE,
+        createFormController,
+        submitInquiry,
+        startInquiryQueue,
+        showCalendarDownload,
+        showQueuedReason
+    };
+
     /**
-     * Handle form submission
+     * Contact form on contact.html
      */
-    async function handleSubmit(e) {
-        e.preventDefault();
-        
-        // Hide previous success message
-        hideSuccess();
-
-        // Validate form
-        if (!validateForm()) {
-            // Focus first error field
-            const firstError = Object.keys(formFields).find(fieldName => {
-                const field = formFields[fieldName];
-                return field && field.element && field.element.getAttribute('aria-invalid') === 'true';
+    function initContactForm() {
+        const contactForm = document.getElementById('contact-form');
+        if (!contactForm) return;
+
+        const formSchema = ValidationSchema.contactSchema;
+        const controller = createFormController(contactForm, formSchema);
+        const formFields = controller.fields;
+
+        const successMessage = document.getElementById('form-success');
+
+        // Notice shown when an inquiry is saved for later delivery
+        const queuedMessage = document.getElementById('form-queued');
+
+        // Field groups revealed for a particular subject (<fieldset data-subject="...">)
+        const subjectFieldGroups = contactForm.querySelectorAll('[data-subject]');
+
+        // localStorage key for the autosaved draft
+        const DRAFT_KEY = 'contact-form-draft';
+
+        /**
+         * Reveal the field group matching the selected subject and disable the rest
+         */
+        function updateSubjectFields() {
+            const subject = formFields.subject.element ? formFields.subject.element.value : '';
+
+            subjectFieldGroups.forEach(group => {
+                const isVisible = group.dataset.subject.split(' ').includes(subject);
+                group.hidden = !isVisible;
+                group.disabled = !isVisible;
+            });
+
+            Object.keys(formFields).forEach(fieldName => {
+                if (formSchema[fieldName].when && !controller.isFieldActive(fieldName)) {
+                    controller.clearError(fieldName);
+                }
             });
-            
-            if (firstError && formFields[firstError].element) {
-                formFields[firstError].element.focus();
+        }
+
+        /**
+         * Show success message
+         */
+        function showSuccess() {
+            if (successMessage) {
+                successMessage.style.display = 'block';
+                successMessage.setAttribute('role', 'alert');
+                successMessage.focus();
+
+                // Scroll to success message
+                successMessage.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
             }
-            
-            return;
         }
 
-        // Get form data
-        const formData = new FormData(contactForm);
-        const data = {
-            name: formData.get('name'),
-            email: formData.get('email'),
-            phone: formData.get('phone') || '',
-            subject: formData.get('subject'),
-            message: formData.get('message')
-        };
+        /**
+         * Hide success message
+         */
+        function hideSuccess() {
+            if (successMessage) {
+                successMessage.style.display = 'none';
+            }
+        }
 
-        // Disable submit button
-        const submitButton = contactForm.querySelector('button[type="submit"]');
-        const originalButtonText = submitButton.textContent;
-        submitButton.disabled = true;
-        submitButton.textContent = 'Sending...';
+        /**
+         * Show the queued notice
+         */
+        function showQueued() {
+            if (queuedMessage) {
+                showQueuedReason(queuedMessage);
+                queuedMessage.style.display = 'block';
+                queuedMessage.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+            }
+        }
+
+        /**
+         * Hide the queued notice
+         */
+        function hideQueued() {
+            if (queuedMessage) {
+                queuedMessage.style.display = 'none';
+            }
+        }
+
+        /**
+         * Reset form
+         */
+        function resetForm() {
+            controller.resetForm();
+            updateSubjectFields();
+            hideSuccess();
+        }
+
+        /**
+         * Handle form submission
+         */
+        async function handleSubmit(e) {
+            e.preventDefault();
+
+            // Hide previous success message
+            hideSuccess();
+            hideQueued();
+
+            // Validate form
+            if (!controller.validateForm()) {
+                return;
+            }
+
+            // Disable submit button
+            const submitButton = contactForm.querySelector('button[type="submit"]');
+            const originalButtonText = submitButton.textContent;
+            submitButton.disabled = true;
+            submitButton.textContent = t('Sending...');
+
+            const outcome = await controller.submit();
+
+            if (outcome === 'failed') {
+                submitButton.disabled = false;
+                submitButton.textContent = originalButtonText;
+                return;
+            }
+
+            if (outcome === 'queued') {
+                showQueued();
+            } else {
+                showCalendarDownload(successMessage, controller.getLastResult());
+                showSuccess();
+            }
+
+            clearDraft();
 
-        try {
-            // TODO: Replace with actual API endpoint
-            // For now, simulate form submission
-            await simulateFormSubmission(data);
-            
-            // Show success message
-            showSuccess();
-            
             // Reset form after delay
             setTimeout(() => {
                 resetForm();
                 submitButton.disabled = false;
                 submitButton.textContent = originalButtonText;
             }, 3000);
-            
-        } catch (error) {
-            // Show error message
-            showError('message', 'Failed to send message. Please try again or contact us directly.');
-            submitButton.disabled = false;
-            submitButton.textContent = originalButtonText;
         }
-    }
 
-    /**
-     * Simulate form submission (replace with actual API call)
-     */
-    function simulateFormSubmission(data) {
-        return new Promise((resolve, reject) => {
-            // Simulate network delay
-            setTimeout(() => {
-                console.log('Form data:', data);
-                // In production, replace this with actual API call:
-                // fetch('/api/contact', { method: 'POST', body: JSON.stringify(data) })
-                //     .then(response => response.json())
-                //     .then(data => resolve(data))
-                //     .catch(error => reject(error));
-                
-                // For demo purposes, always resolve
-                resolve({ success: true });
-            }, 1000);
-        });
-    }
+        /**
+         * A queued inquiry was delivered
+         */
+        function handleQueuedSent() {
+            hideQueued();
+            showCalendarDownload(successMessage, null);
+            showSuccess();
+        }
 
-    /**
-     * Initialize form handlers
-     */
-    function init() {
-        // Real-time validation on blur
-        Object.keys(formFields).forEach(fieldName => {
-            const field = formFields[fieldName];
-            if (field && field.element) {
-                field.element.addEventListener('blur', () => {
-                    validateField(fieldName);
-                });
+        /**
+         * A queued inquiry was rejected; put it back in the form so it is not lost
+         */
+        function handleQueuedFailed(record) {
+            hideQueued();
 
-                // Clear error on input
-                field.element.addEventListener('input', () => {
-                    if (field.element.getAttribute('aria-invalid') === 'true') {
-                        validateField(fieldName);
-                    }
-                });
+            const values = controller.getFormValues();
+            const isEmpty = Object.keys(values).every(fieldName => values[fieldName].trim().length === 0);
+            if (isEmpty) {
+                controller.fillForm(record.data);
+                updateSubjectFields();
             }
-        });
+
+            controller.showError('message', t(SUBMIT_ERROR_MESSAGE));
+        }
+
+        /**
+         * Autosave the current values
+         */
+        function saveDraft() {
+            try {
+                localStorage.setItem(DRAFT_KEY, JSON.stringify(controller.getFormValues()));
+            } catch (e) {
+                // Storage full or disabled; drafts are best effort
+            }
+        }
+
+        /**
+         * Restore an autosaved draft into empty fields
+         */
+        function restoreDraft() {
+            let draft = null;
+            try {
+                draft = JSON.parse(localStorage.getItem(DRAFT_KEY));
+            } catch (e) {
+                draft = null;
+            }
+            if (!draft) return;
+
+            controller.fillForm(draft, true);
+            updateSubjectFields();
+        }
+
+        /**
+         * Remove the autosaved draft
+         */
+        function clearDraft() {
+            try {
+                localStorage.removeItem(DRAFT_KEY);
+            } catch (e) {
+                // Ignore
+            }
+        }
+
+        // Show the detail fields for the chosen subject
+        if (formFields.subject.element) {
+            formFields.subject.element.addEventListener('change', updateSubjectFields);
+        }
+        updateSubjectFields();
 
         // Form submission
         contactForm.addEventListener('submit', handleSubmit);
 
-        // Prevent form submission on Enter key in textarea (allow Shift+Enter for new line)
-        const messageField = formFields.message.element;
-        if (messageField) {
-            messageField.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter' && !e.shiftKey) {
-                    // Allow default behavior (form submission will be handled by submit handler)
-                }
-            });
-        }
+        // Autosave drafts while typing and restore them on reload
+        restoreDraft();
+        let draftTimer;
+        contactForm.addEventListener('input', () => {
+            clearTimeout(draftTimer);
+            draftTimer = setTimeout(saveDraft, 500);
+        });
+
+        // Deliver inquiries queued while offline
+        startInquiryQueue({
+            onSent: handleQueuedSent,
+            onFailed: handleQueuedFailed
+        });
     }
 
     // Initialize when DOM is ready
     if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', init);
+        document.addEventListener('DOMContentLoaded', initContactForm);
     } else {
-        init();
+        initContactForm();
     }
 })();
@@ -0,0 +1,47 @@
+/**
+ * Translations
+ * Browser side of the i18n layer (see build/lib/i18n.js). Pages built for
+ * another locale embed their messages, keyed by the English text, in
+ * <script type="application/json" id="i18n-messages">; scripts look text up
+ * with window.I18n.t('Showing {count} of {total} {noun}.', { count, total, noun }).
+ * Text without a translation is shown in English.
+ */
+
+(function() {
+    'use strict';
+
+    const locale = document.documentElement.lang || 'en';
+    let messages = {};
+
+    const source = document.getElementById('i18n-messages');
+    if (source) {
+        try {
+            messages = JSON.parse(source.textContent);
+        } catch (error) {
+            console.warn('Invalid i18n messages', error);
+        }
+    }
+
+    /**
+     * Translated text with {name} placeholders filled in from params
+     */
+    function t(text, params) {
+        const message = Object.prototype.hasOwnProperty.call(messages, text) ? messages[text] : text;
+        if (!params) return message;
+
+        return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+    }
+
+    /**
+     * Date in the page's language
+     */
+    function formatDate(date, options) {
+        return date.toLocaleDateString(locale, options);
+    }
+
+    window.I18n = {
+        locale,
+        t,
+        formatDate
+    };
+})();
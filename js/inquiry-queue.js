@@ -0,0 +1,218 @@
+/**
+ * Inquiry queue
+ * Persists contact inquiries that could not be sent to IndexedDB and retries
+ * them with exponential backoff, and again when the browser comes back online
+ */
+
+(function() {
+    'use strict';
+
+    const DB_NAME = 'alexandrachen-site';
+    const DB_VERSION = 1;
+    const STORE_NAME = 'inquiry-queue';
+
+    // Retry delays grow from BASE_DELAY up to MAX_DELAY
+    const BASE_DELAY = 5000;
+    const MAX_DELAY = 5 * 60 * 1000;
+
+    // How long an inquiry being sent is held back from other tabs; a page
+    // closed mid-send leaves its claim behind, so it must lapse
+    const CLAIM_TIMEOUT = 2 * 60 * 1000;
+
+    let dbPromise = null;
+    let sender = null;
+    let callbacks = {};
+    let retryTimer = null;
+    let flushing = false;
+
+    /**
+     * Check for IndexedDB support
+     */
+    function isSupported() {
+        return 'indexedDB' in window;
+    }
+
+    /**
+     * Open (and create on first use) the database
+     */
+    function openDatabase() {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(STORE_NAME)) {
+                        db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return dbPromise;
+    }
+
+    /**
+     * Run a single request against the object store
+     */
+    async function withStore(mode, callback) {
+        const db = await openDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, mode);
+            const request = callback(transaction.objectStore(STORE_NAME));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Add an inquiry that just failed to send to the queue
+     * Its first retry is scheduled right away, so it is also sent when the
+     * server was down while the browser stayed online (no `online` event)
+     */
+    async function enqueue(data) {
+        const now = Date.now();
+        const id = await withStore('readwrite', store => store.add({
+            data,
+            queuedAt: now,
+            attempts: 1,
+            nextAttemptAt: now + backoffDelay(1)
+        }));
+        scheduleNext().catch(() => {});
+        return id;
+    }
+
+    /**
+     * List queued inquiries
+     */
+    function getAll() {
+        return withStore('readonly', store => store.getAll());
+    }
+
+    /**
+     * Save changes to a queued inquiry
+     */
+    function update(record) {
+        return withStore('readwrite', store => store.put(record));
+    }
+
+    /**
+     * Claim a due inquiry before sending it, so another tab or a second flush
+     * does not send it too: its next attempt is pushed back by CLAIM_TIMEOUT
+     * in the same transaction that checks it is still there and due
+     * Resolves with the claimed record, or undefined if someone else has it
+     */
+    async function claim(id) {
+        const db = await openDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, 'readwrite');
+            const store = transaction.objectStore(STORE_NAME);
+            let claimed;
+
+            const request = store.get(id);
+            request.onsuccess = () => {
+                const record = request.result;
+                if (!record || record.nextAttemptAt > Date.now()) return;
+
+                claimed = Object.assign({}, record, { nextAttemptAt: Date.now() + CLAIM_TIMEOUT });
+                store.put(claimed);
+            };
+            transaction.oncomplete = () => resolve(claimed);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Remove an inquiry from the queue
+     */
+    function remove(id) {
+        return withStore('readwrite', store => store.delete(id));
+    }
+
+    /**
+     * Exponential backoff with a little jitter
+     */
+    function backoffDelay(attempts) {
+        const delay = Math.min(BASE_DELAY * Math.pow(2, attempts - 1), MAX_DELAY);
+        return delay + Math.round(Math.random() * 1000);
+    }
+
+    /**
+     * Schedule the next flush for the earliest pending retry
+     */
+    async function scheduleNext() {
+        clearTimeout(retryTimer);
+
+        const records = await getAll();
+        if (records.length === 0) return;
+
+        const nextAttemptAt = Math.min(...records.map(record => record.nextAttemptAt));
+        retryTimer = setTimeout(flush, Math.max(nextAttemptAt - Date.now(), 0));
+    }
+
+    /**
+     * Try to send every queued inquiry that is due
+     */
+    async function flush() {
+        if (!sender || flushing || !navigator.onLine) return;
+        flushing = true;
+
+        try {
+            const records = await getAll();
+
+            for (const queued of records) {
+                if (queued.nextAttemptAt > Date.now()) continue;
+
+                const record = await claim(queued.id);
+                if (!record) continue;
+
+                try {
+                    await sender(record.data);
+                    await remove(record.id);
+                    if (callbacks.onSent) callbacks.onSent(record);
+                } catch (error) {
+                    if (error.retryable) {
+                        record.attempts += 1;
+                        record.nextAttemptAt = Date.now() + backoffDelay(record.attempts);
+                        await update(record);
+                    } else {
+                        // The server rejected it outright; retrying will not help
+                        await remove(record.id);
+                        if (callbacks.onFailed) callbacks.onFailed(record, error);
+                    }
+                }
+            }
+        } catch (error) {
+            console.warn('Inquiry queue flush failed:', error);
+        } finally {
+            flushing = false;
+        }
+
+        scheduleNext().catch(() => {});
+    }
+
+    /**
+     * Start retrying queued inquiries with the given send function
+     * `send(data)` must reject with `error.retryable` set for transient failures
+     */
+    function start(send, options) {
+        if (!isSupported()) return;
+
+        sender = send;
+        callbacks = options || {};
+
+        window.addEventListener('online', flush);
+        flush();
+    }
+
+    window.InquiryQueue = {
+        isSupported,
+        enqueue,
+        getAll,
+        remove,
+        start,
+        flush
+    };
+})();
@@ -0,0 +1,208 @@
+/**
+ * List filter
+ * Search, filter and sort controls for a list of cards, with the state kept
+ * in the URL query so filtered views can be shared
+ *
+ * Markup:
+ *   <form class="list-filter" data-list-filter="events-list" data-noun="events" hidden>
+ *       <input type="search" name="q">
+ *       <select name="region">…</select>        matches data-region on the items
+ *       <select name="sort">…</select>          "name" or "-date" sorts by data-sort-name/-date
+ *       <p role="status" data-filter-status></p>
+ *   </form>
+ *   <div id="events-list"><div data-filter-item data-region="Europe" data-sort-date="2023-06-21">…</div></div>
+ */
+
+(function() {
+    'use strict';
+
+    const SEARCH_DELAY = 250;
+
+    // Interface text in the page's language (js/i18n.js)
+    const t = window.I18n ? window.I18n.t : text => text;
+
+    /**
+     * Lowercase text without accents, for matching
+     */
+    function normalize(text) {
+        return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    }
+
+    /**
+     * "sort-date" -> "sortDate" (dataset key)
+     */
+    function toDatasetKey(name) {
+        return name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+    }
+
+    /**
+     * Wire one filter form to its list
+     */
+    function createListFilter(form, list) {
+        const items = Array.from(list.querySelectorAll('[data-filter-item]'));
+        const fields = Array.from(form.elements).filter(element => element.name);
+        const status = form.querySelector('[data-filter-status]');
+        const noun = form.dataset.noun || 'items';
+        let searchTimer = null;
+
+        // Search text and original position of every item
+        const entries = items.map((item, index) => ({ item, index, text: normalize(item.textContent) }));
+
+        /**
+         * Current non-empty field values
+         */
+        function getState() {
+            return fields.reduce((state, field) => {
+                const value = field.value.trim();
+                if (value) {
+                    state[field.name] = value;
+                }
+                return state;
+            }, {});
+        }
+
+        /**
+         * Whether an item passes the search and every select filter
+         */
+        function matches(entry, state) {
+            return Object.keys(state).every(name => {
+                if (name === 'sort') return true;
+                if (name === 'q') {
+                    return normalize(state.q).split(/\s+/).every(term => entry.text.includes(term));
+                }
+                return entry.item.dataset[toDatasetKey(name)] === state[name];
+            });
+        }
+
+        /**
+         * Order entries by the sort field, keeping the original order for ties
+         */
+        function sortEntries(sort) {
+            const sorted = entries.slice();
+            if (!sort) {
+                return sorted.sort((a, b) => a.index - b.index);
+            }
+
+            const descending = sort.startsWith('-');
+            const key = toDatasetKey(`sort-${sort.replace(/^-/, '')}`);
+
+            return sorted.sort((a, b) => {
+                const order = (a.item.dataset[key] || '').localeCompare(b.item.dataset[key] || '', undefined, { numeric: true });
+                return (descending ? -order : order) || a.index - b.index;
+            });
+        }
+
+        /**
+         * Mirror the state in the URL without adding history entries
+         */
+        function updateUrl(state) {
+            const params = new URLSearchParams(window.location.search);
+            fields.forEach(field => {
+                if (state[field.name]) {
+                    params.set(field.name, state[field.name]);
+                } else {
+                    params.delete(field.name);
+                }
+            });
+
+            const query = params.toString();
+            const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+            window.history.replaceState(window.history.state, '', url);
+        }
+
+        /**
+         * Announce the number of results
+         */
+        function announce(count) {
+            if (!status) return;
+
+            if (count === 0) {
+                status.textContent = t('No {noun} match your filters.', { noun });
+            } else if (count === items.length) {
+                status.textContent = t('Showing all {total} {noun}.', { total: items.length, noun });
+            } else {
+                status.textContent = t('Showing {count} of {total} {noun}.', { count, total: items.length, noun });
+            }
+        }
+
+        /**
+         * Show, hide and reorder the items for the current state
+         */
+        function apply() {
+            clearTimeout(searchTimer);
+            const state = getState();
+            let count = 0;
+
+            sortEntries(state.sort).forEach(entry => {
+                const visible = matches(entry, state);
+                entry.item.hidden = !visible;
+                if (visible) count++;
+                list.appendChild(entry.item);
+            });
+
+            updateUrl(state);
+            announce(count);
+        }
+
+        /**
+         * Restore field values from the URL, ignoring unknown options
+         */
+        function readUrl() {
+            const params = new URLSearchParams(window.location.search);
+            fields.forEach(field => {
+                const value = params.get(field.name);
+                if (value === null) return;
+
+                if (field.tagName === 'SELECT') {
+                    if (Array.from(field.options).some(option => option.value === value)) {
+                        field.value = value;
+                    }
+                } else {
+                    field.value = value;
+                }
+            });
+        }
+
+        form.addEventListener('change', apply);
+
+        form.addEventListener('input', (e) => {
+            if (e.target.type === 'search') {
+                clearTimeout(searchTimer);
+                searchTimer = setTimeout(apply, SEARCH_DELAY);
+            }
+        });
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            apply();
+        });
+
+        // Fields are cleared after the reset event, so apply on the next tick
+        form.addEventListener('reset', () => {
+            setTimeout(apply, 0);
+        });
+
+        readUrl();
+        apply();
+        form.hidden = false;
+    }
+
+    /**
+     * Set up every filter form on the page
+     */
+    function init() {
+        document.querySelectorAll('form[data-list-filter]').forEach(form => {
+            const list = document.getElementById(form.dataset.listFilter);
+            if (list) {
+                createListFilter(form, list);
+            }
+        });
+    }
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+})();
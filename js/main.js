@@ -6,38 +6,56 @@
 (function() {
     'use strict';
 
+    // Interface text in the page's language (js/i18n.js)
+    const t = window.I18n ? window.I18n.t : text => text;
+
     /**
-     * Lazy load images
+     * Start loading a lazy image: the srcsets of its <picture> sources, then its own srcset and src
+     */
+    function loadImage(img) {
+        const picture = img.parentElement && img.parentElement.tagName === 'PICTURE' ? img.parentElement : null;
+        if (picture) {
+            picture.querySelectorAll('source[data-srcset]').forEach(source => {
+                source.srcset = source.dataset.srcset;
+                source.removeAttribute('data-srcset');
+            });
+        }
+
+        // Faded in once loaded (see initImageLoading)
+        img.classList.add('loading');
+        if (img.dataset.srcset) {
+            img.srcset = img.dataset.srcset;
+            img.removeAttribute('data-srcset');
+        }
+        if (img.dataset.src) {
+            img.src = img.dataset.src;
+            img.removeAttribute('data-src');
+        }
+    }
+
+    /**
+     * Lazy load images (data-src, and data-srcset for the <picture> variants written by the build)
      */
     function initLazyLoading() {
+        const lazyImages = document.querySelectorAll('img[data-src], img[data-srcset]');
+
         // Check if Intersection Observer is supported
         if ('IntersectionObserver' in window) {
             const imageObserver = new IntersectionObserver((entries, observer) => {
                 entries.forEach(entry => {
                     if (entry.isIntersecting) {
-                        const img = entry.target;
-                        if (img.dataset.src) {
-                            img.src = img.dataset.src;
-                            img.removeAttribute('data-src');
-                            img.classList.add('loaded');
-                            observer.unobserve(img);
-                        }
+                        loadImage(entry.target);
+                        observer.unobserve(entry.target);
                     }
                 });
             }, {
                 rootMargin: '50px'
             });
 
-            // Observe all images with data-src attribute
-            const lazyImages = document.querySelectorAll('img[data-src]');
             lazyImages.forEach(img => imageObserver.observe(img));
         } else {
             // Fallback for browsers without Intersection Observer
-            const lazyImages = document.querySelectorAll('img[data-src]');
-            lazyImages.forEach(img => {
-                img.src = img.dataset.src;
-                img.removeAttribute('data-src');
-            });
+            lazyImages.forEach(loadImage);
         }
     }
 
@@ -80,39 +98,15 @@
     function initScrollToTop() {
         // Create scroll to top button
         const scrollToTopBtn = document.createElement('button');
-        scrollToTopBtn.setAttribute('aria-label', 'Scroll to top');
+        scrollToTopBtn.setAttribute('aria-label', t('Scroll to top'));
         scrollToTopBtn.className = 'scroll-to-top';
         scrollToTopBtn.innerHTML = '↑';
-        scrollToTopBtn.style.cssText = `
-            position: fixed;
-            bottom: 2rem;
-            right: 2rem;
-            width: 50px;
-            height: 50px;
-            border-radius: 50%;
-            background-color: var(--color-primary);
-            color: white;
-            border: none;
-            cursor: pointer;
-            opacity: 0;
-            visibility: hidden;
-            transition: opacity 0.3s, visibility 0.3s, transform 0.3s;
-            z-index: 1000;
-            font-size: 1.5rem;
-            box-shadow: var(--shadow-lg);
-        `;
-        
+        // Styled in css/main.css (.scroll-to-top) so it follows the theme colors
         document.body.appendChild(scrollToTopBtn);
 
         // Show/hide button based on scroll position
         function toggleScrollToTop() {
-            if (window.pageYOffset > 300) {
-                scrollToTopBtn.style.opacity = '1';
-                scrollToTopBtn.style.visibility = 'visible';
-            } else {
-                scrollToTopBtn.style.opacity = '0';
-                scrollToTopBtn.style.visibility = 'hidden';
-            }
+            scrollToTopBtn.classList.toggle('is-visible', window.pageYOffset > 300);
         }
 
         // Scroll to top on click
@@ -139,22 +133,59 @@
         toggleScrollToTop();
     }
 
+    /**
+     * Send an analytics event if the analytics module is loaded
+     */
+    function trackEvent(name, props) {
+        if (window.Analytics) {
+            window.Analytics.track(name, props);
+        }
+    }
+
     /**
      * Handle external links
      */
     function initExternalLinks() {
-        const links = document.querySelectorAll('a[href^="http"]');
+        // Gallery links open a player or the lightbox in place (js/media-gallery.js)
+        const links = document.querySelectorAll('a[href^="http"]:not([data-media])');
         links.forEach(link => {
             // Skip if it's the same domain
             if (link.hostname !== window.location.hostname) {
                 link.setAttribute('target', '_blank');
                 link.setAttribute('rel', 'noopener noreferrer');
                 // Add visual indicator (optional)
-                link.setAttribute('aria-label', `${link.textContent} (opens in new tab)`);
+                link.setAttribute('aria-label', t('{text} (opens in new tab)', { text: link.textContent }));
+
+                link.addEventListener('click', () => {
+                    trackEvent('outbound_click', { url: link.href, text: link.textContent.trim() });
+                });
             }
         });
     }
 
+    /**
+     * Show the site's fallback image (the image-fallback meta tag) in place of one that failed to load
+     * The alt text is kept: it still describes what should have been there
+     */
+    function showFallback(img) {
+        img.classList.remove('loading');
+        img.classList.add('error');
+
+        const meta = document.querySelector('meta[name="image-fallback"]');
+        if (!meta) return;
+
+        const fallback = new URL(meta.content, window.location.href).href;
+        // The fallback itself failed
+        if (img.src === fallback) return;
+
+        // Otherwise the <picture> sources and srcset would still win over src
+        if (img.parentElement && img.parentElement.tagName === 'PICTURE') {
+            img.parentElement.querySelectorAll('source').forEach(source => source.remove());
+        }
+        img.removeAttribute('srcset');
+        img.src = fallback;
+    }
+
     /**
      * Add loading states to images
      */
@@ -164,6 +195,9 @@
             // Add loading class if image is not already loaded
             if (!img.complete) {
                 img.classList.add('loading');
+            } else if (img.currentSrc && img.naturalWidth === 0) {
+                // Failed before this script ran
+                showFallback(img);
             }
 
             img.addEventListener('load', () => {
@@ -171,29 +205,56 @@
                 img.classList.add('loaded');
             });
 
-            img.addEventListener('error', () => {
-                img.classList.remove('loading');
-                img.classList.add('error');
-                // Optionally set a placeholder
-                img.alt = 'Image failed to load';
-            });
+            img.addEventListener('error', () => showFallback(img));
         });
     }
 
     /**
-     * Initialize analytics placeholder
+     * Start analytics (after consent) and track CTA clicks and scroll depth
+     * Adapters and consent live in js/analytics.js
      */
     function initAnalytics() {
-        // Placeholder for analytics tracking
-        // Replace with actual analytics code (Google Analytics, etc.)
-        console.log('Analytics initialized');
-        
-        // Example: Track page views
-        // if (typeof gtag !== 'undefined') {
-        //     gtag('config', 'GA_MEASUREMENT_ID', {
-        //         page_path: window.location.pathname
-        //     });
-        // }
+        if (!window.Analytics) return;
+        window.Analytics.init();
+
+        // Primary call-to-action buttons, except the consent banner's own
+        document.addEventListener('click', (e) => {
+            const cta = e.target.closest('.btn-primary');
+            if (!cta || cta.closest('.consent-banner')) return;
+
+            trackEvent('cta_click', {
+                text: cta.textContent.trim(),
+                target: cta.getAttribute('href') || cta.type || ''
+            });
+        });
+
+        // Scroll depth milestones, each reported once per page view
+        const milestones = [25, 50, 75, 100];
+        let ticking = false;
+
+        function checkScrollDepth() {
+            const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+            const percent = scrollable > 0 ? Math.round((window.pageYOffset / scrollable) * 100) : 100;
+
+            while (milestones.length > 0 && percent >= milestones[0]) {
+                trackEvent('scroll_depth', { percent: milestones.shift() });
+            }
+            if (milestones.length === 0) {
+                window.removeEventListener('scroll', onScroll);
+            }
+        }
+
+        function onScroll() {
+            if (!ticking) {
+                window.requestAnimationFrame(() => {
+                    checkScrollDepth();
+                    ticking = false;
+                });
+                ticking = true;
+            }
+        }
+
+        window.addEventListener('scroll', onScroll, { passive: true });
     }
 
     /**
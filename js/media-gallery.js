@@ -0,0 +1,266 @@
+/**
+ * Media gallery
+ * Click-to-load video embeds and a photo lightbox. Videos start as a link to
+ * the provider with a thumbnail; the player iframe (and the provider's
+ * cookies and scripts) only loads once the visitor asks for it. Photos open
+ * in a modal dialog with captions, previous/next and keyboard navigation.
+ *
+ * Markup (rendered from src/partials/media-item.html):
+ *   <a href="…watch…" data-media="video" data-video-embed="…embed…" data-video-title="…">…</a>
+ *   <a href="…full-size.jpg" data-media="photo" data-lightbox="gallery-name"
+ *      data-title="…" data-caption="…"><img alt="…"></a>
+ * Photos with the same data-lightbox value are browsed together.
+ */
+
+(function() {
+    'use strict';
+
+    const FOCUSABLE = 'button:not([disabled]), [href], [tabindex]:not([tabindex="-1"])';
+
+    // Interface text in the page's language (js/i18n.js)
+    const t = window.I18n ? window.I18n.t : text => text;
+
+    /**
+     * Track an event if analytics is loaded
+     */
+    function trackEvent(name, props) {
+        if (window.Analytics) {
+            window.Analytics.track(name, props);
+        }
+    }
+
+    /**
+     * Swap a video facade for the provider's player
+     */
+    function loadVideo(link) {
+        const title = link.dataset.videoTitle || t('Video');
+        const iframe = document.createElement('iframe');
+        iframe.className = 'media-frame media-player';
+        iframe.src = link.dataset.videoEmbed;
+        iframe.title = t('Video: {title}', { title });
+        iframe.allow = 'accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture';
+        iframe.setAttribute('allowfullscreen', '');
+
+        link.replaceWith(iframe);
+        iframe.focus();
+
+        trackEvent('video_play', { title, url: link.href });
+    }
+
+    /**
+     * Button with a visually hidden label next to a decorative icon
+     */
+    function createButton(className, icon, label) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = className;
+        button.innerHTML = `<span aria-hidden="true">${icon}</span><span class="sr-only"></span>`;
+        button.querySelector('.sr-only').textContent = label;
+        return button;
+    }
+
+    /**
+     * Build the lightbox dialog once; it is reused for every gallery
+     */
+    function createLightbox() {
+        const dialog = document.createElement('div');
+        dialog.className = 'lightbox';
+        dialog.id = 'lightbox';
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+        dialog.setAttribute('aria-labelledby', 'lightbox-title');
+        dialog.hidden = true;
+
+        dialog.innerHTML = `
+            <div class="lightbox-backdrop" data-lightbox-close></div>
+            <figure class="lightbox-content">
+                <img class="lightbox-image" src="" alt="">
+                <figcaption class="lightbox-caption">
+                    <strong id="lightbox-title"></strong>
+                    <span class="lightbox-text"></span>
+                    <span class="lightbox-counter" aria-live="polite"></span>
+                </figcaption>
+            </figure>
+        `;
+
+        const closeButton = createButton('lightbox-close', '×', t('Close'));
+        const previousButton = createButton('lightbox-previous', '‹', t('Previous photo'));
+        const nextButton = createButton('lightbox-next', '›', t('Next photo'));
+        closeButton.setAttribute('data-lightbox-close', '');
+        dialog.append(closeButton, previousButton, nextButton);
+
+        document.body.appendChild(dialog);
+
+        return {
+            dialog,
+            image: dialog.querySelector('.lightbox-image'),
+            title: dialog.querySelector('#lightbox-title'),
+            text: dialog.querySelector('.lightbox-text'),
+            counter: dialog.querySelector('.lightbox-counter'),
+            closeButton,
+            previousButton,
+            nextButton
+        };
+    }
+
+    /**
+     * Photo lightbox shared by every [data-lightbox] link on the page
+     */
+    function initLightbox(links) {
+        const ui = createLightbox();
+        let photos = [];
+        let current = 0;
+        let trigger = null;
+
+        /**
+         * Warm the cache for the photos either side of the current one
+         */
+        function preloadNeighbours() {
+            if (photos.length < 2) return;
+            [current - 1, current + 1].forEach(index => {
+                const link = photos[(index + photos.length) % photos.length];
+                new Image().src = link.href;
+            });
+        }
+
+        /**
+         * Show a photo of the open gallery; indexes wrap around
+         */
+        function show(index) {
+            current = (index + photos.length) % photos.length;
+            const link = photos[current];
+            const thumbnail = link.querySelector('img');
+
+            ui.image.src = link.href;
+            ui.image.alt = thumbnail ? thumbnail.alt : '';
+            ui.title.textContent = link.dataset.title || '';
+            ui.text.textContent = link.dataset.caption || '';
+            ui.text.hidden = !link.dataset.caption;
+            ui.counter.textContent = photos.length > 1 ? t('{number} of {total}', { number: current + 1, total: photos.length }) : '';
+
+            preloadNeighbours();
+        }
+
+        /**
+         * Open the lightbox on the gallery a link belongs to
+         */
+        function open(link) {
+            photos = links.filter(item => item.dataset.lightbox === link.dataset.lightbox);
+            trigger = link;
+
+            const single = photos.length < 2;
+            ui.previousButton.hidden = single;
+            ui.nextButton.hidden = single;
+
+            show(photos.indexOf(link));
+            ui.dialog.hidden = false;
+            document.body.style.overflow = 'hidden';
+            ui.closeButton.focus();
+
+            document.addEventListener('keydown', handleKeydown);
+            trackEvent('lightbox_open', { gallery: link.dataset.lightbox, title: link.dataset.title || '' });
+        }
+
+        /**
+         * Close the lightbox and return focus to the photo that opened it
+         */
+        function close() {
+            ui.dialog.hidden = true;
+            document.body.style.overflow = '';
+            document.removeEventListener('keydown', handleKeydown);
+
+            if (trigger) {
+                trigger.focus();
+                trigger = null;
+            }
+        }
+
+        /**
+         * Keep Tab inside the dialog
+         */
+        function trapFocus(e) {
+            const focusable = Array.from(ui.dialog.querySelectorAll(FOCUSABLE))
+                .filter(element => !element.hidden);
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+
+            if (e.shiftKey && (document.activeElement === first || !ui.dialog.contains(document.activeElement))) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && (document.activeElement === last || !ui.dialog.contains(document.activeElement))) {
+                e.preventDefault();
+                first.focus();
+            }
+        }
+
+        /**
+         * Escape closes, arrows/Home/End move between photos
+         */
+        function handleKeydown(e) {
+            switch (e.key) {
+                case 'Escape':
+                    e.preventDefault();
+                    close();
+                    break;
+                case 'ArrowLeft':
+                    e.preventDefault();
+                    show(current - 1);
+                    break;
+                case 'ArrowRight':
+                    e.preventDefault();
+                    show(current + 1);
+                    break;
+                case 'Home':
+                    e.preventDefault();
+                    show(0);
+                    break;
+                case 'End':
+                    e.preventDefault();
+                    show(photos.length - 1);
+                    break;
+                case 'Tab':
+                    trapFocus(e);
+                    break;
+            }
+        }
+
+        links.forEach(link => {
+            link.setAttribute('aria-haspopup', 'dialog');
+            link.setAttribute('aria-controls', ui.dialog.id);
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                open(link);
+            });
+        });
+
+        ui.previousButton.addEventListener('click', () => show(current - 1));
+        ui.nextButton.addEventListener('click', () => show(current + 1));
+        ui.dialog.querySelectorAll('[data-lightbox-close]').forEach(element => {
+            element.addEventListener('click', close);
+        });
+    }
+
+    /**
+     * Wire the video facades and photo links on the page
+     */
+    function init() {
+        document.querySelectorAll('a[data-media="video"][data-video-embed]').forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                loadVideo(link);
+            });
+        });
+
+        const photoLinks = Array.from(document.querySelectorAll('a[data-lightbox]'));
+        if (photoLinks.length > 0) {
+            initLightbox(photoLinks);
+        }
+    }
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+})();
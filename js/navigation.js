@@ -1,6 +1,20 @@
 /**
  * Navigation functionality
- * Handles mobile menu toggle, smooth scrolling, and active state management
+ * Handles the main menu, mobile menu toggle, the language switcher and
+ * closing the search overlay
+ * (the current page's link gets aria-current at build time, see build/build.js;
+ * links to sections of the page are scrolled by js/section-nav.js)
+ *
+ * The main menu follows the WAI-ARIA menubar pattern: it is a single tab
+ * stop, arrow keys move between items (left/right in the navbar, up/down in
+ * the mobile menu and in submenus), Home/End jump to the first/last item and
+ * typing a letter moves to the next item starting with it. Items with a
+ * submenu (`children` in the navigation, src/site.json) open it with
+ * ArrowDown, Space or a hover; Escape closes it and returns focus to its item.
+ * Following an item's link still works with Enter or a click.
+ *
+ * While the mobile menu is open, Tab stays inside it and the toggle, and
+ * closing it from the keyboard returns focus to the toggle.
  */
 
 (function() {
@@ -10,6 +24,283 @@
     const mobileMenuToggle = document.querySelector('.mobile-menu-toggle');
     const navMenu = document.querySelector('.nav-menu');
     const navLinks = document.querySelectorAll('.nav-menu a');
+    const languageSwitcher = document.querySelector('.language-switcher');
+
+    // Same breakpoint as the mobile menu in css/responsive.css
+    const mobileQuery = window.matchMedia('(max-width: 768px)');
+
+    // Time the pointer can leave a submenu before it closes
+    const SUBMENU_CLOSE_DELAY = 300;
+
+    const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), [tabindex]';
+
+    // Pending close of a submenu after the pointer left it, by item
+    const closeTimers = new WeakMap();
+
+    /**
+     * Whether the menubar is laid out as a column (the mobile menu)
+     */
+    function isVertical() {
+        return mobileQuery.matches;
+    }
+
+    /**
+     * Menu items of a menubar or menu, without those of its submenus
+     */
+    function getItems(menu) {
+        return Array.from(menu.children)
+            .map(child => child.querySelector(':scope > [role="menuitem"]'))
+            .filter(Boolean);
+    }
+
+    /**
+     * Submenu opened by an item, or null
+     */
+    function getSubmenu(item) {
+        const next = item.nextElementSibling;
+        return next && next.getAttribute('role') === 'menu' ? next : null;
+    }
+
+    /**
+     * Menubar or menu an item belongs to
+     */
+    function getMenu(item) {
+        return item.parentElement.parentElement;
+    }
+
+    /**
+     * Item that opens a submenu
+     */
+    function getParentItem(menu) {
+        return menu.previousElementSibling;
+    }
+
+    /**
+     * Make an item the menubar's only tab stop
+     */
+    function setTabStop(item) {
+        getItems(navMenu).forEach(menuItem => {
+            menuItem.tabIndex = menuItem === item ? 0 : -1;
+        });
+    }
+
+    /**
+     * The menubar item that is in the tab order
+     */
+    function getTabStop() {
+        return getItems(navMenu).find(item => item.tabIndex === 0) || getItems(navMenu)[0];
+    }
+
+    /**
+     * Move focus to an item; in the menubar it also becomes the tab stop
+     */
+    function focusItem(item) {
+        if (getMenu(item) === navMenu) {
+            setTabStop(item);
+        }
+        item.focus();
+    }
+
+    /**
+     * Close an item's submenu and the submenus inside it
+     * In the mobile menu submenus are always shown, so they stay open
+     */
+    function closeSubmenu(item) {
+        const submenu = getSubmenu(item);
+        if (!submenu || isVertical()) return;
+
+        clearTimeout(closeTimers.get(item));
+        item.setAttribute('aria-expanded', 'false');
+        getItems(submenu).forEach(closeSubmenu);
+    }
+
+    /**
+     * Close every open submenu of a menu, except the one of `except`
+     */
+    function closeSubmenus(menu, except) {
+        getItems(menu).filter(item => item !== except).forEach(closeSubmenu);
+    }
+
+    /**
+     * Open an item's submenu, optionally moving focus to its 'first' or 'last' item
+     */
+    function openSubmenu(item, focus) {
+        const submenu = getSubmenu(item);
+        if (!submenu) return;
+
+        clearTimeout(closeTimers.get(item));
+        closeSubmenus(getMenu(item), item);
+        item.setAttribute('aria-expanded', 'true');
+
+        const items = getItems(submenu);
+        if (focus === 'first') {
+            items[0].focus();
+        } else if (focus === 'last') {
+            items[items.length - 1].focus();
+        }
+    }
+
+    /**
+     * Next item of a list whose label starts with a character, after `current`
+     */
+    function findByCharacter(items, current, character) {
+        const start = items.indexOf(current);
+        const ordered = items.slice(start + 1).concat(items.slice(0, start + 1));
+        return ordered.find(item => item.textContent.trim().toLowerCase().startsWith(character.toLowerCase()));
+    }
+
+    /**
+     * Arrow keys, Home/End, Escape and type-ahead inside the menubar and its submenus
+     */
+    function handleMenuKeydown(e) {
+        const item = e.target.closest('[role="menuitem"]');
+        if (!item || e.altKey || e.ctrlKey || e.metaKey) return;
+
+        const menu = getMenu(item);
+        const items = getItems(menu);
+        const index = items.indexOf(item);
+        const submenu = getSubmenu(item);
+        const inMenubar = menu === navMenu;
+        const vertical = !inMenubar || isVertical();
+        // The menubar item a submenu belongs to, for moving along the navbar from inside it
+        const menubarItem = inMenubar ? item : item.closest('.nav-menu > li').querySelector(':scope > [role="menuitem"]');
+        const menubarItems = getItems(navMenu);
+
+        let handled = true;
+
+        if (e.key === (vertical ? 'ArrowDown' : 'ArrowRight')) {
+            if (inMenubar) closeSubmenus(navMenu);
+            focusItem(items[(index + 1) % items.length]);
+        } else if (e.key === (vertical ? 'ArrowUp' : 'ArrowLeft')) {
+            if (inMenubar) closeSubmenus(navMenu);
+            focusItem(items[(index - 1 + items.length) % items.length]);
+        } else if (e.key === 'Home' || e.key === 'End') {
+            if (inMenubar) closeSubmenus(navMenu);
+            focusItem(e.key === 'Home' ? items[0] : items[items.length - 1]);
+        } else if (submenu && (e.key === ' ' || e.key === (vertical ? 'ArrowRight' : 'ArrowDown'))) {
+            openSubmenu(item, 'first');
+        } else if (submenu && !vertical && e.key === 'ArrowUp') {
+            openSubmenu(item, 'last');
+        } else if (!inMenubar && e.key === 'Escape') {
+            // Handled here so the mobile menu stays open
+            e.stopPropagation();
+            const parentItem = getParentItem(menu);
+            closeSubmenu(parentItem);
+            focusItem(parentItem);
+        } else if (!inMenubar && e.key === 'ArrowLeft') {
+            const parentItem = getParentItem(menu);
+            if (getMenu(parentItem) !== navMenu || isVertical()) {
+                // Back to the item that opened this submenu
+                closeSubmenu(parentItem);
+                focusItem(parentItem);
+            } else {
+                // Along the navbar to the previous item
+                closeSubmenus(navMenu);
+                focusItem(menubarItems[(menubarItems.indexOf(menubarItem) - 1 + menubarItems.length) % menubarItems.length]);
+            }
+        } else if (!inMenubar && e.key === 'ArrowRight' && !isVertical()) {
+            closeSubmenus(navMenu);
+            focusItem(menubarItems[(menubarItems.indexOf(menubarItem) + 1) % menubarItems.length]);
+        } else if (e.key === 'Tab') {
+            // Leaving the menubar closes its submenus; the next tab stop is
+            // outside it (or the toggle, see trapFocus)
+            closeSubmenus(navMenu);
+            setTabStop(menubarItem);
+            handled = false;
+        } else if (e.key.length === 1 && e.key !== ' ') {
+            const match = findByCharacter(items, item, e.key);
+            if (match) {
+                focusItem(match);
+            }
+        } else {
+            handled = false;
+        }
+
+        if (handled) {
+            e.preventDefault();
+        }
+    }
+
+    /**
+     * Open submenus on hover in the navbar, closing them shortly after the pointer leaves
+     */
+    function initHoverMenus() {
+        navMenu.querySelectorAll('.has-submenu').forEach(entry => {
+            const item = entry.querySelector(':scope > [role="menuitem"]');
+
+            entry.addEventListener('mouseenter', () => {
+                if (!isVertical()) {
+                    openSubmenu(item);
+                }
+            });
+            entry.addEventListener('mouseleave', () => {
+                if (isVertical() || entry.contains(document.activeElement)) return;
+                closeTimers.set(item, setTimeout(() => closeSubmenu(item), SUBMENU_CLOSE_DELAY));
+            });
+
+            // Focus moving elsewhere (a click outside, Shift+Tab) closes it too
+            entry.addEventListener('focusout', (e) => {
+                if (!entry.contains(e.relatedTarget) && !entry.matches(':hover')) {
+                    closeSubmenu(item);
+                }
+            });
+        });
+    }
+
+    /**
+     * Submenus are laid out inline in the mobile menu and open on demand in the navbar
+     */
+    function updateOrientation() {
+        const vertical = isVertical();
+
+        if (vertical) {
+            navMenu.setAttribute('aria-orientation', 'vertical');
+        } else {
+            navMenu.removeAttribute('aria-orientation');
+        }
+
+        navMenu.querySelectorAll('[aria-haspopup="true"]').forEach(item => {
+            item.setAttribute('aria-expanded', String(vertical));
+        });
+    }
+
+    /**
+     * Set up the roving tab stop: the current page's item, or the first one
+     */
+    function initMenubar() {
+        if (!navMenu) return;
+
+        navMenu.querySelectorAll('.nav-submenu [role="menuitem"]').forEach(item => {
+            item.tabIndex = -1;
+        });
+        setTabStop(getItems(navMenu).find(item => item.getAttribute('aria-current') === 'page') || getItems(navMenu)[0]);
+
+        updateOrientation();
+        mobileQuery.addEventListener('change', updateOrientation);
+
+        navMenu.addEventListener('keydown', handleMenuKeydown);
+        initHoverMenus();
+    }
+
+    /**
+     * Keep Tab inside the open mobile menu and its toggle
+     */
+    function trapFocus(e) {
+        const focusable = [mobileMenuToggle]
+            .concat(Array.from(navMenu.querySelectorAll(FOCUSABLE)))
+            .filter(element => element.tabIndex >= 0);
+        // Anywhere in the menubar counts as its tab stop (arrow keys move inside it)
+        const current = navMenu.contains(document.activeElement) ? getTabStop() : document.activeElement;
+        const index = focusable.indexOf(current);
+
+        e.preventDefault();
+        if (index === -1) {
+            // Focus was somewhere else on the page (after a click): bring it back
+            focusable[0].focus();
+        } else {
+            focusable[(index + (e.shiftKey ? -1 : 1) + focusable.length) % focusable.length].focus();
+        }
+    }
 
     /**
      * Toggle mobile menu
@@ -18,94 +309,94 @@
         if (!mobileMenuToggle || !navMenu) return;
 
         const isExpanded = mobileMenuToggle.getAttribute('aria-expanded') === 'true';
-        
-        mobileMenuToggle.setAttribute('aria-expanded', !isExpanded);
-        navMenu.classList.toggle('active');
-        
-        // Prevent body scroll when menu is open
-        if (!isExpanded) {
-            document.body.style.overflow = 'hidden';
-        } else {
-            document.body.style.overflow = '';
+
+        if (isExpanded) {
+            closeMobileMenu();
+            return;
         }
+
+        mobileMenuToggle.setAttribute('aria-expanded', 'true');
+        navMenu.classList.add('active');
+
+        // Prevent body scroll when menu is open
+        document.body.style.overflow = 'hidden';
+
+        // Start on the current page's item
+        getTabStop().focus();
     }
 
     /**
      * Close mobile menu
+     * With `restoreFocus`, focus inside the menu goes back to the toggle
      */
-    function closeMobileMenu() {
+    function closeMobileMenu(restoreFocus) {
         if (!mobileMenuToggle || !navMenu) return;
-        
+
+        const hadFocus = navMenu.contains(document.activeElement);
+
         mobileMenuToggle.setAttribute('aria-expanded', 'false');
         navMenu.classList.remove('active');
         document.body.style.overflow = '';
+
+        if (restoreFocus && hadFocus) {
+            mobileMenuToggle.focus();
+        }
     }
 
     /**
-     * Handle smooth scrolling for anchor links
+     * Close the language switcher (a <details> element, so it opens without JS)
      */
-    function handleSmoothScroll(e) {
-        const href = e.currentTarget.getAttribute('href');
-        
-        // Only handle internal anchor links
-        if (href && href.startsWith('#')) {
-            e.preventDefault();
-            const targetId = href.substring(1);
-            const targetElement = document.getElementById(targetId);
-            
-            if (targetElement) {
-                const headerOffset = 80;
-                const elementPosition = targetElement.getBoundingClientRect().top;
-                const offsetPosition = elementPosition + window.pageYOffset - headerOffset;
-
-                window.scrollTo({
-                    top: offsetPosition,
-                    behavior: 'smooth'
-                });
-
-                // Update URL without triggering scroll
-                history.pushState(null, null, href);
-                
-                // Close mobile menu if open
-                closeMobileMenu();
-            }
-        } else if (href && !href.startsWith('http') && !href.startsWith('mailto') && !href.startsWith('tel')) {
-            // Close mobile menu when navigating to another page
-            closeMobileMenu();
+    function closeLanguageSwitcher() {
+        if (languageSwitcher) {
+            languageSwitcher.open = false;
         }
     }
 
     /**
-     * Set active navigation item based on current page
+     * Close the mobile menu when one of its links is followed
+     * (scrolling to sections of the page is left to js/section-nav.js)
      */
-    function setActiveNavItem() {
-        const currentPath = window.location.pathname;
-        const currentPage = currentPath.split('/').pop() || 'index.html';
-        
-        navLinks.forEach(link => {
-            const linkPath = link.getAttribute('href');
-            const linkPage = linkPath.split('/').pop();
-            
-            // Remove active state
-            link.removeAttribute('aria-current');
-            
-            // Set active state for current page
-            if (linkPage === currentPage || 
-                (currentPage === '' && linkPage === 'index.html') ||
-                (currentPage === 'index.html' && linkPage === 'index.html')) {
-                link.setAttribute('aria-current', 'page');
-            }
-        });
+    function handleNavLinkClick() {
+        closeMobileMenu();
     }
 
     /**
      * Handle keyboard navigation
      */
     function handleKeyboardNav(e) {
-        // Close menu on Escape key
-        if (e.key === 'Escape' && navMenu.classList.contains('active')) {
-            closeMobileMenu();
-            mobileMenuToggle.focus();
+        // Escape closes the search overlay first (js/search.js restores focus)
+        if (e.key === 'Escape' && window.Search && window.Search.isOpen()) {
+            e.preventDefault();
+            window.Search.close();
+            return;
+        }
+
+        const menuOpen = navMenu && navMenu.classList.contains('active');
+
+        if (e.key === 'Tab' && menuOpen) {
+            trapFocus(e);
+        }
+
+        // Close an open submenu of the navbar, then the mobile menu, on Escape
+        if (e.key === 'Escape' && navMenu) {
+            const openItem = getItems(navMenu).find(item => item.getAttribute('aria-expanded') === 'true');
+            if (openItem && !isVertical()) {
+                closeSubmenu(openItem);
+                if (navMenu.contains(document.activeElement)) {
+                    focusItem(openItem);
+                }
+                return;
+            }
+        }
+
+        if (e.key === 'Escape' && menuOpen) {
+            closeMobileMenu(true);
+        }
+
+        // Close the language switcher on Escape key
+        if (e.key === 'Escape' && languageSwitcher && languageSwitcher.open) {
+            closeLanguageSwitcher();
+            languageSwitcher.querySelector('summary').focus();
         }
     }
 
@@ -113,33 +404,41 @@
      * Handle clicks outside menu to close it
      */
     function handleOutsideClick(e) {
+        if (navMenu && !navMenu.contains(e.target)) {
+            closeSubmenus(navMenu);
+        }
+
         if (navMenu && navMenu.classList.contains('active')) {
             const isClickInsideNav = navMenu.contains(e.target);
             const isClickOnToggle = mobileMenuToggle && mobileMenuToggle.contains(e.target);
-            
+
             if (!isClickInsideNav && !isClickOnToggle) {
                 closeMobileMenu();
             }
         }
+
+        if (languageSwitcher && languageSwitcher.open && !languageSwitcher.contains(e.target)) {
+            closeLanguageSwitcher();
+        }
     }
 
     /**
      * Initialize navigation
      */
     function init() {
+        // Menubar keyboard support
+        initMenubar();
+
         // Mobile menu toggle
         if (mobileMenuToggle) {
             mobileMenuToggle.addEventListener('click', toggleMobileMenu);
         }
 
-        // Smooth scrolling for anchor links
+        // Close the mobile menu when a link is followed
         navLinks.forEach(link => {
-            link.addEventListener('click', handleSmoothScroll);
+            link.addEventListener('click', handleNavLinkClick);
         });
 
-        // Set active navigation item
-        setActiveNavItem();
-
         // Keyboard navigation
         document.addEventListener('keydown', handleKeyboardNav);
 
@@ -0,0 +1,109 @@
+/**
+ * Newsletter signup
+ * Every [data-newsletter] form (footer, after blog articles, newsletter.html) is
+ * validated and posted by the form-handler machinery. The server emails a link
+ * to confirm the address (double opt-in) and sends the visitor back to
+ * newsletter.html?status=confirmed|unsubscribed|invalid, shown here. Unsubscribe
+ * links land on newsletter.html?status=unsubscribe&token=..., whose form posts
+ * the token back to confirm.
+ *
+ * Markup: see src/partials/newsletter-form.html
+ */
+
+(function() {
+    'use strict';
+
+    const FormHandler = window.FormHandler;
+    const ValidationSchema = window.ValidationSchema;
+
+    // Interface text in the page's language (js/i18n.js)
+    const t = window.I18n ? window.I18n.t : text => text;
+
+    const SUBSCRIBE_ERROR_MESSAGE = 'Could not subscribe right now. Please try again later.';
+
+    /**
+     * Wire up one signup form
+     * Its fields are prefixed with the form id: newsletter-footer-email, newsletter-footer-email-error
+     */
+    function initForm(form) {
+        const controller = FormHandler.createFormController(form, ValidationSchema.newsletterSchema, {
+            idPrefix: `${form.id}-`,
+            errorField: 'email',
+            errorMessage: SUBSCRIBE_ERROR_MESSAGE,
+            // A signup is quick to repeat; the inquiry queue only delivers inquiries
+            offlineQueue: false
+        });
+
+        const successMessage = form.querySelector('[data-newsletter-success]');
+        const submitButton = form.querySelector('button[type="submit"]');
+
+        /**
+         * Handle form submission
+         */
+        async function handleSubmit(e) {
+            e.preventDefault();
+
+            if (successMessage) {
+                successMessage.hidden = true;
+            }
+
+            if (!controller.validateForm()) {
+                return;
+            }
+
+            const originalButtonText = submitButton.textContent;
+            submitButton.disabled = true;
+            submitButton.textContent = t('Subscribing...');
+
+            const outcome = await controller.submit();
+
+            submitButton.disabled = false;
+            submitButton.textContent = originalButtonText;
+
+            if (outcome !== 'sent') return;
+
+            controller.resetForm();
+            if (successMessage) {
+                successMessage.hidden = false;
+                successMessage.focus();
+            }
+        }
+
+        form.addEventListener('submit', handleSubmit);
+    }
+
+    /**
+     * Show the outcome of a confirmation or unsubscribe link on newsletter.html
+     */
+    function showStatus() {
+        const messages = Array.from(document.querySelectorAll('[data-newsletter-status]'));
+        const params = new URLSearchParams(window.location.search);
+        const message = messages.find(item => item.dataset.newsletterStatus === params.get('status'));
+        if (!message) return;
+
+        const unsubscribeForm = message.querySelector('[data-newsletter-unsubscribe]');
+        if (unsubscribeForm) {
+            unsubscribeForm.elements.token.value = params.get('token') || '';
+        }
+
+        message.hidden = false;
+        message.focus();
+    }
+
+    /**
+     * Set up every signup form on the page
+     */
+    function init() {
+        if (FormHandler && ValidationSchema) {
+            document.querySelectorAll('form[data-newsletter]').forEach(initForm);
+        }
+        showStatus();
+    }
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+})();
@@ -0,0 +1,173 @@
+/**
+ * Offline support
+ * Registers the service worker (sw.js, built from src/sw.js) that keeps the
+ * site readable without a connection. When a new build has been deployed its
+ * service worker waits until the visitor accepts the refresh prompt shown
+ * here; until then the precached pages, styles and scripts all come from the
+ * build the visitor already has.
+ *
+ * On the offline page, points the retry link at the page that was asked for
+ * (offline.html?from=<url>).
+ */
+
+(function() {
+    'use strict';
+
+    // Interface text in the page's language (js/i18n.js)
+    const t = window.I18n ? window.I18n.t : text => text;
+
+    let prompt = null;
+    // Set when the visitor accepts the refresh, so only that tab reloads
+    let refreshRequested = false;
+
+    /**
+     * Service worker URL, next to the manifest at the site root
+     */
+    function getWorkerUrl() {
+        const manifest = document.querySelector('link[rel="manifest"]');
+        return manifest ? new URL('sw.js', manifest.href).href : null;
+    }
+
+    /**
+     * Hide the refresh prompt
+     */
+    function hidePrompt() {
+        if (prompt) {
+            prompt.hidden = true;
+        }
+    }
+
+    /**
+     * Ask the visitor to refresh for the new build; `worker` is the waiting service worker
+     */
+    function showPrompt(worker) {
+        if (!prompt) {
+            prompt = document.createElement('div');
+            prompt.className = 'update-prompt';
+            prompt.setAttribute('role', 'region');
+            prompt.setAttribute('aria-label', t('Site update'));
+            prompt.innerHTML = `
+                <p class="update-prompt-text" role="status"></p>
+                <div class="update-prompt-actions">
+                    <button type="button" class="btn btn-primary" data-update="refresh"></button>
+                    <button type="button" class="btn btn-outline" data-update="dismiss"></button>
+                </div>
+            `;
+
+            prompt.querySelector('[data-update="refresh"]').textContent = t('Refresh');
+            prompt.querySelector('[data-update="dismiss"]').textContent = t('Later');
+
+            document.body.appendChild(prompt);
+        }
+
+        prompt.onclick = (e) => {
+            const button = e.target.closest('[data-update]');
+            if (!button) return;
+
+            if (button.dataset.update === 'refresh') {
+                button.disabled = true;
+                refreshRequested = true;
+                if (worker.state === 'activated') {
+                    // Another tab has already switched to the new build
+                    window.location.reload();
+                } else {
+                    // The page reloads once the new service worker has taken over (see init)
+                    worker.postMessage({ type: 'SKIP_WAITING' });
+                }
+            } else {
+                hidePrompt();
+            }
+        };
+
+        prompt.hidden = false;
+        // Set after the region is shown so screen readers announce it
+        prompt.querySelector('.update-prompt-text').textContent = t('A new version of this site is available.');
+    }
+
+    /**
+     * Show the prompt when a new service worker has installed next to the current one
+     */
+    function watchForUpdates(registration) {
+        // Installed during an earlier visit and still waiting
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            showPrompt(registration.waiting);
+        }
+
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            if (!worker) return;
+
+            worker.addEventListener('statechange', () => {
+                // Without a controller this is the first install: nothing to refresh
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    showPrompt(worker);
+                }
+            });
+        });
+
+        // Long-lived tabs (a conference schedule left open) look for a new build when shown again
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') {
+                registration.update().catch(() => {});
+            }
+        });
+    }
+
+    /**
+     * Offline page: retry the page the visitor asked for
+     */
+    function initRetryLink() {
+        const retry = document.querySelector('[data-offline-retry]');
+        const from = new URLSearchParams(window.location.search).get('from');
+        if (!retry || !from) return;
+
+        try {
+            const url = new URL(from, window.location.href);
+            // Only pages of this site, so the link cannot be pointed elsewhere
+            if (url.origin === window.location.origin) {
+                retry.href = url.href;
+            }
+        } catch (error) {
+            // Keep the link to the home page
+        }
+    }
+
+    /**
+     * Register the service worker; it needs http(s), not file://
+     */
+    function init() {
+        initRetryLink();
+
+        const workerUrl = getWorkerUrl();
+        if (!('serviceWorker' in navigator) || !workerUrl || !/^https?:$/.test(window.location.protocol)) return;
+
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            // Only after the visitor chose to refresh; the first install takes control quietly
+            if (!refreshRequested) return;
+            refreshRequested = false;
+            window.location.reload();
+        });
+
+        // After the page has loaded, so caching does not compete with it
+        const register = () => {
+            navigator.serviceWorker.register(workerUrl)
+                .then(watchForUpdates)
+                .catch(error => {
+                    console.warn('Service worker registration failed:', error);
+                });
+        };
+
+        if (document.readyState === 'complete') {
+            register();
+        } else {
+            window.addEventListener('load', register);
+        }
+    }
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+})();
@@ -0,0 +1,558 @@
+/**
+ * Site search
+ * Search overlay opened from the navbar button or the "/" key. Results come
+ * from the locale's search-index.json (the button's data-search-index),
+ * written by the build (see build/lib/search-index.js), and are matched with
+ * typo tolerance and accent folding. The input is a combobox: arrow keys move through the
+ * results and Enter opens one; Escape is handled with the other navbar
+ * menus in js/navigation.js through window.Search.
+ */
+
+(function() {
+    'use strict';
+
+    // Used when the page has no navbar button to read it from
+    const DEFAULT_INDEX_URL = 'search-index.json';
+    const MIN_QUERY_LENGTH = 2;
+    const MAX_RESULTS = 8;
+    const SNIPPET_LENGTH = 160;
+    // Characters of context kept before the first match in a snippet
+    const SNIPPET_LEAD = 50;
+
+    // Interface text in the page's language (js/i18n.js)
+    const t = window.I18n ? window.I18n.t : text => text;
+
+    const TYPE_LABELS = {
+        page: 'Page',
+        post: 'Article',
+        section: 'Section',
+        topic: 'Speaking topic',
+        service: 'Service',
+        testimonial: 'Testimonial',
+        event: 'Past event'
+    };
+
+    const WORD = /[\p{L}\p{N}]+/gu;
+
+    let ui = null;
+    let entries = null;
+    let indexRequest = null;
+    let results = [];
+    let activeIndex = -1;
+    let trigger = null;
+    let indexUrl = DEFAULT_INDEX_URL;
+
+    /**
+     * Track an event if analytics is loaded
+     */
+    function trackEvent(name, props) {
+        if (window.Analytics) {
+            window.Analytics.track(name, props);
+        }
+    }
+
+    /**
+     * Lowercase text without accents, with the position in the original text
+     * of every character so matches can be highlighted there
+     */
+    function prepareText(text) {
+        let normalized = '';
+        const positions = [];
+
+        Array.from(text).reduce((offset, char) => {
+            const folded = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+            for (let i = 0; i < folded.length; i++) {
+                positions.push(offset);
+            }
+            normalized += folded;
+            return offset + char.length;
+        }, 0);
+        positions.push(text.length);
+
+        const words = [];
+        let match;
+        WORD.lastIndex = 0;
+        while ((match = WORD.exec(normalized)) !== null) {
+            words.push({ text: match[0], start: match.index });
+        }
+
+        return { original: text, normalized, positions, words };
+    }
+
+    /**
+     * Levenshtein distance, giving up once it exceeds max
+     */
+    function editDistance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+
+        let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+            }
+            if (Math.min(...current) > max) return max + 1;
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    /**
+     * How well a search term matches a field: every exact occurrence, or
+     * failing that the words within one or two typos of it (as a whole word
+     * or the start of a longer one). Returns { score, ranges } or null.
+     */
+    function matchTerm(term, field) {
+        const ranges = [];
+        let index = field.normalized.indexOf(term);
+        let score = 0;
+
+        while (index !== -1) {
+            const atWordStart = index === 0 || !/[\p{L}\p{N}]/u.test(field.normalized[index - 1]);
+            score = Math.max(score, atWordStart ? 3 : 2);
+            ranges.push([index, index + term.length]);
+            index = field.normalized.indexOf(term, index + term.length);
+        }
+        if (ranges.length > 0) return { score, ranges };
+
+        if (term.length < 4) return null;
+        const allowed = term.length >= 8 ? 2 : 1;
+
+        field.words.forEach(word => {
+            const distance = Math.min(
+                editDistance(term, word.text, allowed),
+                word.text.length > term.length ? editDistance(term, word.text.slice(0, term.length), allowed) : allowed + 1
+            );
+            if (distance <= allowed) {
+                score = Math.max(score, 1.5 - distance / 2);
+                ranges.push([word.start, word.start + word.text.length]);
+            }
+        });
+
+        return ranges.length > 0 ? { score, ranges } : null;
+    }
+
+    /**
+     * Entries matching every term of the query, best first
+     * Matches in the title count double
+     */
+    function search(query) {
+        const terms = prepareText(query).words.map(word => word.text);
+        if (terms.length === 0) return [];
+
+        return entries.reduce((found, entry, position) => {
+            const titleRanges = [];
+            const textRanges = [];
+            let score = 0;
+
+            const matchesAll = terms.every(term => {
+                const inTitle = matchTerm(term, entry.title);
+                const inText = matchTerm(term, entry.text);
+                if (!inTitle && !inText) return false;
+
+                if (inTitle) titleRanges.push(...inTitle.ranges);
+                if (inText) textRanges.push(...inText.ranges);
+                score += Math.max(inTitle ? inTitle.score * 2 : 0, inText ? inText.score : 0);
+                return true;
+            });
+
+            if (matchesAll) {
+                found.push({ entry, score, position, titleRanges, textRanges });
+            }
+            return found;
+        }, [])
+            .sort((a, b) => b.score - a.score || a.position - b.position)
+            .slice(0, MAX_RESULTS);
+    }
+
+    /**
+     * Sorted, merged ranges in the original text
+     */
+    function toOriginalRanges(field, ranges) {
+        return ranges
+            .map(([start, end]) => [field.positions[start], field.positions[end]])
+            .sort((a, b) => a[0] - b[0])
+            .reduce((merged, range) => {
+                const last = merged[merged.length - 1];
+                if (last && range[0] <= last[1]) {
+                    last[1] = Math.max(last[1], range[1]);
+                } else {
+                    merged.push(range);
+                }
+                return merged;
+            }, []);
+    }
+
+    /**
+     * Fill an element with text, wrapping the ranges in <mark>
+     */
+    function renderHighlighted(element, text, ranges, offset = 0) {
+        let cursor = 0;
+        ranges.forEach(([start, end]) => {
+            const from = Math.max(start - offset, cursor);
+            const to = Math.min(end - offset, text.length);
+            if (to <= from) return;
+
+            element.appendChild(document.createTextNode(text.slice(cursor, from)));
+            const mark = document.createElement('mark');
+            mark.textContent = text.slice(from, to);
+            element.appendChild(mark);
+            cursor = to;
+        });
+        element.appendChild(document.createTextNode(text.slice(cursor)));
+    }
+
+    /**
+     * Part of the text around the first match, cut at word boundaries
+     */
+    function renderSnippet(element, field, ranges) {
+        const text = field.original;
+        let start = ranges.length > 0 ? Math.max(0, ranges[0][0] - SNIPPET_LEAD) : 0;
+        let end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+        if (start > 0) {
+            start = text.indexOf(' ', start) + 1 || start;
+        }
+        if (end < text.length) {
+            end = text.lastIndexOf(' ', end) > start ? text.lastIndexOf(' ', end) : end;
+        }
+
+        if (start > 0) element.appendChild(document.createTextNode('…'));
+        renderHighlighted(element, text.slice(start, end), ranges, start);
+        if (end < text.length) element.appendChild(document.createTextNode('…'));
+    }
+
+    /**
+     * Fetch and prepare the index once
+     */
+    function loadIndex() {
+        if (!indexRequest) {
+            indexRequest = fetch(indexUrl)
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.json();
+                })
+                .then(data => {
+                    // Entry URLs are relative to the index file
+                    const base = new URL(indexUrl, document.baseURI);
+                    entries = data.entries.map(entry => ({
+                        type: entry.type,
+                        page: entry.page,
+                        url: new URL(entry.url, base).href,
+                        title: prepareText(entry.title),
+                        text: prepareText(entry.text || '')
+                    }));
+                })
+                .catch(error => {
+                    // Let the next opening try again
+                    indexRequest = null;
+                    throw error;
+                });
+        }
+        return indexRequest;
+    }
+
+    /**
+     * Build the overlay once
+     */
+    function createOverlay() {
+        const dialog = document.createElement('div');
+        dialog.className = 'search-overlay';
+        dialog.id = 'search-dialog';
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+        dialog.setAttribute('aria-label', t('Search the site'));
+        dialog.hidden = true;
+
+        dialog.innerHTML = `
+            <div class="search-backdrop" data-search-close></div>
+            <div class="search-panel">
+                <form class="search-form" role="search">
+                    <label for="search-input" class="sr-only"></label>
+                    <input type="search" id="search-input" class="search-input" autocomplete="off" spellcheck="false"
+                        role="combobox" aria-autocomplete="list" aria-expanded="false" aria-controls="search-results"
+                        aria-describedby="search-hint">
+                    <button type="button" class="search-close" data-search-close>
+                        <span aria-hidden="true">×</span>
+                        <span class="sr-only"></span>
+                    </button>
+                </form>
+                <p id="search-hint" class="sr-only"></p>
+                <p class="search-status" role="status" aria-live="polite"></p>
+                <ul id="search-results" class="search-results" role="listbox"></ul>
+            </div>
+        `;
+
+        const input = dialog.querySelector('.search-input');
+        input.placeholder = t('Pages, topics, services, testimonials, events');
+        dialog.querySelector('label').textContent = t('Search');
+        dialog.querySelector('.search-close .sr-only').textContent = t('Close search');
+        dialog.querySelector('#search-hint').textContent = t('Use the up and down arrow keys to move through the results and Enter to open one.');
+        dialog.querySelector('#search-results').setAttribute('aria-label', t('Results'));
+
+        document.body.appendChild(dialog);
+
+        return {
+            dialog,
+            input,
+            closeButton: dialog.querySelector('.search-close'),
+            status: dialog.querySelector('.search-status'),
+            list: dialog.querySelector('.search-results')
+        };
+    }
+
+    /**
+     * Highlight a result and point the combobox at it
+     */
+    function setActive(index) {
+        const options = ui.list.querySelectorAll('[role="option"]');
+        activeIndex = options.length > 0 ? (index + options.length) % options.length : -1;
+
+        options.forEach((option, optionIndex) => {
+            option.setAttribute('aria-selected', String(optionIndex === activeIndex));
+        });
+
+        if (activeIndex === -1) {
+            ui.input.removeAttribute('aria-activedescendant');
+        } else {
+            ui.input.setAttribute('aria-activedescendant', options[activeIndex].id);
+            options[activeIndex].scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    /**
+     * List the results for the current query
+     */
+    function showResults(query) {
+        ui.list.innerHTML = '';
+        results = search(query);
+
+        results.forEach((result, index) => {
+            const { entry } = result;
+            const option = document.createElement('li');
+            option.className = 'search-result';
+            option.id = `search-result-${index}`;
+            option.setAttribute('role', 'option');
+            option.setAttribute('aria-selected', 'false');
+
+            const link = document.createElement('a');
+            link.href = entry.url;
+            link.tabIndex = -1;
+
+            const meta = document.createElement('span');
+            meta.className = 'search-result-meta';
+            meta.textContent = `${entry.page} · ${t(TYPE_LABELS[entry.type] || 'Page')}`;
+
+            const title = document.createElement('span');
+            title.className = 'search-result-title';
+            renderHighlighted(title, entry.title.original, toOriginalRanges(entry.title, result.titleRanges));
+
+            link.append(meta, title);
+
+            if (entry.text.original) {
+                const snippet = document.createElement('span');
+                snippet.className = 'search-result-snippet';
+                renderSnippet(snippet, entry.text, toOriginalRanges(entry.text, result.textRanges));
+                link.appendChild(snippet);
+            }
+
+            link.addEventListener('click', () => {
+                trackEvent('search_select', { query, url: entry.url, position: index + 1 });
+                close({ restoreFocus: false });
+            });
+
+            option.appendChild(link);
+            option.addEventListener('mousemove', () => {
+                if (activeIndex !== index) setActive(index);
+            });
+            ui.list.appendChild(option);
+        });
+
+        ui.input.setAttribute('aria-expanded', String(results.length > 0));
+        setActive(results.length > 0 ? 0 : -1);
+
+        if (results.length === 0) {
+            ui.status.textContent = t('No results for "{query}".', { query });
+        } else if (results.length === 1) {
+            ui.status.textContent = t('1 result for "{query}".', { query });
+        } else {
+            ui.status.textContent = t('{count} results for "{query}".', { count: results.length, query });
+        }
+    }
+
+    /**
+     * Search as the visitor types
+     */
+    function handleInput() {
+        const query = ui.input.value.trim();
+
+        if (query.length < MIN_QUERY_LENGTH) {
+            ui.list.innerHTML = '';
+            results = [];
+            ui.input.setAttribute('aria-expanded', 'false');
+            setActive(-1);
+            ui.status.textContent = '';
+            return;
+        }
+
+        if (entries) {
+            showResults(query);
+            return;
+        }
+
+        loadIndex()
+            .then(() => {
+                // The visitor may have kept typing while the index loaded
+                if (!ui.dialog.hidden) handleInput();
+            })
+            .catch(() => {
+                ui.status.textContent = t('Search is unavailable right now. Please try again later.');
+            });
+    }
+
+    /**
+     * Keep Tab inside the dialog (results are reached with the arrow keys)
+     */
+    function trapFocus(e) {
+        const first = ui.input;
+        const last = ui.closeButton;
+
+        if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    /**
+     * Arrow keys move through the results, Enter opens the highlighted one
+     */
+    function handleDialogKeydown(e) {
+        switch (e.key) {
+            case 'ArrowDown':
+                if (results.length === 0) return;
+                e.preventDefault();
+                setActive(activeIndex + 1);
+                break;
+            case 'ArrowUp':
+                if (results.length === 0) return;
+                e.preventDefault();
+                setActive(activeIndex - 1);
+                break;
+            case 'Enter':
+                if (e.target !== ui.input || activeIndex === -1) return;
+                e.preventDefault();
+                ui.list.querySelectorAll('[role="option"] a')[activeIndex].click();
+                break;
+            case 'Tab':
+                trapFocus(e);
+                break;
+        }
+    }
+
+    /**
+     * Whether the overlay is showing
+     */
+    function isOpen() {
+        return Boolean(ui) && !ui.dialog.hidden;
+    }
+
+    /**
+     * Show the overlay and start loading the index
+     */
+    function open() {
+        if (!ui) return;
+        if (isOpen()) {
+            ui.input.focus();
+            return;
+        }
+
+        trigger = document.activeElement;
+        ui.dialog.hidden = false;
+        document.body.style.overflow = 'hidden';
+        ui.input.focus();
+        ui.input.select();
+
+        loadIndex().then(() => {
+            if (ui.input.value.trim()) handleInput();
+        }).catch(() => {
+            // Reported when the visitor types
+        });
+
+        trackEvent('search_open', {});
+    }
+
+    /**
+     * Hide the overlay; focus goes back to where it was unless a result was chosen
+     */
+    function close(options = {}) {
+        if (!isOpen()) return;
+
+        ui.dialog.hidden = true;
+        document.body.style.overflow = '';
+
+        if (options.restoreFocus !== false && trigger && typeof trigger.focus === 'function') {
+            trigger.focus();
+        }
+        trigger = null;
+    }
+
+    /**
+     * Whether a key press is meant for a text field
+     */
+    function isTyping(target) {
+        return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+    }
+
+    /**
+     * "/" opens the search from anywhere but a text field
+     */
+    function handleShortcut(e) {
+        if (e.key !== '/' || e.ctrlKey || e.metaKey || e.altKey || isTyping(e.target) || isOpen()) return;
+
+        e.preventDefault();
+        open();
+    }
+
+    /**
+     * Build the overlay and wire the navbar button
+     */
+    function init() {
+        ui = createOverlay();
+
+        ui.input.addEventListener('input', handleInput);
+        ui.dialog.addEventListener('keydown', handleDialogKeydown);
+        ui.dialog.querySelector('.search-form').addEventListener('submit', (e) => e.preventDefault());
+        ui.dialog.querySelectorAll('[data-search-close]').forEach(element => {
+            element.addEventListener('click', () => close());
+        });
+
+        document.addEventListener('keydown', handleShortcut);
+
+        const toggle = document.querySelector('.search-toggle');
+        if (toggle) {
+            indexUrl = toggle.dataset.searchIndex || DEFAULT_INDEX_URL;
+            toggle.addEventListener('click', open);
+            toggle.hidden = false;
+        }
+    }
+
+    window.Search = {
+        open,
+        close,
+        isOpen
+    };
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+})();
@@ -0,0 +1,272 @@
+/**
+ * Section navigation
+ * Scrolls to in-page anchors below the sticky header, and highlights the
+ * current section in the page's table of contents.
+ *
+ * - Any link to an element of the current page (menu items, CTAs, footer
+ *   links, the skip link) scrolls smoothly to it, clear of the sticky header,
+ *   moves focus there and adds the address to the history
+ * - The header is measured rather than assumed, and the measurement is also
+ *   set as `scroll-padding-top`, so the browser's own jumps (initial load,
+ *   back/forward, search results) land below it too
+ * - Pages that include src/partials/section-toc.html get a sticky table of
+ *   contents listing their `<section aria-labelledby>` blocks, with the one
+ *   being read marked aria-current="location" (scroll-spy)
+ *
+ * Configure by defining window.SECTION_NAV_CONFIG before this script loads:
+ *   { header: '.header', gap: 16 }
+ * `gap` is the space left between the header and the section, in pixels.
+ * Exposed as window.SectionNav: scrollTo(target), getOffset()
+ */
+
+(function() {
+    'use strict';
+
+    const config = Object.assign({
+        // Sticky element(s) content must stay clear of
+        header: '.header',
+        gap: 16
+    }, window.SECTION_NAV_CONFIG);
+
+    const root = document.documentElement;
+    const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+    let toc = null;
+    let tocLinks = [];
+    let sections = [];
+    let spyFrame = null;
+
+    /**
+     * Height of an element, 0 when it is missing or hidden
+     */
+    function getHeight(selector) {
+        const element = typeof selector === 'string' ? document.querySelector(selector) : selector;
+        return element && !element.hidden ? element.getBoundingClientRect().height : 0;
+    }
+
+    /**
+     * Space taken at the top of the viewport by the sticky header and table of contents
+     */
+    function getOffset() {
+        return Math.ceil(getHeight(config.header) + getHeight(toc) + config.gap);
+    }
+
+    /**
+     * Share the measurements with CSS: --header-height places the table of
+     * contents under the header, scroll-padding-top offsets native jumps
+     */
+    function updateOffset() {
+        root.style.setProperty('--header-height', `${Math.ceil(getHeight(config.header))}px`);
+        root.style.scrollPaddingTop = `${getOffset()}px`;
+    }
+
+    /**
+     * Element an in-page hash points to, or null ("#book/event" and other app states have none)
+     */
+    function getTarget(hash) {
+        if (!hash || hash === '#') return null;
+
+        let id;
+        try {
+            id = decodeURIComponent(hash.slice(1));
+        } catch (error) {
+            return null;
+        }
+        return document.getElementById(id);
+    }
+
+    /**
+     * Scroll a target just below the sticky header
+     * behavior: 'smooth' (the default, unless the visitor prefers reduced motion) or 'instant'
+     */
+    function scrollTo(target, behavior) {
+        const top = target.getBoundingClientRect().top + window.pageYOffset - getOffset();
+        window.scrollTo({
+            top: Math.max(0, top),
+            behavior: behavior === 'instant' || reducedMotion.matches ? 'instant' : 'smooth'
+        });
+    }
+
+    /**
+     * Move focus to a target without scrolling again, so keyboard and screen
+     * reader users continue from there
+     */
+    function focusTarget(target) {
+        if (!target.matches('a[href], button, input, select, textarea, [tabindex]')) {
+            target.setAttribute('tabindex', '-1');
+        }
+        target.focus({ preventScroll: true });
+    }
+
+    /**
+     * Links to an element of this page: same address apart from the hash
+     */
+    function getInPageTarget(link) {
+        if (!link.hash || link.target === '_blank' || link.hasAttribute('download')) return null;
+
+        const url = new URL(link.href, window.location.href);
+        const here = window.location;
+        if (url.origin !== here.origin || url.pathname !== here.pathname || url.search !== here.search) return null;
+
+        return getTarget(url.hash);
+    }
+
+    /**
+     * Follow in-page links with a smooth scroll below the header
+     */
+    function handleClick(e) {
+        if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+
+        const link = e.target.closest('a[href]');
+        const target = link ? getInPageTarget(link) : null;
+        if (!target) return;
+
+        e.preventDefault();
+        scrollTo(target);
+        focusTarget(target);
+
+        if (window.location.hash !== link.hash) {
+            history.pushState(null, '', link.hash);
+        }
+    }
+
+    /**
+     * Line up the section of the address' hash (initial load, back/forward)
+     */
+    function alignToHash() {
+        const target = getTarget(window.location.hash);
+        if (target) {
+            scrollTo(target, 'instant');
+        }
+    }
+
+    /**
+     * The section being read: the last one whose top has passed under the header
+     * (or the last one once the page is scrolled to the bottom)
+     */
+    function getCurrentSection() {
+        const offset = getOffset() + 1;
+        const scrollable = root.scrollHeight > window.innerHeight;
+        const atBottom = scrollable && window.innerHeight + window.pageYOffset >= root.scrollHeight - 2;
+        if (atBottom) return sections[sections.length - 1];
+
+        return sections.reduce((current, section) => (
+            section.getBoundingClientRect().top <= offset ? section : current
+        ), null);
+    }
+
+    /**
+     * Mark the current section in the table of contents
+     */
+    function updateSpy() {
+        spyFrame = null;
+        const current = getCurrentSection();
+
+        tocLinks.forEach((link, index) => {
+            const isCurrent = sections[index] === current;
+            if (isCurrent) {
+                if (link.getAttribute('aria-current') !== 'location') {
+                    link.setAttribute('aria-current', 'location');
+                    // Keep the link in view when the list scrolls sideways
+                    const list = link.closest('.section-toc-list');
+                    const left = link.offsetLeft - list.offsetLeft;
+                    if (left < list.scrollLeft || left + link.offsetWidth > list.scrollLeft + list.clientWidth) {
+                        list.scrollLeft = left - (list.clientWidth - link.offsetWidth) / 2;
+                    }
+                }
+            } else {
+                link.removeAttribute('aria-current');
+            }
+        });
+    }
+
+    /**
+     * Update the highlight once per frame while scrolling
+     */
+    function scheduleSpy() {
+        if (spyFrame === null) {
+            spyFrame = window.requestAnimationFrame(updateSpy);
+        }
+    }
+
+    /**
+     * Fill the table of contents with the page's labelled sections
+     * Only sections titled by a visible <h2>; the page header's <h1> is left out
+     */
+    function initToc() {
+        toc = document.querySelector('[data-section-toc]');
+        if (!toc) return;
+
+        const list = toc.querySelector('.section-toc-list');
+        sections = Array.from(document.querySelectorAll('main > section[aria-labelledby]')).filter(section => {
+            const heading = document.getElementById(section.getAttribute('aria-labelledby'));
+            return heading && heading.tagName === 'H2' && !heading.classList.contains('sr-only');
+        });
+        if (sections.length < 2) return;
+
+        tocLinks = sections.map(section => {
+            const heading = document.getElementById(section.getAttribute('aria-labelledby'));
+            const item = document.createElement('li');
+            const link = document.createElement('a');
+            link.href = `#${heading.id}`;
+            link.textContent = heading.textContent.trim();
+            item.appendChild(link);
+            list.appendChild(item);
+            return link;
+        });
+
+        toc.hidden = false;
+        window.addEventListener('scroll', scheduleSpy, { passive: true });
+        updateSpy();
+    }
+
+    /**
+     * Set up the table of contents, offsets and listeners
+     */
+    function init() {
+        initToc();
+        updateOffset();
+
+        // The header changes height with the viewport, fonts and the mobile layout
+        if ('ResizeObserver' in window) {
+            const observer = new ResizeObserver(() => {
+                updateOffset();
+                scheduleSpy();
+            });
+            [document.querySelector(config.header), toc].filter(Boolean).forEach(element => observer.observe(element));
+        } else {
+            window.addEventListener('resize', () => {
+                updateOffset();
+                scheduleSpy();
+            });
+        }
+
+        document.addEventListener('click', handleClick);
+        window.addEventListener('popstate', alignToHash);
+
+        // The browser jumped before the header was measured; line up again
+        // now and once images above the target have loaded
+        if (getTarget(window.location.hash)) {
+            alignToHash();
+            const position = window.pageYOffset;
+            window.addEventListener('load', () => {
+                // Unless the visitor has scrolled since
+                if (Math.abs(window.pageYOffset - position) < 2) {
+                    alignToHash();
+                }
+            }, { once: true });
+        }
+    }
+
+    window.SectionNav = {
+        scrollTo,
+        getOffset
+    };
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+})();
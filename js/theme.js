@@ -0,0 +1,158 @@
+/**
+ * Theme manager
+ * Light and dark themes built on the CSS custom properties in css/main.css.
+ * Follows prefers-color-scheme until the visitor picks a theme with the
+ * navbar toggle; the choice is kept in localStorage. Loaded in <head> so
+ * <html data-theme> is set before the first paint.
+ *
+ * Other scripts can read or change the theme with window.Theme and listen
+ * for the "themechange" event on document ({ detail: { theme, preference } }).
+ */
+
+(function() {
+    'use strict';
+
+    const STORAGE_KEY = 'theme';
+    const THEMES = ['light', 'dark'];
+    // Browser UI color (address bar on mobile) per theme, matches --color-bg
+    const THEME_COLORS = { light: '#ffffff', dark: '#0f172a' };
+
+    const root = document.documentElement;
+    const systemQuery = window.matchMedia('(prefers-color-scheme: dark)');
+
+    /**
+     * Saved choice, or null when following the system setting
+     * (storage can throw when it is disabled)
+     */
+    function getStoredTheme() {
+        try {
+            const value = localStorage.getItem(STORAGE_KEY);
+            return THEMES.includes(value) ? value : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Remember a choice, or forget it with null
+     */
+    function storeTheme(theme) {
+        try {
+            if (theme) {
+                localStorage.setItem(STORAGE_KEY, theme);
+            } else {
+                localStorage.removeItem(STORAGE_KEY);
+            }
+        } catch (error) {
+            // The theme still applies to this page
+        }
+    }
+
+    /**
+     * Theme from prefers-color-scheme
+     */
+    function getSystemTheme() {
+        return systemQuery.matches ? 'dark' : 'light';
+    }
+
+    /**
+     * "light", "dark" or "system"
+     */
+    function getPreference() {
+        return getStoredTheme() || 'system';
+    }
+
+    /**
+     * The theme in effect
+     */
+    function getTheme() {
+        return getStoredTheme() || getSystemTheme();
+    }
+
+    /**
+     * Toggle icon and pressed state for the current theme
+     */
+    function updateToggle(theme) {
+        const toggle = document.querySelector('.theme-toggle');
+        if (!toggle) return;
+
+        toggle.setAttribute('aria-pressed', String(theme === 'dark'));
+        toggle.querySelector('[aria-hidden]').textContent = theme === 'dark' ? '☀' : '☾';
+    }
+
+    /**
+     * Put the current theme on <html>, the theme-color meta tag and the toggle
+     */
+    function apply() {
+        const theme = getTheme();
+        const changed = root.dataset.theme !== theme;
+        root.dataset.theme = theme;
+
+        const meta = document.querySelector('meta[name="theme-color"]');
+        if (meta) {
+            meta.content = THEME_COLORS[theme];
+        }
+
+        updateToggle(theme);
+
+        if (changed) {
+            document.dispatchEvent(new CustomEvent('themechange', {
+                detail: { theme, preference: getPreference() }
+            }));
+        }
+    }
+
+    /**
+     * Switch to "light", "dark" or back to "system"
+     */
+    function setTheme(preference) {
+        // Picking the theme the system already uses means following the system again
+        storeTheme(preference === getSystemTheme() || !THEMES.includes(preference) ? null : preference);
+        apply();
+    }
+
+    /**
+     * Wire the navbar toggle
+     */
+    function initToggle() {
+        const toggle = document.querySelector('.theme-toggle');
+        if (!toggle) return;
+
+        toggle.addEventListener('click', () => {
+            const theme = getTheme() === 'dark' ? 'light' : 'dark';
+            setTheme(theme);
+
+            if (window.Analytics) {
+                window.Analytics.track('theme_change', { theme });
+            }
+        });
+
+        updateToggle(getTheme());
+        toggle.hidden = false;
+    }
+
+    // Follow system changes unless the visitor has chosen a theme
+    systemQuery.addEventListener('change', apply);
+
+    // Keep other open tabs in sync
+    window.addEventListener('storage', (e) => {
+        if (e.key === STORAGE_KEY) {
+            apply();
+        }
+    });
+
+    window.Theme = {
+        get: getTheme,
+        getPreference,
+        set: setTheme
+    };
+
+    // Runs before the body is parsed, so the page is painted in the right theme
+    apply();
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initToggle);
+    } else {
+        initToggle();
+    }
+})();
@@ -0,0 +1,340 @@
+/**
+ * Form validation schema
+ * Declarative field rules shared by the browser (window.ValidationSchema)
+ * and the Node server (require('../js/validation-schema'))
+ */
+
+(function(root, factory) {
+    'use strict';
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ValidationSchema = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    'use strict';
+
+    /**
+     * Today's date as YYYY-MM-DD, allowing one day of slack for time zones
+     */
+    function earliestEventDate() {
+        const date = new Date(Date.now() - 24 * 60 * 60 * 1000);
+        return date.toISOString().slice(0, 10);
+    }
+
+    /**
+     * Whether a YYYY-MM-DD value is a day that exists (not 2027-02-30 or 2027-13-45)
+     */
+    function isCalendarDate(value) {
+        const [year, month, day] = value.split('-').map(Number);
+        const date = new Date(Date.UTC(year, month - 1, day));
+        return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+    }
+
+    /**
+     * Contact form fields
+     * Rule keys: required, minLength, maxLength, pattern, enum, validate (custom function)
+     * Each failing rule reports the message under the same key in `messages`
+     * Fields with `when: { field, equals }` only apply while that field has one of the listed values
+     */
+    const contactSchema = {
+        name: {
+            required: true,
+            minLength: 2,
+            maxLength: 100,
+            messages: {
+                required: 'Name is required',
+                minLength: 'Name must be at least 2 characters',
+                maxLength: 'Name must be less than 100 characters'
+            }
+        },
+        email: {
+            required: true,
+            maxLength: 254,
+            pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+            messages: {
+                required: 'Email is required',
+                maxLength: 'Please enter a valid email address',
+                pattern: 'Please enter a valid email address'
+            }
+        },
+        phone: {
+            required: false,
+            maxLength: 30,
+            pattern: /^[\d\s\-\+\(\)]+$/,
+            messages: {
+                maxLength: 'Please enter a valid phone number',
+                pattern: 'Please enter a valid phone number'
+            }
+        },
+        subject: {
+            required: true,
+            // Mirrors the options of <select id="subject"> in contact.html
+            enum: ['speaking', 'consulting', 'coaching', 'workshop', 'other'],
+            messages: {
+                required: 'Please select a subject',
+                enum: 'Please select a subject'
+            }
+        },
+        message: {
+            required: true,
+            minLength: 10,
+            maxLength: 2000,
+            messages: {
+                required: 'Message is required',
+                minLength: 'Message must be at least 10 characters',
+                maxLength: 'Message must be less than 2000 characters'
+            }
+        },
+
+        // Speaking engagement details
+        eventDate: {
+            when: { field: 'subject', equals: ['speaking'] },
+            required: true,
+            pattern: /^\d{4}-\d{2}-\d{2}$/,
+            validate: value => {
+                if (!isCalendarDate(value)) return 'Please enter a valid date';
+                return value < earliestEventDate() ? 'Event date must be in the future' : '';
+            },
+            messages: {
+                required: 'Event date is required',
+                pattern: 'Please enter a valid date',
+                // Set by the server when the date is booked or blocked in data/availability.json
+                unavailable: 'Dr. Chen is not available on this date. Please choose another date.'
+            }
+        },
+        eventLocation: {
+            when: { field: 'subject', equals: ['speaking'] },
+            required: true,
+            maxLength: 200,
+            messages: {
+                required: 'Event location is required',
+                maxLength: 'Location must be less than 200 characters'
+            }
+        },
+        audienceSize: {
+            when: { field: 'subject', equals: ['speaking'] },
+            required: true,
+            enum: ['under-50', '50-200', '200-500', '500-1000', '1000-plus'],
+            messages: {
+                required: 'Please select an audience size',
+                enum: 'Please select an audience size'
+            }
+        },
+        budgetRange: {
+            when: { field: 'subject', equals: ['speaking'] },
+            required: false,
+            enum: ['under-10k', '10k-20k', '20k-35k', '35k-plus', 'undecided'],
+            messages: {
+                enum: 'Please select a budget range'
+            }
+        },
+
+        // Extra speaking details collected by the booking wizard on speaking.html
+        eventName: {
+            when: { field: 'subject', equals: ['speaking'] },
+            required: false,
+            maxLength: 150,
+            messages: {
+                maxLength: 'Event name must be less than 150 characters'
+            }
+        },
+        speakingTopic: {
+            when: { field: 'subject', equals: ['speaking'] },
+            required: false,
+            // Mirrors the topic cards on speaking.html
+            enum: ['high-performance-teams', 'authentic-leader', 'conflict-to-collaboration', 'culture-transformation', 'custom'],
+            messages: {
+                enum: 'Please select a topic'
+            }
+        },
+        eventFormat: {
+            when: { field: 'subject', equals: ['speaking'] },
+            required: false,
+            enum: ['keynote', 'workshop', 'panel', 'fireside-chat'],
+            messages: {
+                enum: 'Please select a format'
+            }
+        },
+        audienceType: {
+            when: { field: 'subject', equals: ['speaking'] },
+            required: false,
+            maxLength: 200,
+            messages: {
+                maxLength: 'Audience description must be less than 200 characters'
+            }
+        },
+        deliveryMode: {
+            when: { field: 'subject', equals: ['speaking'] },
+            required: false,
+            enum: ['in-person', 'virtual', 'hybrid'],
+            messages: {
+                enum: 'Please select how the session will be delivered'
+            }
+        },
+
+        // Consulting details
+        companySize: {
+            when: { field: 'subject', equals: ['consulting'] },
+            required: true,
+            enum: ['1-50', '51-200', '201-1000', '1001-5000', '5000-plus'],
+            messages: {
+                required: 'Please select a company size',
+                enum: 'Please select a company size'
+            }
+        },
+        timeline: {
+            when: { field: 'subject', equals: ['consulting'] },
+            required: true,
+            enum: ['immediately', '1-3-months', '3-6-months', '6-months-plus', 'exploring'],
+            messages: {
+                required: 'Please select a timeline',
+                enum: 'Please select a timeline'
+            }
+        },
+
+        // Coaching details
+        currentRole: {
+            when: { field: 'subject', equals: ['coaching'] },
+            required: true,
+            minLength: 2,
+            maxLength: 100,
+            messages: {
+                required: 'Current role is required',
+                minLength: 'Role must be at least 2 characters',
+                maxLength: 'Role must be less than 100 characters'
+            }
+        },
+        coachingFormat: {
+            when: { field: 'subject', equals: ['coaching'] },
+            required: false,
+            enum: ['virtual', 'in-person', 'hybrid'],
+            messages: {
+                enum: 'Please select a coaching format'
+            }
+        },
+
+        // Workshop details
+        participants: {
+            when: { field: 'subject', equals: ['workshop'] },
+            required: true,
+            maxLength: 4,
+            pattern: /^[1-9]\d*$/,
+            messages: {
+                required: 'Number of participants is required',
+                maxLength: 'Please enter a number below 10000',
+                pattern: 'Please enter a whole number'
+            }
+        },
+        workshopFormat: {
+            when: { field: 'subject', equals: ['workshop'] },
+            required: true,
+            enum: ['half-day', 'full-day', 'multi-day'],
+            messages: {
+                required: 'Please select a workshop format',
+                enum: 'Please select a workshop format'
+            }
+        }
+    };
+
+    /**
+     * Newsletter signup fields (footer, after blog articles and newsletter.html)
+     */
+    const newsletterSchema = {
+        email: contactSchema.email,
+        source: {
+            required: false,
+            // Mirrors the `placement` of the newsletter-form partial
+            enum: ['footer', 'article', 'page'],
+            messages: {
+                enum: 'Please enter a valid value'
+            }
+        },
+        lang: {
+            required: false,
+            // Mirrors `locales` in src/site.json; the first one is the default
+            enum: ['en', 'es', 'fr'],
+            messages: {
+                enum: 'Please enter a valid value'
+            }
+        }
+    };
+
+    /**
+     * Normalize a raw input value to a trimmed string
+     */
+    function normalize(value) {
+        if (value === undefined || value === null) return '';
+        return String(value).trim();
+    }
+
+    /**
+     * Whether a conditional field applies to the given values
+     */
+    function isActive(field, values) {
+        if (!field.when) return true;
+        const current = normalize((values || {})[field.when.field]);
+        return field.when.equals.includes(current);
+    }
+
+    /**
+     * Validate one value against a field definition
+     * Returns an error message, or an empty string when valid
+     */
+    function validateValue(field, value, values) {
+        const text = normalize(value);
+        const messages = field.messages || {};
+
+        if (text.length === 0) {
+            return field.required === false ? '' : (messages.required || 'This field is required');
+        }
+        if (field.minLength !== undefined && text.length < field.minLength) {
+            return messages.minLength || `Must be at least ${field.minLength} characters`;
+        }
+        if (field.maxLength !== undefined && text.length > field.maxLength) {
+            return messages.maxLength || `Must be less than ${field.maxLength} characters`;
+        }
+        if (field.pattern && !field.pattern.test(text)) {
+            return messages.pattern || 'Please enter a valid value';
+        }
+        if (field.enum && !field.enum.includes(text)) {
+            return messages.enum || 'Please select a valid option';
+        }
+        if (typeof field.validate === 'function') {
+            return field.validate(text, values || {}) || '';
+        }
+        return '';
+    }
+
+    /**
+     * Validate an object of values against a schema
+     * Returns the normalized values of active fields and a map of field name to error message
+     */
+    function validate(schema, values) {
+        const source = values || {};
+        const data = {};
+        const errors = {};
+
+        Object.keys(schema).forEach(fieldName => {
+            if (!isActive(schema[fieldName], source)) return;
+
+            data[fieldName] = normalize(source[fieldName]);
+            const error = validateValue(schema[fieldName], source[fieldName], source);
+            if (error) {
+                errors[fieldName] = error;
+            }
+        });
+
+        return { data, errors };
+    }
+
+    return {
+        contactSchema,
+        newsletterSchema,
+        normalize,
+        isActive,
+        validateValue,
+        validate
+    };
+});
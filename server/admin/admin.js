@@ -0,0 +1,414 @@
+/**
+ * Admin dashboard
+ * Sign-in, filtering, status workflow and notes for stored inquiries
+ * (API in server/routes/admin.js)
+ */
+
+(function() {
+    'use strict';
+
+    const API_BASE = '/api/admin';
+
+    // Delay before a search request is sent while typing
+    const SEARCH_DELAY_MS = 250;
+
+    const STATUS_LABELS = {
+        new: 'New',
+        replied: 'Replied',
+        won: 'Won',
+        lost: 'Lost'
+    };
+
+    // Fields shown in the card header or handled separately
+    const HIDDEN_FIELDS = ['id', 'status', 'notes', 'updatedAt', 'receivedAt', 'name', 'subject'];
+
+    const loginSection = document.getElementById('admin-login');
+    const loginForm = document.getElementById('admin-login-form');
+    const passwordInput = document.getElementById('admin-password');
+    const passwordError = document.getElementById('admin-password-error');
+    const disabledNotice = document.getElementById('admin-disabled');
+    const dashboard = document.getElementById('admin-dashboard');
+    const logoutButton = document.getElementById('admin-logout');
+    const filtersForm = dashboard.querySelector('.admin-filters');
+    const countsList = dashboard.querySelector('.admin-counts');
+    const resultsStatus = document.getElementById('admin-results');
+    const exportLink = document.getElementById('admin-export');
+    const list = document.getElementById('inquiry-list');
+    const subjectFilter = document.getElementById('filter-subject');
+
+    let statusFlow = {};
+    let searchTimer = null;
+
+    /**
+     * Call the admin API; rejects with an error carrying the HTTP status
+     */
+    async function request(method, path, body) {
+        const options = {
+            method,
+            credentials: 'same-origin',
+            headers: { 'Accept': 'application/json' }
+        };
+        if (body) {
+            options.headers['Content-Type'] = 'application/json';
+            options.body = JSON.stringify(body);
+        }
+
+        const response = await fetch(API_BASE + path, options);
+        let result = {};
+        try {
+            result = await response.json();
+        } catch (e) {
+            // Non-JSON response
+        }
+
+        if (!response.ok || !result.success) {
+            const error = new Error(result.error || `Request failed with status ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        return result;
+    }
+
+    /**
+     * Show one of the sign-in form, disabled notice or dashboard
+     */
+    function showView(view) {
+        loginSection.hidden = view !== loginSection;
+        disabledNotice.hidden = view !== disabledNotice;
+        dashboard.hidden = view !== dashboard;
+        logoutButton.hidden = view !== dashboard;
+    }
+
+    /**
+     * Current filters as a query string
+     */
+    function getQuery() {
+        const params = new URLSearchParams();
+        new FormData(filtersForm).forEach((value, key) => {
+            if (String(value).trim()) {
+                params.set(key, String(value).trim());
+            }
+        });
+        return params.toString();
+    }
+
+    /**
+     * Restore filters from the page URL
+     */
+    function readFiltersFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        Array.from(filtersForm.elements).forEach(element => {
+            if (element.name && params.has(element.name)) {
+                element.value = params.get(element.name);
+            }
+        });
+    }
+
+    /**
+     * "eventDate" -> "Event date"
+     */
+    function toLabel(fieldName) {
+        const words = fieldName.replace(/[A-Z]/g, letter => ` ${letter.toLowerCase()}`);
+        return words.charAt(0).toUpperCase() + words.slice(1);
+    }
+
+    /**
+     * Readable date and time
+     */
+    function formatDate(isoString) {
+        return new Date(isoString).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+    }
+
+    /**
+     * Subject option text from the filter select
+     */
+    function getSubjectLabel(subject) {
+        const option = Array.from(subjectFilter.options).find(item => item.value === subject);
+        return option ? option.textContent : subject;
+    }
+
+    /**
+     * Create an element with a class and text
+     */
+    function createElement(tagName, className, text) {
+        const element = document.createElement(tagName);
+        if (className) element.className = className;
+        if (text !== undefined) element.textContent = text;
+        return element;
+    }
+
+    /**
+     * Status badge
+     */
+    function createBadge(status) {
+        return createElement('span', `status-badge status-${status}`, STATUS_LABELS[status] || status);
+    }
+
+    /**
+     * Render the per-status counts
+     */
+    function renderCounts(counts, total) {
+        countsList.innerHTML = '';
+        countsList.appendChild(createElement('li', 'admin-count', `All: ${total}`));
+        Object.keys(counts).forEach(status => {
+            const item = createElement('li', 'admin-count');
+            item.appendChild(createBadge(status));
+            item.appendChild(document.createTextNode(` ${counts[status]}`));
+            countsList.appendChild(item);
+        });
+    }
+
+    /**
+     * Build the expandable card for one inquiry
+     */
+    function renderInquiry(inquiry) {
+        const card = createElement('details', 'inquiry-card');
+        card.dataset.id = inquiry.id;
+
+        const summary = createElement('summary', 'inquiry-summary');
+        summary.appendChild(createElement('span', 'inquiry-name', inquiry.name));
+        summary.appendChild(createElement('span', 'inquiry-subject', getSubjectLabel(inquiry.subject)));
+        summary.appendChild(createElement('time', 'inquiry-date', formatDate(inquiry.receivedAt)));
+        summary.appendChild(createBadge(inquiry.status));
+        card.appendChild(summary);
+
+        const body = createElement('div', 'inquiry-body');
+
+        // Submitted fields
+        const details = createElement('dl', 'inquiry-fields');
+        Object.keys(inquiry).forEach(fieldName => {
+            if (HIDDEN_FIELDS.includes(fieldName) || !inquiry[fieldName]) return;
+
+            details.appendChild(createElement('dt', '', toLabel(fieldName)));
+            const value = createElement('dd');
+            if (fieldName === 'email') {
+                const link = createElement('a', '', inquiry.email);
+                link.href = `mailto:${inquiry.email}`;
+                value.appendChild(link);
+            } else {
+                value.textContent = inquiry[fieldName];
+            }
+            details.appendChild(value);
+        });
+        body.appendChild(details);
+
+        // Status workflow
+        const actions = createElement('div', 'inquiry-actions');
+        (statusFlow[inquiry.status] || []).forEach(status => {
+            const button = createElement('button', 'btn btn-outline', `Mark as ${STATUS_LABELS[status].toLowerCase()}`);
+            button.type = 'button';
+            button.dataset.status = status;
+            actions.appendChild(button);
+        });
+        body.appendChild(actions);
+
+        // Notes
+        const notesHeading = createElement('h3', 'inquiry-notes-title', 'Notes');
+        body.appendChild(notesHeading);
+
+        if (inquiry.notes.length > 0) {
+            const notes = createElement('ol', 'inquiry-notes');
+            inquiry.notes.forEach(note => {
+                const item = createElement('li');
+                item.appendChild(createElement('time', 'inquiry-note-date', formatDate(note.createdAt)));
+                item.appendChild(createElement('p', '', note.text));
+                notes.appendChild(item);
+            });
+            body.appendChild(notes);
+        } else {
+            body.appendChild(createElement('p', 'inquiry-notes-empty', 'No notes yet.'));
+        }
+
+        const noteForm = createElement('form', 'inquiry-note-form');
+        const noteId = `note-${inquiry.id}`;
+        noteForm.innerHTML = `
+            <div class="form-group">
+                <label for="${noteId}">Add a note</label>
+                <textarea id="${noteId}" name="note" rows="3" maxlength="2000"></textarea>
+                <span class="error-message" role="alert" aria-live="polite"></span>
+            </div>
+            <button type="submit" class="btn btn-primary">Save note</button>
+        `;
+        body.appendChild(noteForm);
+
+        card.appendChild(body);
+        return card;
+    }
+
+    /**
+     * Render the filtered list
+     */
+    function renderList(result) {
+        statusFlow = result.statusFlow;
+        renderCounts(result.counts, result.total);
+
+        list.innerHTML = '';
+        result.inquiries.forEach(inquiry => {
+            list.appendChild(renderInquiry(inquiry));
+        });
+
+        if (result.inquiries.length === 0) {
+            list.appendChild(createElement('p', 'admin-notice', result.total === 0
+                ? 'No inquiries have been received yet.'
+                : 'No inquiries match these filters.'));
+        }
+
+        resultsStatus.textContent = `Showing ${result.inquiries.length} of ${result.total} inquiries`;
+    }
+
+    /**
+     * Handle an API failure: back to sign-in when the session has expired
+     */
+    function handleError(error, errorElement) {
+        if (error.status === 401) {
+            showView(loginSection);
+            passwordInput.focus();
+        } else if (error.status === 503) {
+            disabledNotice.textContent = error.message;
+            showView(disabledNotice);
+        } else if (errorElement) {
+            errorElement.textContent = error.message;
+        } else {
+            resultsStatus.textContent = error.message;
+        }
+    }
+
+    /**
+     * Fetch inquiries for the current filters
+     */
+    async function loadInquiries() {
+        const query = getQuery();
+        history.replaceState(null, '', query ? `?${query}` : window.location.pathname);
+        exportLink.href = `${API_BASE}/inquiries.csv${query ? `?${query}` : ''}`;
+
+        try {
+            const result = await request('GET', `/inquiries${query ? `?${query}` : ''}`);
+            showView(dashboard);
+            renderList(result);
+        } catch (error) {
+            handleError(error);
+        }
+    }
+
+    /**
+     * Send a status change or note and redraw the card in place
+     */
+    async function updateInquiry(card, changes, errorElement) {
+        try {
+            const result = await request('PATCH', '/inquiries', Object.assign({ id: card.dataset.id }, changes));
+            const updated = renderInquiry(result.inquiry);
+            updated.open = true;
+            card.replaceWith(updated);
+            renderCounts(result.counts, result.total);
+            return updated;
+        } catch (error) {
+            handleError(error, errorElement);
+            return null;
+        }
+    }
+
+    /**
+     * Sign in with the admin password
+     */
+    async function handleLogin(e) {
+        e.preventDefault();
+        passwordError.textContent = '';
+
+        try {
+            await request('POST', '/login', { password: passwordInput.value });
+            passwordInput.value = '';
+            await loadInquiries();
+        } catch (error) {
+            handleError(error, passwordError);
+            passwordInput.focus();
+        }
+    }
+
+    /**
+     * Sign out and return to the sign-in form
+     */
+    async function handleLogout() {
+        try {
+            await request('POST', '/logout');
+        } finally {
+            list.innerHTML = '';
+            showView(loginSection);
+            passwordInput.focus();
+        }
+    }
+
+    /**
+     * Status buttons inside cards
+     */
+    async function handleListClick(e) {
+        const button = e.target.closest('button[data-status]');
+        if (!button) return;
+
+        const card = button.closest('.inquiry-card');
+        button.disabled = true;
+        const updated = await updateInquiry(card, { status: button.dataset.status });
+        if (updated) {
+            updated.querySelector('summary').focus();
+        } else {
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Note forms inside cards
+     */
+    async function handleNoteSubmit(e) {
+        const form = e.target.closest('.inquiry-note-form');
+        if (!form) return;
+        e.preventDefault();
+
+        const textarea = form.querySelector('textarea');
+        const errorElement = form.querySelector('.error-message');
+        errorElement.textContent = '';
+
+        if (!textarea.value.trim()) {
+            errorElement.textContent = 'Please enter a note.';
+            textarea.focus();
+            return;
+        }
+
+        const updated = await updateInquiry(form.closest('.inquiry-card'), { note: textarea.value });
+        if (updated) {
+            updated.querySelector('textarea').focus();
+        }
+    }
+
+    /**
+     * Initialize the dashboard
+     */
+    function init() {
+        readFiltersFromUrl();
+
+        loginForm.addEventListener('submit', handleLogin);
+        logoutButton.addEventListener('click', handleLogout);
+        list.addEventListener('click', handleListClick);
+        list.addEventListener('submit', handleNoteSubmit);
+
+        filtersForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            loadInquiries();
+        });
+        filtersForm.addEventListener('change', (e) => {
+            if (e.target.type !== 'search') loadInquiries();
+        });
+        filtersForm.addEventListener('input', (e) => {
+            if (e.target.type !== 'search') return;
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(loadInquiries, SEARCH_DELAY_MS);
+        });
+
+        loadInquiries();
+    }
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+})();
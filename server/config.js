@@ -0,0 +1,99 @@
+/**
+ * Server configuration
+ * Values can be overridden with environment variables
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const path = require('path');
+
+const rootDir = path.resolve(__dirname, '..');
+const dataDir = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : path.join(__dirname, 'data');
+
+module.exports = {
+    port: Number(process.env.PORT) || 8000,
+    host: process.env.HOST || '127.0.0.1',
+
+    // Directory the static site is served from
+    rootDir,
+
+    // Languages of the site as the build writes them (src/site.json): the
+    // first is served from the root, the others from a folder of the same name
+    locales: require(path.join(rootDir, 'src', 'site.json')).locales,
+
+    // Directory where inquiries and other runtime data are written
+    dataDir,
+
+    // Booked and blocked speaking dates, also served to the calendar widget
+    availabilityFile: path.join(rootDir, 'data', 'availability.json'),
+
+    // Address inquiries are sent to and calendar holds are organized by
+    ownerEmail: process.env.OWNER_EMAIL || 'contact@alexandrachen.com',
+
+    // Public address of the site, used for links in emails
+    siteUrl: process.env.SITE_URL || 'https://www.alexandrachen.com',
+
+    // Outgoing email: MAIL_TRANSPORT is "console", "file" (writes .eml files) or "smtp"
+    mail: {
+        transport: process.env.MAIL_TRANSPORT || 'console',
+        from: process.env.MAIL_FROM || 'Dr. Alexandra Chen <contact@alexandrachen.com>',
+        fileDir: path.join(dataDir, 'mail'),
+        smtp: {
+            host: process.env.SMTP_HOST || 'localhost',
+            port: Number(process.env.SMTP_PORT) || 587,
+            // Implicit TLS (port 465); otherwise STARTTLS is used when offered
+            secure: process.env.SMTP_SECURE === '1',
+            user: process.env.SMTP_USER || '',
+            pass: process.env.SMTP_PASS || '',
+            timeoutMs: 30 * 1000
+        },
+        // Failed sends are retried with exponential backoff
+        retry: {
+            baseDelayMs: 60 * 1000,
+            maxDelayMs: 60 * 60 * 1000,
+            maxAttempts: 8
+        }
+    },
+
+    // Largest JSON request body accepted (bytes)
+    maxBodySize: 64 * 1024,
+
+    // Read the client address from X-Forwarded-For (only behind a trusted proxy)
+    trustProxy: process.env.TRUST_PROXY === '1',
+
+    // Secret used to sign form tokens; a random one invalidates tokens on restart
+    formSecret: process.env.FORM_SECRET || crypto.randomBytes(32).toString('hex'),
+
+    // Password for the /admin dashboard; the dashboard is disabled when unset
+    adminPassword: process.env.ADMIN_PASSWORD || '',
+
+    // Secret used to sign admin session cookies; a random one logs everyone out on restart
+    sessionSecret: process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex'),
+
+    // How long an admin stays signed in, and how many login attempts an IP gets
+    adminSessionMs: 8 * 60 * 60 * 1000,
+    adminLoginLimit: { max: 10, windowMs: 15 * 60 * 1000 },
+
+    // Self-hosted analytics collection
+    analytics: {
+        eventLimit: { max: 120, windowMs: 60 * 1000 }
+    },
+
+    // Newsletter double opt-in: confirmation links expire, signups are rate limited
+    newsletter: {
+        confirmMaxAgeMs: 7 * 24 * 60 * 60 * 1000,
+        ipLimit: { max: 5, windowMs: 10 * 60 * 1000 },
+        emailLimit: { max: 3, windowMs: 60 * 60 * 1000 }
+    },
+
+    // Anti-spam thresholds
+    spam: {
+        minSubmitMs: 3000,
+        tokenMaxAgeMs: 2 * 60 * 60 * 1000,
+        ipLimit: { max: 5, windowMs: 10 * 60 * 1000 },
+        emailLimit: { max: 3, windowMs: 60 * 60 * 1000 },
+        duplicateWindowMs: 24 * 60 * 60 * 1000,
+        maxLinks: 2
+    }
+};
@@ -0,0 +1,98 @@
+/**
+ * Local Node server
+ * Serves the static site, the JSON API behind the contact and newsletter forms and the /admin dashboard
+ *
+ * Usage: node server/index.js
+ */
+
+'use strict';
+
+const http = require('http');
+const config = require('./config');
+const { sendJson } = require('./lib/http');
+const outbox = require('./lib/outbox');
+const { serveStatic } = require('./lib/static');
+const contact = require('./routes/contact');
+const admin = require('./routes/admin');
+const events = require('./routes/events');
+const newsletter = require('./routes/newsletter');
+
+// API routes keyed by "METHOD /path"
+const routes = {
+    'GET /api/form-token': contact.handleFormToken,
+    'POST /api/contact': contact.handleContact,
+    'POST /api/events': events.handleEvent,
+    'POST /api/newsletter': newsletter.handleSubscribe,
+    'GET /api/newsletter/confirm': newsletter.handleConfirm,
+    'GET /api/newsletter/unsubscribe': newsletter.handleUnsubscribe,
+    'POST /api/newsletter/unsubscribe': newsletter.handleConfirmUnsubscribe,
+    'POST /api/admin/login': admin.handleLogin,
+    'POST /api/admin/logout': admin.handleLogout,
+    'GET /api/admin/inquiries': admin.handleList,
+    'PATCH /api/admin/inquiries': admin.handleUpdate,
+    'GET /api/admin/inquiries.csv': admin.handleExport,
+    'GET /api/admin/subscribers.csv': admin.handleSubscriberExport
+};
+
+Object.keys(admin.PAGES).forEach(pagePath => {
+    routes[`GET ${pagePath}`] = admin.handlePage;
+});
+
+/**
+ * Dispatch a request to an API route or the static file handler
+ */
+async function handleRequest(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const route = routes[`${req.method} ${url.pathname}`];
+
+    try {
+        if (route) {
+            await route(req, res, url);
+        } else if (url.pathname.startsWith('/api/')) {
+            sendJson(res, 404, { success: false, error: 'Not found' });
+        } else {
+            await serveStatic(req, res, url);
+        }
+    } catch (error) {
+        const status = error.status || 500;
+        if (status >= 500) {
+            console.error(error);
+        }
+
+        if (res.headersSent) {
+            res.end();
+            return;
+        }
+
+        sendJson(res, status, {
+            success: false,
+            error: status >= 500 ? 'Internal server error' : error.message
+        });
+    }
+}
+
+/**
+ * Start listening
+ */
+function start(port = config.port, host = config.host) {
+    // Deliver emails queued before the last shutdown
+    outbox.start().catch(error => {
+        console.error('Could not start the mail queue:', error);
+    });
+
+    const server = http.createServer(handleRequest);
+    server.listen(port, host, () => {
+        console.log(`Server running at http://${host}:${port}/`);
+    });
+    return server;
+}
+
+if (require.main === module) {
+    start();
+}
+
+module.exports = {
+    routes,
+    handleRequest,
+    start
+};
@@ -0,0 +1,123 @@
+/**
+ * Admin authentication
+ * Password check and signed, HttpOnly session cookies for the /admin dashboard
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const config = require('../config');
+const { HttpError } = require('./http');
+
+const COOKIE_NAME = 'admin_session';
+
+/**
+ * Constant-time string comparison (hashing first evens out the lengths)
+ */
+function safeEqual(a, b) {
+    const hashA = crypto.createHash('sha256').update(String(a)).digest();
+    const hashB = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(hashA, hashB);
+}
+
+/**
+ * Whether the dashboard has a password configured
+ */
+function isEnabled() {
+    return config.adminPassword.length > 0;
+}
+
+/**
+ * Check a submitted password against ADMIN_PASSWORD
+ */
+function checkPassword(password) {
+    return isEnabled() && typeof password === 'string' && safeEqual(password, config.adminPassword);
+}
+
+/**
+ * Sign a session payload with the session secret
+ */
+function sign(payload) {
+    return crypto.createHmac('sha256', config.sessionSecret).update(`admin.${payload}`).digest('base64url');
+}
+
+/**
+ * Issue a session token: "<issuedAt>.<signature>"
+ */
+function issueSession(now = Date.now()) {
+    return `${now}.${sign(String(now))}`;
+}
+
+/**
+ * Parse the Cookie header into a name → value map
+ * Cookies whose value is not valid percent-encoding are skipped
+ */
+function parseCookies(req) {
+    const cookies = {};
+    (req.headers.cookie || '').split(';').forEach(part => {
+        const index = part.indexOf('=');
+        if (index <= 0) return;
+
+        try {
+            cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+        } catch (error) {
+            // URIError from a malformed value such as "%E0%A4%A"
+        }
+    });
+    return cookies;
+}
+
+/**
+ * Whether the request carries a valid, unexpired session cookie
+ */
+function hasSession(req, now = Date.now()) {
+    const token = parseCookies(req)[COOKIE_NAME];
+    if (!token) return false;
+
+    const [issuedAt, signature] = token.split('.');
+    if (!signature || !safeEqual(signature, sign(issuedAt))) return false;
+
+    const age = now - Number(issuedAt);
+    return Number.isFinite(age) && age >= 0 && age <= config.adminSessionMs;
+}
+
+/**
+ * Throw unless the request is from a signed-in admin
+ */
+function requireAdmin(req) {
+    if (!isEnabled()) {
+        throw new HttpError(503, 'The admin dashboard is disabled. Set ADMIN_PASSWORD to enable it.');
+    }
+    if (!hasSession(req)) {
+        throw new HttpError(401, 'Please sign in.');
+    }
+}
+
+/**
+ * Set-Cookie header value for a new session, or for clearing it when token is empty
+ */
+function sessionCookie(req, token) {
+    const secure = req.socket.encrypted ||
+        (config.trustProxy && req.headers['x-forwarded-proto'] === 'https');
+
+    const attributes = [
+        `${COOKIE_NAME}=${token}`,
+        'Path=/',
+        'HttpOnly',
+        'SameSite=Strict',
+        `Max-Age=${token ? Math.floor(config.adminSessionMs / 1000) : 0}`
+    ];
+    if (secure) {
+        attributes.push('Secure');
+    }
+    return attributes.join('; ');
+}
+
+module.exports = {
+    isEnabled,
+    checkPassword,
+    issueSession,
+    hasSession,
+    requireAdmin,
+    sessionCookie
+};
@@ -0,0 +1,35 @@
+/**
+ * CSV export
+ * RFC 4180 quoting, with spreadsheet formula injection neutralised
+ */
+
+'use strict';
+
+/**
+ * Quote a single cell
+ * Values starting with = + - @ are prefixed with ' so spreadsheets do not run them
+ */
+function formatCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+
+    if (/[",\r\n]/.test(text)) {
+        text = `"${text.replace(/"/g, '""')}"`;
+    }
+
+    return text;
+}
+
+/**
+ * Build a CSV document from a header row and data rows
+ */
+function toCsv(headers, rows) {
+    return [headers].concat(rows)
+        .map(row => row.map(formatCell).join(','))
+        .join('\r\n') + '\r\n';
+}
+
+module.exports = { toCsv };
@@ -0,0 +1,110 @@
+/**
+ * HTTP helpers
+ * Request body parsing, JSON responses and redirects shared by all API routes
+ */
+
+'use strict';
+
+const config = require('../config');
+
+/**
+ * Error carrying an HTTP status code, thrown by route handlers
+ */
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+    }
+}
+
+/**
+ * Send a JSON response
+ */
+function sendJson(res, status, body) {
+    const payload = JSON.stringify(body);
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(payload),
+        'Cache-Control': 'no-store'
+    });
+    res.end(payload);
+}
+
+/**
+ * Send the browser to another page with 303 See Other
+ */
+function redirect(res, location) {
+    res.writeHead(303, {
+        'Location': location,
+        'Content-Length': 0,
+        'Cache-Control': 'no-store'
+    });
+    res.end();
+}
+
+/**
+ * Read the raw request body, rejecting anything larger than the limit
+ */
+function readBody(req, limit = config.maxBodySize) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > limit) {
+                reject(new HttpError(413, 'Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Read and parse a JSON request body
+ */
+async function readJsonBody(req) {
+    const contentType = req.headers['content-type'] || '';
+    if (!contentType.includes('application/json')) {
+        throw new HttpError(415, 'Expected a JSON request body');
+    }
+
+    const raw = await readBody(req);
+    try {
+        const body = JSON.parse(raw);
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            throw new Error('Body is not an object');
+        }
+        return body;
+    } catch (error) {
+        throw new HttpError(400, 'Malformed JSON request body');
+    }
+}
+
+/**
+ * Client IP address, honoring X-Forwarded-For only when configured to
+ */
+function getClientIp(req) {
+    if (config.trustProxy) {
+        const forwarded = req.headers['x-forwarded-for'];
+        if (forwarded) {
+            return forwarded.split(',')[0].trim();
+        }
+    }
+    return req.socket.remoteAddress || 'unknown';
+}
+
+module.exports = {
+    HttpError,
+    getClientIp,
+    sendJson,
+    redirect,
+    readBody,
+    readJsonBody
+};
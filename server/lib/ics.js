@@ -0,0 +1,112 @@
+/**
+ * iCalendar (.ics) generation
+ * Builds all-day tentative holds for requested speaking dates (RFC 5545)
+ */
+
+'use strict';
+
+const config = require('../config');
+const Availability = require('../../js/availability');
+
+/**
+ * Escape a TEXT value
+ */
+function escapeText(value) {
+    return String(value || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/\r?\n/g, '\\n')
+        .replace(/([,;])/g, '\\$1');
+}
+
+/**
+ * Fold a content line to 75 octets as the spec requires
+ */
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+
+    for (const char of line) {
+        if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+/**
+ * YYYY-MM-DD to YYYYMMDD
+ */
+function formatDate(isoDate) {
+    return isoDate.replace(/-/g, '');
+}
+
+/**
+ * The day after a YYYY-MM-DD date, as YYYYMMDD
+ */
+function nextDay(isoDate) {
+    const date = new Date(`${isoDate}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + 1);
+    return formatDate(date.toISOString().slice(0, 10));
+}
+
+/**
+ * UTC timestamp in iCalendar form (20261019T120000Z)
+ */
+function formatTimestamp(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Create an all-day event
+ * Returns null when `date` is not a real YYYY-MM-DD day
+ */
+function createEventIcs({ uid, date, summary, description, location, organizer }) {
+    if (!Availability.parseIsoDate(date)) return null;
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Dr. Alexandra Chen//Speaking Requests//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'BEGIN:VEVENT',
+        `UID:${uid}@alexandrachen.com`,
+        `DTSTAMP:${formatTimestamp(new Date())}`,
+        `DTSTART;VALUE=DATE:${formatDate(date)}`,
+        `DTEND;VALUE=DATE:${nextDay(date)}`,
+        `SUMMARY:${escapeText(summary)}`,
+        'STATUS:TENTATIVE',
+        'TRANSP:TRANSPARENT'
+    ];
+
+    if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+    if (location) lines.push(`LOCATION:${escapeText(location)}`);
+    if (organizer) lines.push(`ORGANIZER:mailto:${organizer}`);
+
+    lines.push('END:VEVENT', 'END:VCALENDAR');
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Tentative calendar hold for a speaking request: { filename, content }, or null without a valid event date
+ * Returned to the browser and attached to the visitor's confirmation email
+ */
+function createCalendarHold(inquiry) {
+    const title = inquiry.eventName || 'Speaking engagement';
+    const content = createEventIcs({
+        uid: inquiry.id,
+        date: inquiry.eventDate,
+        summary: `Tentative: ${title} with Dr. Alexandra Chen`,
+        description: 'Requested date for a speaking engagement. This hold is tentative until the booking is confirmed.',
+        location: inquiry.eventLocation,
+        organizer: config.ownerEmail
+    });
+    return content ? { filename: `speaking-hold-${inquiry.eventDate}.ics`, content } : null;
+}
+
+module.exports = { createEventIcs, createCalendarHold };
@@ -0,0 +1,209 @@
+/**
+ * Mail transports
+ * Builds MIME messages and delivers them via SMTP, .eml files or the console
+ *
+ * A message is { id, from, to, replyTo, subject, text, html, headers, attachments }
+ * where `headers` holds extra header fields such as List-Unsubscribe and
+ * `attachments` is a list of { filename, contentType, content } (content as text)
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const smtp = require('./smtp');
+
+// "Name <address>" or '"Quoted, name" <address>'; the address is the last <...>
+const NAME_ADDRESS = /^\s*(?:"((?:[^"\\]|\\.)*)"|([^"<]*?))\s*<([^<>]+)>\s*$/;
+
+/**
+ * Bare address from "Name <address>" or "address"
+ */
+function extractAddress(value) {
+    const match = /<([^<>]+)>\s*$/.exec(value);
+    return (match ? match[1] : value).trim();
+}
+
+/**
+ * "Name <address>" for a display name typed by a visitor: quoted (RFC 5322
+ * quoted-string), so commas, angle brackets and quotes stay part of the name
+ */
+function formatAddress(name, address) {
+    const displayName = String(name).replace(/[\r\n]+/g, ' ').replace(/["\\]/g, '\\$&');
+    return `"${displayName}" <${address}>`;
+}
+
+/**
+ * Header value safe from injection, RFC 2047-encoded when not plain ASCII
+ */
+function encodeHeader(value) {
+    const text = String(value).replace(/[\r\n]+/g, ' ');
+    return /^[\x20-\x7e]*$/.test(text)
+        ? text
+        : `=?UTF-8?B?${Buffer.from(text, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * Address header: the display name as a quoted-string, or RFC 2047-encoded when not plain ASCII
+ */
+function encodeAddress(value) {
+    const match = NAME_ADDRESS.exec(String(value));
+    if (!match) return extractAddress(String(value));
+
+    const name = (match[1] !== undefined ? match[1].replace(/\\(.)/g, '$1') : match[2]).replace(/[\r\n]+/g, ' ').trim();
+    const address = match[3].trim();
+    if (!name) return address;
+
+    return /^[\x20-\x7e]*$/.test(name)
+        ? `"${name.replace(/["\\]/g, '\\$&')}" <${address}>`
+        : `${encodeHeader(name)} <${address}>`;
+}
+
+/**
+ * Base64 body wrapped at 76 characters
+ */
+function encodeBody(text) {
+    return Buffer.from(text, 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+}
+
+/**
+ * Random MIME boundary
+ */
+function createBoundary() {
+    return `=_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+/**
+ * Body part: its header lines, a blank line and the base64 content
+ */
+function buildPart(headers, content) {
+    return [...headers, 'Content-Transfer-Encoding: base64', '', encodeBody(content)].join('\r\n');
+}
+
+/**
+ * Parts joined by a boundary, closing delimiter included
+ */
+function joinParts(boundary, parts) {
+    return `${parts.map(part => `--${boundary}\r\n${part}`).join('\r\n')}\r\n--${boundary}--\r\n`;
+}
+
+/**
+ * Render a message as an RFC 5322 document: the text and HTML versions as
+ * multipart/alternative, wrapped in multipart/mixed when there are attachments
+ */
+function buildMime(message) {
+    const domain = extractAddress(message.from).split('@')[1] || 'localhost';
+    const attachments = message.attachments || [];
+
+    const alternativeBoundary = createBoundary();
+    const alternative = joinParts(alternativeBoundary, [
+        ['text/plain', message.text],
+        ['text/html', message.html]
+    ].filter(([, content]) => content).map(([type, content]) => buildPart([`Content-Type: ${type}; charset=utf-8`], content)));
+    const alternativeType = `multipart/alternative; boundary="${alternativeBoundary}"`;
+
+    let contentType = alternativeType;
+    let body = alternative;
+    if (attachments.length > 0) {
+        const mixedBoundary = createBoundary();
+        contentType = `multipart/mixed; boundary="${mixedBoundary}"`;
+        body = joinParts(mixedBoundary, [
+            `Content-Type: ${alternativeType}\r\n\r\n${alternative}`,
+            ...attachments.map(attachment => {
+                const filename = encodeHeader(attachment.filename).replace(/["\\]/g, '');
+                return buildPart([
+                    `Content-Type: ${attachment.contentType}; name="${filename}"`,
+                    `Content-Disposition: attachment; filename="${filename}"`
+                ], attachment.content);
+            })
+        ]);
+    }
+
+    const headers = [
+        `From: ${encodeAddress(message.from)}`,
+        `To: ${encodeAddress(message.to)}`,
+        message.replyTo ? `Reply-To: ${encodeAddress(message.replyTo)}` : '',
+        `Subject: ${encodeHeader(message.subject)}`,
+        `Date: ${new Date().toUTCString().replace('GMT', '+0000')}`,
+        `Message-ID: <${message.id || crypto.randomUUID()}@${domain}>`,
+        ...Object.keys(message.headers || {}).map(name => `${name}: ${encodeHeader(message.headers[name])}`),
+        'MIME-Version: 1.0',
+        `Content-Type: ${contentType}`
+    ].filter(Boolean);
+
+    return `${headers.join('\r\n')}\r\n\r\n${body}`;
+}
+
+/**
+ * Print messages to the server log
+ */
+function createConsoleTransport() {
+    return {
+        name: 'console',
+        async send(message) {
+            console.log([
+                '--- Email ---',
+                `To: ${message.to}`,
+                `Subject: ${message.subject}`,
+                ...(message.attachments || []).map(attachment => `Attachment: ${attachment.filename}`),
+                '',
+                message.text,
+                '-------------'
+            ].join('\n'));
+        }
+    };
+}
+
+/**
+ * Write each message as an .eml file that mail clients can open
+ */
+function createFileTransport(settings) {
+    return {
+        name: 'file',
+        async send(message) {
+            await fs.promises.mkdir(settings.fileDir, { recursive: true });
+            const fileName = `${Date.now()}-${message.id || crypto.randomUUID()}.eml`;
+            await fs.promises.writeFile(path.join(settings.fileDir, fileName), buildMime(message), 'utf8');
+        }
+    };
+}
+
+/**
+ * Deliver through an SMTP server
+ */
+function createSmtpTransport(settings) {
+    return {
+        name: 'smtp',
+        send(message) {
+            const envelope = {
+                from: extractAddress(message.from),
+                to: [extractAddress(message.to)]
+            };
+            return smtp.sendMail(settings.smtp, envelope, buildMime(message));
+        }
+    };
+}
+
+const TRANSPORTS = {
+    console: createConsoleTransport,
+    file: createFileTransport,
+    smtp: createSmtpTransport
+};
+
+/**
+ * Create the transport named in the mail settings
+ */
+function createTransport(settings) {
+    const factory = TRANSPORTS[settings.transport];
+    if (!factory) {
+        throw new Error(`Unknown mail transport "${settings.transport}" (expected ${Object.keys(TRANSPORTS).join(', ')})`);
+    }
+    return factory(settings);
+}
+
+module.exports = {
+    formatAddress,
+    buildMime,
+    createTransport
+};
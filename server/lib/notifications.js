@@ -0,0 +1,258 @@
+/**
+ * Inquiry and newsletter notifications
+ * Renders the owner alert and the visitor auto-reply for a stored inquiry, and
+ * the newsletter confirmation and welcome emails, and hands them to the
+ * outgoing mail queue
+ */
+
+'use strict';
+
+const config = require('../config');
+const outbox = require('./outbox');
+const { createCalendarHold } = require('./ics');
+const { formatAddress } = require('./mailer');
+const { escapeHtml, renderTemplate } = require('./templates');
+
+const SUBJECT_LABELS = {
+    speaking: 'Speaking Engagement',
+    consulting: 'Consulting Services',
+    coaching: 'Executive Coaching',
+    workshop: 'Workshop/Training',
+    other: 'Other Inquiry'
+};
+
+// Auto-reply wording per subject; {eventDate} is filled in for speaking requests
+const AUTO_REPLIES = {
+    speaking: {
+        subject: 'Your speaking request has been received',
+        heading: 'Thank you for your speaking request',
+        intro: 'Thank you for thinking of me for your event{eventDate}. I will check my calendar and confirm availability within 24 hours.',
+        nextSteps: [
+            'I will review your event details, audience and goals',
+            'You will receive a short proposal with keynote options and fees',
+            'We schedule a 20-minute call to tailor the session to your audience'
+        ]
+    },
+    consulting: {
+        subject: 'Your consulting inquiry has been received',
+        heading: 'Thank you for reaching out',
+        intro: 'Thank you for your interest in working together on your organization\'s leadership and culture. I read every consulting inquiry personally and will reply within two business days.',
+        nextSteps: [
+            'I will review the challenges you described',
+            'We arrange a complimentary discovery call',
+            'You receive a proposal outlining scope, timeline and investment'
+        ]
+    },
+    coaching: {
+        subject: 'Your coaching inquiry has been received',
+        heading: 'Thank you for your interest in coaching',
+        intro: 'Deciding to invest in your own leadership is a big step. I will be in touch within two business days to find a time for a confidential introductory conversation.',
+        nextSteps: [
+            'A 30-minute introductory call to understand your goals',
+            'A recommendation for the coaching format that suits you',
+            'Scheduling your first session'
+        ]
+    },
+    workshop: {
+        subject: 'Your workshop inquiry has been received',
+        heading: 'Thank you for your workshop inquiry',
+        intro: 'Thank you for considering a workshop for your team. I will review your group size and format and get back to you within two business days.',
+        nextSteps: [
+            'I will review your team\'s goals and preferred format',
+            'You receive an outline of the recommended workshop',
+            'We agree on dates and logistics'
+        ]
+    },
+    other: {
+        subject: 'Your message has been received',
+        heading: 'Thank you for getting in touch',
+        intro: 'Thank you for your message. I will get back to you as soon as possible, usually within two business days.',
+        nextSteps: [
+            'I will read your message personally',
+            'You will hear back from me or my team by email'
+        ]
+    }
+};
+
+// Added to the auto-reply intro when the calendar hold is attached
+const CALENDAR_NOTE = ' The attached calendar file holds the date for you until it is confirmed.';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Inquiry properties that are not form fields
+const META_FIELDS = ['id', 'receivedAt', 'message'];
+
+/**
+ * "eventDate" -> "Event date"
+ */
+function toLabel(fieldName) {
+    const words = fieldName.replace(/[A-Z]/g, letter => ` ${letter.toLowerCase()}`);
+    return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Submitted fields worth listing in the owner alert
+ */
+function getFields(inquiry) {
+    return Object.keys(inquiry)
+        .filter(fieldName => !META_FIELDS.includes(fieldName) && inquiry[fieldName])
+        .map(fieldName => ({
+            label: toLabel(fieldName),
+            value: fieldName === 'subject' ? SUBJECT_LABELS[inquiry.subject] || inquiry.subject : inquiry[fieldName]
+        }));
+}
+
+/**
+ * Readable date and time in the server's locale
+ */
+function formatDate(isoString) {
+    return new Date(isoString).toLocaleString('en-US', { dateStyle: 'long', timeStyle: 'short' });
+}
+
+/**
+ * Alert for the site owner with the full inquiry
+ */
+async function buildOwnerAlert(inquiry) {
+    const fields = getFields(inquiry);
+    const values = {
+        title: `New ${SUBJECT_LABELS[inquiry.subject] || 'website'} inquiry from ${inquiry.name}`,
+        receivedAt: formatDate(inquiry.receivedAt),
+        name: inquiry.name,
+        email: inquiry.email,
+        message: inquiry.message,
+        replyUrl: `mailto:${inquiry.email}`,
+        adminUrl: `${config.siteUrl}/admin?q=${encodeURIComponent(inquiry.email)}`,
+        fieldRows: fields.map(field => `<tr>
+                        <th align="left" style="padding: 4px 16px 4px 0; vertical-align: top; color: #64748b;">${escapeHtml(field.label)}</th>
+                        <td style="padding: 4px 0;">${escapeHtml(field.value)}</td>
+                    </tr>`).join('\n                    '),
+        fieldList: fields.map(field => `${field.label}: ${field.value}`).join('\n')
+    };
+
+    return {
+        from: config.mail.from,
+        to: config.ownerEmail,
+        replyTo: formatAddress(inquiry.name, inquiry.email),
+        subject: values.title,
+        text: await renderTemplate('owner-alert.txt', values),
+        html: await renderTemplate('owner-alert.html', values)
+    };
+}
+
+/**
+ * Confirmation for the visitor, worded for their subject
+ * Requests with an event date carry the tentative calendar hold as an .ics attachment
+ */
+async function buildAutoReply(inquiry) {
+    const content = AUTO_REPLIES[inquiry.subject] || AUTO_REPLIES.other;
+    // Null for a date that is not a real day, which is then left out of the email
+    const calendarHold = inquiry.eventDate ? createCalendarHold(inquiry) : null;
+    const eventDate = calendarHold
+        ? ` on ${new Date(`${inquiry.eventDate}T00:00:00Z`).toLocaleDateString('en-US', { dateStyle: 'long', timeZone: 'UTC' })}`
+        : '';
+    const excerpt = inquiry.message.length > 140 ? `${inquiry.message.slice(0, 140)}…` : inquiry.message;
+
+    const values = {
+        heading: content.heading,
+        firstName: inquiry.name.split(/\s+/)[0],
+        intro: content.intro.replace('{eventDate}', eventDate) + (calendarHold ? CALENDAR_NOTE : ''),
+        nextSteps: content.nextSteps.map(step => `<li>${escapeHtml(step)}</li>`).join('\n                    '),
+        nextStepList: content.nextSteps.map((step, index) => `${index + 1}. ${step}`).join('\n'),
+        siteUrl: config.siteUrl,
+        excerpt
+    };
+
+    return {
+        from: config.mail.from,
+        to: formatAddress(inquiry.name, inquiry.email),
+        replyTo: config.ownerEmail,
+        subject: content.subject,
+        text: await renderTemplate('auto-reply.txt', values),
+        html: await renderTemplate('auto-reply.html', values),
+        attachments: calendarHold ? [{
+            filename: calendarHold.filename,
+            contentType: 'text/calendar; charset=utf-8; method=PUBLISH',
+            content: calendarHold.content
+        }] : []
+    };
+}
+
+/**
+ * Queue both emails for a new inquiry
+ */
+async function notifyInquiry(inquiry) {
+    const messages = await Promise.all([buildOwnerAlert(inquiry), buildAutoReply(inquiry)]);
+    for (const message of messages) {
+        await outbox.enqueue(message);
+    }
+}
+
+/**
+ * Double opt-in email with the link that activates a newsletter subscription
+ */
+async function buildNewsletterConfirmation(subscriber, confirmUrl) {
+    const values = {
+        email: subscriber.email,
+        confirmUrl,
+        validFor: `${Math.round(config.newsletter.confirmMaxAgeMs / DAY_MS)} days`,
+        siteUrl: config.siteUrl
+    };
+
+    return {
+        from: config.mail.from,
+        to: subscriber.email,
+        replyTo: config.ownerEmail,
+        subject: 'Please confirm your newsletter subscription',
+        text: await renderTemplate('newsletter-confirm.txt', values),
+        html: await renderTemplate('newsletter-confirm.html', values)
+    };
+}
+
+/**
+ * Welcome email once the address is confirmed
+ * Carries the one-click unsubscribe headers (RFC 8058) that mail clients show as a button
+ */
+async function buildNewsletterWelcome(subscriber, unsubscribeUrl) {
+    const values = {
+        unsubscribeUrl,
+        blogUrl: `${config.siteUrl}/blog/index.html`,
+        siteUrl: config.siteUrl
+    };
+
+    return {
+        from: config.mail.from,
+        to: subscriber.email,
+        replyTo: config.ownerEmail,
+        subject: 'Welcome to the newsletter',
+        text: await renderTemplate('newsletter-welcome.txt', values),
+        html: await renderTemplate('newsletter-welcome.html', values),
+        headers: {
+            'List-Unsubscribe': `<${unsubscribeUrl}>`,
+            'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+        }
+    };
+}
+
+/**
+ * Queue the confirmation link for a new or repeated signup
+ */
+async function notifyNewsletterSignup(subscriber, confirmUrl) {
+    await outbox.enqueue(await buildNewsletterConfirmation(subscriber, confirmUrl));
+}
+
+/**
+ * Queue the welcome email for a confirmed subscriber
+ */
+async function notifyNewsletterConfirmed(subscriber, unsubscribeUrl) {
+    await outbox.enqueue(await buildNewsletterWelcome(subscriber, unsubscribeUrl));
+}
+
+module.exports = {
+    buildOwnerAlert,
+    buildAutoReply,
+    notifyInquiry,
+    buildNewsletterConfirmation,
+    buildNewsletterWelcome,
+    notifyNewsletterSignup,
+    notifyNewsletterConfirmed
+};
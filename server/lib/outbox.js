@@ -0,0 +1,152 @@
+/**
+ * Outgoing mail queue
+ * Messages are persisted before sending and retried with exponential backoff,
+ * so a failed or interrupted send is picked up again after a restart
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const config = require('../config');
+const { createStore } = require('./store');
+const { createTransport } = require('./mailer');
+
+const settings = config.mail.retry;
+
+// Queue events: queued, failed (with the next attempt time), sent, abandoned
+const log = createStore('mail-outbox.jsonl');
+
+const pending = new Map();
+let loading = null;
+let transport = null;
+let timer = null;
+let running = false;
+
+/**
+ * Rebuild the pending messages from the queue log once per process
+ */
+function load() {
+    if (!loading) {
+        loading = log.readAll().then(entries => {
+            entries.forEach(entry => {
+                if (entry.type === 'queued') {
+                    pending.set(entry.id, { message: entry.message, attempts: 0, nextAttemptAt: 0 });
+                } else if (entry.type === 'failed' && pending.has(entry.id)) {
+                    Object.assign(pending.get(entry.id), {
+                        attempts: entry.attempts,
+                        nextAttemptAt: Date.parse(entry.nextAttemptAt)
+                    });
+                } else if (entry.type === 'sent' || entry.type === 'abandoned') {
+                    pending.delete(entry.id);
+                }
+            });
+        });
+    }
+    return loading;
+}
+
+/**
+ * Transport from the mail settings, created on first use
+ */
+function getTransport() {
+    transport = transport || createTransport(config.mail);
+    return transport;
+}
+
+/**
+ * Delay before the next attempt after `attempts` failures
+ */
+function getRetryDelay(attempts) {
+    return Math.min(settings.baseDelayMs * Math.pow(2, attempts - 1), settings.maxDelayMs);
+}
+
+/**
+ * Wake up when the earliest pending message is due
+ */
+function scheduleNext() {
+    clearTimeout(timer);
+    timer = null;
+    if (pending.size === 0) return;
+
+    const due = Math.min(...Array.from(pending.values(), item => item.nextAttemptAt));
+    timer = setTimeout(() => {
+        processQueue().catch(error => console.error('Mail queue error:', error));
+    }, Math.max(0, due - Date.now()));
+    // Pending retries should not keep the process alive on shutdown
+    timer.unref();
+}
+
+/**
+ * Try every message that is due
+ */
+async function processQueue() {
+    if (running) return;
+    running = true;
+
+    try {
+        await load();
+        const now = Date.now();
+
+        for (const [id, item] of pending) {
+            if (item.nextAttemptAt > now) continue;
+
+            try {
+                await getTransport().send(item.message);
+                pending.delete(id);
+                await log.append({ type: 'sent', id, createdAt: new Date().toISOString() });
+            } catch (error) {
+                item.attempts += 1;
+
+                if (item.attempts >= settings.maxAttempts) {
+                    pending.delete(id);
+                    console.error(`Giving up on email ${id} to ${item.message.to} after ${item.attempts} attempts: ${error.message}`);
+                    await log.append({ type: 'abandoned', id, error: error.message, createdAt: new Date().toISOString() });
+                } else {
+                    item.nextAttemptAt = Date.now() + getRetryDelay(item.attempts);
+                    console.warn(`Email ${id} failed (attempt ${item.attempts}), retrying at ${new Date(item.nextAttemptAt).toISOString()}: ${error.message}`);
+                    await log.append({
+                        type: 'failed',
+                        id,
+                        attempts: item.attempts,
+                        error: error.message,
+                        nextAttemptAt: new Date(item.nextAttemptAt).toISOString(),
+                        createdAt: new Date().toISOString()
+                    });
+                }
+            }
+        }
+    } finally {
+        running = false;
+        scheduleNext();
+    }
+}
+
+/**
+ * Persist a message and send it as soon as possible
+ */
+async function enqueue(message) {
+    await load();
+
+    const queued = Object.assign({ id: crypto.randomUUID() }, message);
+    await log.append({ type: 'queued', id: queued.id, message: queued, createdAt: new Date().toISOString() });
+    pending.set(queued.id, { message: queued, attempts: 0, nextAttemptAt: Date.now() });
+
+    if (!running) {
+        scheduleNext();
+    }
+    return queued.id;
+}
+
+/**
+ * Check the transport settings and resume messages left over from a previous run
+ */
+async function start() {
+    getTransport();
+    await load();
+    scheduleNext();
+}
+
+module.exports = {
+    enqueue,
+    start
+};
@@ -0,0 +1,195 @@
+/**
+ * Minimal SMTP client
+ * Sends one message per connection with STARTTLS/implicit TLS and AUTH PLAIN (RFC 5321)
+ */
+
+'use strict';
+
+const net = require('net');
+const os = require('os');
+const tls = require('tls');
+
+/**
+ * Open a plain or TLS connection
+ */
+function open(settings) {
+    return new Promise((resolve, reject) => {
+        const socket = settings.secure
+            ? tls.connect({ host: settings.host, port: settings.port, servername: settings.host })
+            : net.connect({ host: settings.host, port: settings.port });
+
+        socket.once(settings.secure ? 'secureConnect' : 'connect', () => resolve(socket));
+        socket.once('error', reject);
+    });
+}
+
+/**
+ * Upgrade a plain connection after STARTTLS
+ */
+function upgrade(socket, host) {
+    return new Promise((resolve, reject) => {
+        const secureSocket = tls.connect({ socket, servername: host });
+        secureSocket.once('secureConnect', () => resolve(secureSocket));
+        secureSocket.once('error', reject);
+    });
+}
+
+/**
+ * Wrap a socket with a reader for (multi-line) SMTP replies
+ */
+function createConnection(socket, timeoutMs) {
+    let current = socket;
+    let buffer = '';
+    let lines = [];
+    let failure = null;
+    const replies = [];
+    const waiting = [];
+
+    function deliver(reply) {
+        const waiter = waiting.shift();
+        if (waiter) {
+            waiter.resolve(reply);
+        } else {
+            replies.push(reply);
+        }
+    }
+
+    function fail(error) {
+        failure = failure || error;
+        waiting.splice(0).forEach(waiter => waiter.reject(failure));
+    }
+
+    function onData(chunk) {
+        buffer += chunk.toString('utf8');
+
+        let index;
+        while ((index = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, index).replace(/\r$/, '');
+            buffer = buffer.slice(index + 1);
+            lines.push(line);
+
+            // "250-..." continues a reply, "250 ..." ends it
+            if (/^\d{3}(?: |$)/.test(line)) {
+                deliver({ code: Number(line.slice(0, 3)), lines: lines.map(item => item.slice(4)) });
+                lines = [];
+            }
+        }
+    }
+
+    const onError = error => fail(error);
+    const onClose = () => fail(new Error('SMTP connection closed unexpectedly'));
+    const onTimeout = () => current.destroy(new Error('SMTP connection timed out'));
+
+    function attach(target) {
+        current = target;
+        current.setTimeout(timeoutMs);
+        current.on('data', onData);
+        current.on('error', onError);
+        current.on('close', onClose);
+        current.on('timeout', onTimeout);
+    }
+
+    function detach() {
+        current.removeListener('data', onData);
+        current.removeListener('error', onError);
+        current.removeListener('close', onClose);
+        current.removeListener('timeout', onTimeout);
+    }
+
+    /**
+     * Wait for the next reply and check its code
+     */
+    function expect(codes, step) {
+        const next = replies.length > 0
+            ? Promise.resolve(replies.shift())
+            : failure ? Promise.reject(failure) : new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+
+        return next.then(reply => {
+            if (!codes.includes(reply.code)) {
+                throw new Error(`SMTP ${step} failed: ${reply.code} ${reply.lines.join(' ')}`);
+            }
+            return reply;
+        });
+    }
+
+    /**
+     * Send a command and check the reply
+     */
+    function command(line, codes) {
+        current.write(`${line}\r\n`);
+        return expect(codes, line.split(/[ :]/)[0]);
+    }
+
+    attach(socket);
+
+    return {
+        get socket() {
+            return current;
+        },
+        expect,
+        command,
+        write: text => current.write(text),
+        replaceSocket(target) {
+            detach();
+            attach(target);
+        },
+        close() {
+            detach();
+            // Errors after QUIT are irrelevant but must not crash the process
+            current.on('error', () => {});
+            current.end();
+        }
+    };
+}
+
+/**
+ * Whether an EHLO reply advertises an extension
+ */
+function supports(reply, extension) {
+    return reply.lines.some(line => line.toUpperCase().startsWith(extension));
+}
+
+/**
+ * Deliver a raw RFC 5322 message
+ * `envelope` is { from, to: [] } with bare addresses
+ */
+async function sendMail(settings, envelope, raw) {
+    const socket = await open(settings);
+    const connection = createConnection(socket, settings.timeoutMs);
+    const hostname = os.hostname() || 'localhost';
+
+    try {
+        await connection.expect([220], 'greeting');
+        const ehlo = await connection.command(`EHLO ${hostname}`, [250]);
+
+        if (!settings.secure && supports(ehlo, 'STARTTLS')) {
+            await connection.command('STARTTLS', [220]);
+            connection.replaceSocket(await upgrade(connection.socket, settings.host));
+            await connection.command(`EHLO ${hostname}`, [250]);
+        } else if (!settings.secure && settings.user) {
+            throw new Error('SMTP server does not offer STARTTLS; refusing to send credentials unencrypted');
+        }
+
+        if (settings.user) {
+            const credentials = Buffer.from(`\0${settings.user}\0${settings.pass}`).toString('base64');
+            await connection.command(`AUTH PLAIN ${credentials}`, [235]);
+        }
+
+        await connection.command(`MAIL FROM:<${envelope.from}>`, [250]);
+        for (const recipient of envelope.to) {
+            await connection.command(`RCPT TO:<${recipient}>`, [250, 251]);
+        }
+
+        await connection.command('DATA', [354]);
+        // Normalise line endings and escape lines starting with a dot
+        const body = raw.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+        connection.write(`${body}${body.endsWith('\r\n') ? '' : '\r\n'}.\r\n`);
+        await connection.expect([250], 'DATA');
+
+        await connection.command('QUIT', [221]).catch(() => {});
+    } finally {
+        connection.close();
+    }
+}
+
+module.exports = { sendMail };
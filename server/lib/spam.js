@@ -0,0 +1,164 @@
+/**
+ * Spam and abuse protection
+ * Signed form tokens, rate limiting, duplicate detection and message heuristics
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const config = require('../config');
+
+const settings = config.spam;
+
+// Words that rarely appear in a genuine speaking or coaching inquiry
+const SPAM_KEYWORDS = [
+    'viagra', 'cialis', 'casino', 'forex', 'bitcoin', 'crypto investment',
+    'backlinks', 'seo services', 'guest post', 'payday loan', 'escort',
+    'porn', 'click here', 'buy now', 'work from home', 'make money fast'
+];
+
+/**
+ * Create an in-memory fixed-window rate limiter
+ */
+function createRateLimiter({ max, windowMs }) {
+    const hits = new Map();
+
+    /**
+     * Record a hit for the key; returns false once the key is over the limit
+     */
+    function hit(key, now = Date.now()) {
+        if (hits.size > 1000) {
+            prune(now);
+        }
+
+        const entry = hits.get(key);
+        if (!entry || now - entry.start >= windowMs) {
+            hits.set(key, { start: now, count: 1 });
+            return true;
+        }
+        entry.count += 1;
+        return entry.count <= max;
+    }
+
+    /**
+     * Drop expired windows so the map does not grow without bound
+     */
+    function prune(now = Date.now()) {
+        hits.forEach((entry, key) => {
+            if (now - entry.start >= windowMs) {
+                hits.delete(key);
+            }
+        });
+    }
+
+    return { hit, prune };
+}
+
+/**
+ * Sign a token payload with the server secret
+ */
+function sign(payload) {
+    return crypto.createHmac('sha256', config.formSecret).update(payload).digest('base64url');
+}
+
+/**
+ * Issue a signed form token: "<issuedAt>.<nonce>.<signature>"
+ */
+function issueFormToken(now = Date.now()) {
+    const payload = `${now}.${crypto.randomBytes(12).toString('base64url')}`;
+    return `${payload}.${sign(payload)}`;
+}
+
+const usedNonces = new Map();
+
+/**
+ * Verify a form token
+ * Returns an empty string when valid, otherwise the rejection reason
+ */
+function verifyFormToken(token, now = Date.now()) {
+    if (typeof token !== 'string') return 'missing token';
+
+    const parts = token.split('.');
+    if (parts.length !== 3) return 'malformed token';
+
+    const [issuedAt, nonce, signature] = parts;
+    const expected = sign(`${issuedAt}.${nonce}`);
+    if (signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        return 'bad token signature';
+    }
+
+    const age = now - Number(issuedAt);
+    if (!Number.isFinite(age) || age < 0 || age > settings.tokenMaxAgeMs) return 'expired token';
+    if (age < settings.minSubmitMs) return 'submitted too quickly';
+    if (usedNonces.has(nonce)) return 'token reused';
+
+    return '';
+}
+
+/**
+ * Mark a verified token as spent so it cannot be replayed
+ * Returns false when it was already spent; checking and marking in one call
+ * lets a route claim the token before its first await, so concurrent posts
+ * with the same token cannot both get through
+ */
+function consumeFormToken(token, now = Date.now()) {
+    const nonce = String(token).split('.')[1];
+    if (usedNonces.has(nonce)) return false;
+
+    usedNonces.set(nonce, now);
+    usedNonces.forEach((usedAt, key) => {
+        if (now - usedAt > settings.tokenMaxAgeMs) {
+            usedNonces.delete(key);
+        }
+    });
+    return true;
+}
+
+/**
+ * Check message content against link-count and keyword heuristics
+ * Returns an empty string when the message looks genuine, otherwise the reason
+ */
+function inspectMessage(text) {
+    const value = String(text || '').toLowerCase();
+
+    const links = value.match(/https?:\/\/|www\.|\[url=|<a\s/g) || [];
+    if (links.length > settings.maxLinks) return `too many links (${links.length})`;
+
+    const keywords = SPAM_KEYWORDS.filter(keyword => value.includes(keyword));
+    if (keywords.length >= 2 || (keywords.length === 1 && links.length > 0)) {
+        return `spam keywords (${keywords.join(', ')})`;
+    }
+
+    return '';
+}
+
+const recentMessages = new Map();
+
+/**
+ * Detect the same email sending the same message twice within the window
+ */
+function isDuplicate(email, message, now = Date.now()) {
+    const key = crypto.createHash('sha256')
+        .update(`${email.toLowerCase()}\n${message.replace(/\s+/g, ' ').toLowerCase()}`)
+        .digest('hex');
+
+    recentMessages.forEach((seenAt, hash) => {
+        if (now - seenAt > settings.duplicateWindowMs) {
+            recentMessages.delete(hash);
+        }
+    });
+
+    if (recentMessages.has(key)) return true;
+    recentMessages.set(key, now);
+    return false;
+}
+
+module.exports = {
+    createRateLimiter,
+    issueFormToken,
+    verifyFormToken,
+    consumeFormToken,
+    inspectMessage,
+    isDuplicate
+};
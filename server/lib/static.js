@@ -0,0 +1,120 @@
+/**
+ * Static file serving
+ * Serves the HTML, CSS and JavaScript of the site from the project root
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { sendJson } = require('./http');
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.webmanifest': 'application/manifest+json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.ico': 'image/x-icon',
+    '.ics': 'text/calendar; charset=utf-8'
+};
+
+// Files the browser must check on every request, so a new build's service worker is found at once
+const REVALIDATED_PATHS = ['sw.js', 'manifest.webmanifest'];
+
+// What the browser may load: these top-level folders (the locale folders are
+// the languages after the default one, see config.locales), and at the top level only the pages
+// and the generated site files. Sources, server code, docs and dotfiles are not served.
+const PUBLIC_FOLDERS = ['assets', 'blog', 'css', 'data', 'js', ...config.locales.slice(1)];
+const PUBLIC_FILES = ['robots.txt', 'sitemap.xml', 'search-index.json', 'sw.js', 'manifest.webmanifest'];
+
+/**
+ * Whether a path relative to the site root may be served
+ */
+function isPublic(segments) {
+    if (segments.some(segment => segment.startsWith('.'))) return false;
+    if (segments.length > 1) return PUBLIC_FOLDERS.includes(segments[0]);
+    return PUBLIC_FILES.includes(segments[0]) || path.extname(segments[0]) === '.html';
+}
+
+/**
+ * Resolve a URL path to a file inside the site root, or null if it escapes it
+ */
+function resolvePath(pathname) {
+    let decoded;
+    try {
+        decoded = decodeURIComponent(pathname);
+    } catch (error) {
+        return null;
+    }
+
+    if (decoded.endsWith('/')) {
+        decoded += 'index.html';
+    }
+
+    const filePath = path.normalize(path.join(config.rootDir, decoded));
+    const relative = path.relative(config.rootDir, filePath);
+    const segments = relative.split(path.sep);
+
+    if (relative.startsWith('..') || path.isAbsolute(relative)) return null;
+    if (!isPublic(segments)) return null;
+
+    return filePath;
+}
+
+/**
+ * Serve a static file for GET/HEAD requests
+ */
+async function serveStatic(req, res, url) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        sendJson(res, 405, { success: false, error: 'Method not allowed' });
+        return;
+    }
+
+    const filePath = resolvePath(url.pathname);
+    let stats = null;
+    if (filePath) {
+        stats = await fs.promises.stat(filePath).catch(() => null);
+    }
+
+    if (!stats || !stats.isFile()) {
+        res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('Not found');
+        return;
+    }
+
+    const relative = path.relative(config.rootDir, filePath).split(path.sep).join('/');
+    sendFile(req, res, filePath, stats, REVALIDATED_PATHS.includes(relative) ? { 'Cache-Control': 'no-cache' } : undefined);
+}
+
+/**
+ * Stream a file that is known to exist, with optional extra headers
+ */
+function sendFile(req, res, filePath, stats, headers) {
+    res.writeHead(200, Object.assign({
+        'Content-Type': MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+        'Content-Length': stats.size
+    }, headers));
+
+    if (req.method === 'HEAD') {
+        res.end();
+        return;
+    }
+
+    fs.createReadStream(filePath).pipe(res);
+}
+
+module.exports = {
+    serveStatic,
+    sendFile
+};
@@ -0,0 +1,59 @@
+/**
+ * JSON-lines record store
+ * Each record is written as one JSON document per line in a file under the data directory
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+/**
+ * Create a store backed by the given file name
+ */
+function createStore(fileName) {
+    const filePath = path.join(config.dataDir, fileName);
+
+    /**
+     * Append a record to the end of the file
+     */
+    async function append(record) {
+        await fs.promises.mkdir(config.dataDir, { recursive: true });
+        await fs.promises.appendFile(filePath, JSON.stringify(record) + '\n', 'utf8');
+        return record;
+    }
+
+    /**
+     * Read every record, skipping lines that fail to parse
+     */
+    async function readAll() {
+        let raw;
+        try {
+            raw = await fs.promises.readFile(filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        return raw.split('\n')
+            .filter(line => line.trim().length > 0)
+            .map(line => {
+                try {
+                    return JSON.parse(line);
+                } catch (error) {
+                    console.warn(`Skipping malformed line in ${fileName}`);
+                    return null;
+                }
+            })
+            .filter(Boolean);
+    }
+
+    return {
+        filePath,
+        append,
+        readAll
+    };
+}
+
+module.exports = { createStore };
@@ -0,0 +1,56 @@
+/**
+ * Email templates
+ * Files in server/emails/ with {{placeholders}}; values are HTML-escaped in .html
+ * templates, and {{{triple}}} placeholders insert prepared markup as-is
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const TEMPLATE_DIR = path.join(__dirname, '..', 'emails');
+
+const cache = new Map();
+
+/**
+ * Escape text for HTML
+ */
+function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Read a template once per process
+ */
+async function loadTemplate(name) {
+    if (!cache.has(name)) {
+        cache.set(name, await fs.promises.readFile(path.join(TEMPLATE_DIR, name), 'utf8'));
+    }
+    return cache.get(name);
+}
+
+/**
+ * Render a template with the given values
+ */
+async function renderTemplate(name, values) {
+    const template = await loadTemplate(name);
+    const isHtml = name.endsWith('.html');
+
+    // One pass, so placeholders inside submitted values are never expanded
+    return template.replace(/\{\{\{\s*(\w+)\s*\}\}\}|\{\{\s*(\w+)\s*\}\}/g, (match, rawKey, key) => {
+        const value = values[rawKey || key];
+        const text = value === undefined || value === null ? '' : String(value);
+        return isHtml && !rawKey ? escapeHtml(text) : text;
+    });
+}
+
+module.exports = {
+    escapeHtml,
+    renderTemplate
+};
@@ -0,0 +1,290 @@
+/**
+ * Admin dashboard
+ * GET   /admin                      - dashboard page (server/admin/)
+ * POST  /api/admin/login            - exchanges ADMIN_PASSWORD for a session cookie
+ * POST  /api/admin/logout           - clears the session cookie
+ * GET   /api/admin/inquiries        - lists inquiries (?subject=&status=&q=)
+ * PATCH /api/admin/inquiries        - changes an inquiry's status or adds a note
+ * GET   /api/admin/inquiries.csv    - exports the filtered list as CSV
+ * GET   /api/admin/subscribers.csv  - exports the newsletter subscribers as CSV (?status=)
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const auth = require('../lib/auth');
+const { HttpError, readJsonBody, sendJson, getClientIp } = require('../lib/http');
+const { sendFile } = require('../lib/static');
+const { createStore } = require('../lib/store');
+const { toCsv } = require('../lib/csv');
+const { createRateLimiter } = require('../lib/spam');
+const ValidationSchema = require('../../js/validation-schema');
+const { inquiries } = require('./contact');
+const newsletter = require('./newsletter');
+
+// Status changes and notes, appended so inquiries.jsonl is never rewritten
+const activity = createStore('inquiry-activity.jsonl');
+
+const loginLimiter = createRateLimiter(config.adminLoginLimit);
+
+const ADMIN_DIR = path.join(__dirname, '..', 'admin');
+
+// Dashboard files by URL path
+const PAGES = {
+    '/admin': 'index.html',
+    '/admin/': 'index.html',
+    '/admin/admin.js': 'admin.js',
+    '/admin/admin.css': 'admin.css'
+};
+
+// Allowed next statuses; closed leads can be reopened as replied
+const STATUS_FLOW = {
+    new: ['replied'],
+    replied: ['won', 'lost'],
+    won: ['replied'],
+    lost: ['replied']
+};
+
+const MAX_NOTE_LENGTH = 2000;
+
+// Fields searched by ?q=
+const SEARCH_FIELDS = ['name', 'email', 'phone', 'message', 'eventName', 'eventLocation', 'currentRole'];
+
+/**
+ * Inquiries with their current status and notes applied, newest first
+ */
+async function loadInquiries() {
+    const [records, entries] = await Promise.all([inquiries.readAll(), activity.readAll()]);
+
+    const byId = new Map();
+    records.forEach(record => {
+        byId.set(record.id, Object.assign({}, record, {
+            status: 'new',
+            notes: [],
+            updatedAt: record.receivedAt
+        }));
+    });
+
+    entries.forEach(entry => {
+        const inquiry = byId.get(entry.inquiryId);
+        if (!inquiry) return;
+
+        if (entry.type === 'status') {
+            inquiry.status = entry.status;
+        } else if (entry.type === 'note') {
+            inquiry.notes.push({ text: entry.text, createdAt: entry.createdAt });
+        }
+        inquiry.updatedAt = entry.createdAt;
+    });
+
+    return Array.from(byId.values()).reverse();
+}
+
+/**
+ * Number of inquiries in each status
+ */
+function countByStatus(list) {
+    const counts = {};
+    Object.keys(STATUS_FLOW).forEach(status => {
+        counts[status] = list.filter(inquiry => inquiry.status === status).length;
+    });
+    return counts;
+}
+
+/**
+ * Apply the subject, status and search filters from the query string
+ */
+function filterInquiries(list, params) {
+    const subject = params.get('subject') || '';
+    const status = params.get('status') || '';
+    const query = (params.get('q') || '').trim().toLowerCase();
+
+    return list.filter(inquiry => {
+        if (subject && inquiry.subject !== subject) return false;
+        if (status && inquiry.status !== status) return false;
+        if (!query) return true;
+
+        const haystack = SEARCH_FIELDS.map(field => inquiry[field] || '')
+            .concat(inquiry.notes.map(note => note.text))
+            .join('\n')
+            .toLowerCase();
+        return haystack.includes(query);
+    });
+}
+
+/**
+ * Send a CSV document as a dated download, e.g. inquiries-2024-03-01.csv
+ */
+function sendCsv(res, name, payload) {
+    const date = new Date().toISOString().slice(0, 10);
+    res.writeHead(200, {
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${name}-${date}.csv"`,
+        'Content-Length': Buffer.byteLength(payload),
+        'Cache-Control': 'no-store'
+    });
+    res.end(payload);
+}
+
+/**
+ * Serve the dashboard page and its assets
+ */
+async function handlePage(req, res, url) {
+    const filePath = path.join(ADMIN_DIR, PAGES[url.pathname]);
+    const stats = await fs.promises.stat(filePath);
+
+    sendFile(req, res, filePath, stats, {
+        'Cache-Control': 'no-store',
+        'X-Robots-Tag': 'noindex, nofollow',
+        'X-Frame-Options': 'DENY'
+    });
+}
+
+/**
+ * Sign in with the admin password
+ */
+async function handleLogin(req, res) {
+    if (!auth.isEnabled()) {
+        throw new HttpError(503, 'The admin dashboard is disabled. Set ADMIN_PASSWORD to enable it.');
+    }
+
+    const ip = getClientIp(req);
+    if (!loginLimiter.hit(ip)) {
+        console.warn(`Admin login rate limit exceeded for ${ip}`);
+        throw new HttpError(429, 'Too many sign-in attempts. Please try again later.');
+    }
+
+    const body = await readJsonBody(req);
+    if (!auth.checkPassword(body.password)) {
+        console.warn(`Failed admin login from ${ip}`);
+        throw new HttpError(401, 'Incorrect password.');
+    }
+
+    res.setHeader('Set-Cookie', auth.sessionCookie(req, auth.issueSession()));
+    sendJson(res, 200, { success: true });
+}
+
+/**
+ * Sign out
+ */
+function handleLogout(req, res) {
+    res.setHeader('Set-Cookie', auth.sessionCookie(req, ''));
+    sendJson(res, 200, { success: true });
+}
+
+/**
+ * List inquiries matching the filters, with per-status counts for all of them
+ */
+async function handleList(req, res, url) {
+    auth.requireAdmin(req);
+
+    const all = await loadInquiries();
+
+    sendJson(res, 200, {
+        success: true,
+        total: all.length,
+        counts: countByStatus(all),
+        statusFlow: STATUS_FLOW,
+        inquiries: filterInquiries(all, url.searchParams)
+    });
+}
+
+/**
+ * Move an inquiry to its next status and/or add a note
+ * Responds with the updated inquiry and fresh status counts
+ */
+async function handleUpdate(req, res) {
+    auth.requireAdmin(req);
+
+    const body = await readJsonBody(req);
+    const inquiry = (await loadInquiries()).find(item => item.id === body.id);
+    if (!inquiry) {
+        throw new HttpError(404, 'Inquiry not found');
+    }
+
+    const status = ValidationSchema.normalize(body.status);
+    const note = ValidationSchema.normalize(body.note);
+    if (!status && !note) {
+        throw new HttpError(400, 'Nothing to update');
+    }
+
+    if (status && !(STATUS_FLOW[inquiry.status] || []).includes(status)) {
+        throw new HttpError(409, `Cannot move an inquiry from ${inquiry.status} to ${status}.`);
+    }
+    if (note.length > MAX_NOTE_LENGTH) {
+        throw new HttpError(422, `Notes must be less than ${MAX_NOTE_LENGTH} characters.`);
+    }
+
+    const createdAt = new Date().toISOString();
+    if (status) {
+        await activity.append({ inquiryId: inquiry.id, type: 'status', status, createdAt });
+    }
+    if (note) {
+        await activity.append({ inquiryId: inquiry.id, type: 'note', text: note, createdAt });
+    }
+
+    const all = await loadInquiries();
+    sendJson(res, 200, {
+        success: true,
+        total: all.length,
+        counts: countByStatus(all),
+        inquiry: all.find(item => item.id === inquiry.id)
+    });
+}
+
+/**
+ * Download the filtered inquiries as CSV
+ */
+async function handleExport(req, res, url) {
+    auth.requireAdmin(req);
+
+    const fields = Object.keys(ValidationSchema.contactSchema);
+    const headers = ['id', 'receivedAt', 'status', 'updatedAt'].concat(fields, ['notes']);
+
+    const rows = filterInquiries(await loadInquiries(), url.searchParams).map(inquiry => {
+        return [inquiry.id, inquiry.receivedAt, inquiry.status, inquiry.updatedAt]
+            .concat(fields.map(field => inquiry[field] || ''))
+            .concat(inquiry.notes.map(note => `[${note.createdAt}] ${note.text}`).join('\n'));
+    });
+
+    sendCsv(res, 'inquiries', toCsv(headers, rows));
+}
+
+/**
+ * Download the newsletter subscribers as CSV, optionally only one status
+ * (?status=active for the mailing list), with each one's unsubscribe link
+ */
+async function handleSubscriberExport(req, res, url) {
+    auth.requireAdmin(req);
+
+    const status = url.searchParams.get('status') || '';
+    const headers = ['email', 'status', 'source', 'lang', 'subscribedAt', 'confirmedAt', 'unsubscribedAt', 'unsubscribeUrl'];
+
+    const rows = (await newsletter.loadSubscribers())
+        .filter(subscriber => !status || subscriber.status === status)
+        .map(subscriber => [
+            subscriber.email,
+            subscriber.status,
+            subscriber.source,
+            subscriber.lang,
+            subscriber.subscribedAt,
+            subscriber.confirmedAt,
+            subscriber.unsubscribedAt,
+            subscriber.status === 'active' ? newsletter.getUnsubscribeUrl(subscriber) : ''
+        ]);
+
+    sendCsv(res, 'subscribers', toCsv(headers, rows));
+}
+
+module.exports = {
+    PAGES,
+    handlePage,
+    handleLogin,
+    handleLogout,
+    handleList,
+    handleUpdate,
+    handleExport,
+    handleSubscriberExport
+};
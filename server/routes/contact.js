@@ -0,0 +1,147 @@
+/**
+ * Contact endpoint
+ * GET  /api/form-token - issues a signed token the form must send back
+ * POST /api/contact    - validates and stores an inquiry from contact.html or the booking wizard
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const config = require('../config');
+const { readJsonBody, sendJson, getClientIp } = require('../lib/http');
+const { createStore } = require('../lib/store');
+const { createCalendarHold } = require('../lib/ics');
+const spam = require('../lib/spam');
+const notifications = require('../lib/notifications');
+const ValidationSchema = require('../../js/validation-schema');
+const Availability = require('../../js/availability');
+
+const inquiries = createStore('inquiries.jsonl');
+
+const ipLimiter = spam.createRateLimiter(config.spam.ipLimit);
+const emailLimiter = spam.createRateLimiter(config.spam.emailLimit);
+
+// Deliberately vague so bots learn nothing about which check failed
+const REJECTED_MESSAGE = 'Failed to send message. Please try again or contact us directly.';
+
+/**
+ * Reject a submission with a generic error and log the real reason
+ */
+function reject(res, status, reason, ip) {
+    console.warn(`Rejected inquiry from ${ip}: ${reason}`);
+    sendJson(res, status, { success: false, error: REJECTED_MESSAGE });
+}
+
+/**
+ * Read the booked/blocked dates; re-read on each request so edits apply immediately
+ */
+async function loadAvailability() {
+    try {
+        return JSON.parse(await fs.promises.readFile(config.availabilityFile, 'utf8'));
+    } catch (error) {
+        console.warn(`Could not read ${config.availabilityFile}: ${error.message}`);
+        return {};
+    }
+}
+
+/**
+ * Issue a form token
+ */
+function handleFormToken(req, res) {
+    sendJson(res, 200, { success: true, token: spam.issueFormToken() });
+}
+
+/**
+ * Handle an inquiry submission
+ */
+async function handleContact(req, res) {
+    const ip = getClientIp(req);
+    const body = await readJsonBody(req);
+
+    const tokenError = spam.verifyFormToken(body.formToken);
+    if (tokenError) {
+        reject(res, 403, tokenError, ip);
+        return;
+    }
+
+    if (ValidationSchema.normalize(body.website)) {
+        reject(res, 400, 'honeypot filled', ip);
+        return;
+    }
+
+    const { data, errors } = ValidationSchema.validate(ValidationSchema.contactSchema, body);
+
+    if (data.eventDate && !errors.eventDate) {
+        const status = Availability.getDateStatus(await loadAvailability(), data.eventDate);
+        if (status !== 'available') {
+            errors.eventDate = ValidationSchema.contactSchema.eventDate.messages.unavailable;
+        }
+    }
+
+    if (Object.keys(errors).length > 0) {
+        sendJson(res, 422, {
+            success: false,
+            error: 'Please correct the highlighted fields.',
+            errors
+        });
+        return;
+    }
+
+    // Only submissions that pass validation count, so fixing a highlighted field does not use up the limit
+    if (!ipLimiter.hit(ip)) {
+        reject(res, 429, 'IP rate limit exceeded', ip);
+        return;
+    }
+
+    if (!emailLimiter.hit(data.email.toLowerCase())) {
+        reject(res, 429, 'email rate limit exceeded', ip);
+        return;
+    }
+
+    const contentError = spam.inspectMessage(`${data.name}\n${data.message}`);
+    if (contentError) {
+        reject(res, 400, contentError, ip);
+        return;
+    }
+
+    if (spam.isDuplicate(data.email, data.message)) {
+        reject(res, 409, 'duplicate message', ip);
+        return;
+    }
+
+    // Claim the token before storing: a concurrent post may have passed verification with it meanwhile
+    if (!spam.consumeFormToken(body.formToken)) {
+        reject(res, 403, 'token reused', ip);
+        return;
+    }
+
+    const inquiry = {
+        id: crypto.randomUUID(),
+        receivedAt: new Date().toISOString(),
+        ...data
+    };
+
+    // Built before storing, so nothing after the inquiry is saved can fail the request
+    const calendar = inquiry.eventDate ? createCalendarHold(inquiry) : null;
+
+    await inquiries.append(inquiry);
+
+    // Emails are queued and retried in the background; they never fail the request
+    notifications.notifyInquiry(inquiry).catch(error => {
+        console.error(`Could not queue notifications for inquiry ${inquiry.id}:`, error);
+    });
+
+    const response = { success: true, id: inquiry.id };
+    if (calendar) {
+        response.calendar = calendar;
+    }
+
+    sendJson(res, 201, response);
+}
+
+module.exports = {
+    inquiries,
+    handleFormToken,
+    handleContact
+};
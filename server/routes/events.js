@@ -0,0 +1,69 @@
+/**
+ * Analytics endpoint
+ * POST /api/events - stores an event from the self-hosted analytics adapter (js/analytics.js)
+ *
+ * Only the event name, flat properties, page path and referrer are kept;
+ * no IP address, user agent or identifier is stored
+ */
+
+'use strict';
+
+const config = require('../config');
+const { HttpError, readJsonBody, sendJson, getClientIp } = require('../lib/http');
+const { createStore } = require('../lib/store');
+const { createRateLimiter } = require('../lib/spam');
+
+const events = createStore('events.jsonl');
+
+const ipLimiter = createRateLimiter(config.analytics.eventLimit);
+
+const EVENT_NAME = /^[a-z][a-z0-9_]{0,39}$/;
+const MAX_PROPS = 10;
+const MAX_VALUE_LENGTH = 300;
+
+/**
+ * Keep only short string, number and boolean properties
+ */
+function cleanProps(props) {
+    const clean = {};
+    if (!props || typeof props !== 'object' || Array.isArray(props)) return clean;
+
+    Object.keys(props).slice(0, MAX_PROPS).forEach(key => {
+        const value = props[key];
+        if (typeof value === 'number' || typeof value === 'boolean') {
+            clean[key.slice(0, 40)] = value;
+        } else if (typeof value === 'string') {
+            clean[key.slice(0, 40)] = value.slice(0, MAX_VALUE_LENGTH);
+        }
+    });
+    return clean;
+}
+
+/**
+ * Store one event
+ */
+async function handleEvent(req, res) {
+    if (!ipLimiter.hit(getClientIp(req))) {
+        throw new HttpError(429, 'Too many events');
+    }
+
+    const body = await readJsonBody(req);
+    if (typeof body.name !== 'string' || !EVENT_NAME.test(body.name)) {
+        throw new HttpError(422, 'Invalid event name');
+    }
+
+    await events.append({
+        name: body.name,
+        props: cleanProps(body.props),
+        path: String(body.path || '').slice(0, MAX_VALUE_LENGTH),
+        referrer: String(body.referrer || '').slice(0, MAX_VALUE_LENGTH),
+        receivedAt: new Date().toISOString()
+    });
+
+    sendJson(res, 202, { success: true });
+}
+
+module.exports = {
+    events,
+    handleEvent
+};
@@ -0,0 +1,274 @@
+/**
+ * Newsletter endpoint (double opt-in)
+ * POST /api/newsletter              - signs up an address and emails it a confirmation link
+ * GET  /api/newsletter/confirm      - activates the subscription (?token=) and redirects to newsletter.html
+ * GET  /api/newsletter/unsubscribe  - sends the unsubscribe link (?token=) to a confirmation on newsletter.html
+ * POST /api/newsletter/unsubscribe  - unsubscribes: from that confirmation, or from mail clients' one-click
+ *                                     unsubscribe button (RFC 8058)
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const config = require('../config');
+const { HttpError, readBody, readJsonBody, sendJson, redirect, getClientIp } = require('../lib/http');
+const { createStore } = require('../lib/store');
+const spam = require('../lib/spam');
+const notifications = require('../lib/notifications');
+const ValidationSchema = require('../../js/validation-schema');
+
+// Signups, confirmations and unsubscribes in order; the latest signup for an address wins
+const subscribers = createStore('newsletter.jsonl');
+
+const ipLimiter = spam.createRateLimiter(config.newsletter.ipLimit);
+const emailLimiter = spam.createRateLimiter(config.newsletter.emailLimit);
+
+// Deliberately vague so bots learn nothing about which check failed
+const REJECTED_MESSAGE = 'Could not subscribe right now. Please try again later.';
+
+// Languages with a newsletter.html; the first one is built at the site root
+const LOCALES = ValidationSchema.newsletterSchema.lang.enum;
+
+/**
+ * Reject a signup with a generic error and log the real reason
+ */
+function reject(res, status, reason, ip) {
+    console.warn(`Rejected newsletter signup from ${ip}: ${reason}`);
+    sendJson(res, status, { success: false, error: REJECTED_MESSAGE });
+}
+
+/**
+ * Random token for confirmation and unsubscribe links
+ */
+function createToken() {
+    return crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * Link that activates a pending subscription
+ */
+function getConfirmUrl(subscriber) {
+    return `${config.siteUrl}/api/newsletter/confirm?token=${subscriber.confirmToken}`;
+}
+
+/**
+ * One-click unsubscribe link for the emails sent to a subscriber
+ */
+function getUnsubscribeUrl(subscriber) {
+    return `${config.siteUrl}/api/newsletter/unsubscribe?token=${subscriber.unsubscribeToken}`;
+}
+
+/**
+ * newsletter.html in the subscriber's language, showing the outcome of a link
+ * `params` are added to the query, e.g. the token the unsubscribe confirmation posts back
+ */
+function getStatusPath(subscriber, status, params = {}) {
+    const lang = subscriber ? subscriber.lang : '';
+    const dir = lang && lang !== LOCALES[0] ? `${lang}/` : '';
+    const query = new URLSearchParams(Object.assign({ status }, params));
+    return `/${dir}newsletter.html?${query}`;
+}
+
+/**
+ * Current state of every address, most recent signup first:
+ * { email, status (pending, active or unsubscribed), source, lang,
+ *   subscribedAt, confirmedAt, unsubscribedAt, confirmToken, unsubscribeToken }
+ */
+async function loadSubscribers() {
+    const byEmail = new Map();
+
+    (await subscribers.readAll()).forEach(entry => {
+        if (entry.type === 'subscribe') {
+            // A new signup starts over with fresh tokens and moves to the end
+            byEmail.delete(entry.email);
+            byEmail.set(entry.email, {
+                email: entry.email,
+                status: 'pending',
+                source: entry.source || '',
+                lang: entry.lang || '',
+                subscribedAt: entry.createdAt,
+                confirmedAt: '',
+                unsubscribedAt: '',
+                confirmToken: entry.confirmToken,
+                unsubscribeToken: entry.unsubscribeToken
+            });
+            return;
+        }
+
+        const subscriber = byEmail.get(entry.email);
+        if (!subscriber) return;
+
+        if (entry.type === 'confirm') {
+            subscriber.status = 'active';
+            subscriber.confirmedAt = entry.createdAt;
+        } else if (entry.type === 'unsubscribe') {
+            subscriber.status = 'unsubscribed';
+            subscriber.unsubscribedAt = entry.createdAt;
+        }
+    });
+
+    return Array.from(byEmail.values()).reverse();
+}
+
+/**
+ * Handle a signup from one of the newsletter forms
+ */
+async function handleSubscribe(req, res) {
+    const ip = getClientIp(req);
+    const body = await readJsonBody(req);
+
+    const tokenError = spam.verifyFormToken(body.formToken);
+    if (tokenError) {
+        reject(res, 403, tokenError, ip);
+        return;
+    }
+
+    if (ValidationSchema.normalize(body.website)) {
+        reject(res, 400, 'honeypot filled', ip);
+        return;
+    }
+
+    const { data, errors } = ValidationSchema.validate(ValidationSchema.newsletterSchema, body);
+    if (Object.keys(errors).length > 0) {
+        sendJson(res, 422, {
+            success: false,
+            error: 'Please correct the highlighted fields.',
+            errors
+        });
+        return;
+    }
+
+    // Only signups that pass validation count, so fixing a typo does not use up the limit
+    if (!ipLimiter.hit(ip)) {
+        reject(res, 429, 'IP rate limit exceeded', ip);
+        return;
+    }
+
+    const email = data.email.toLowerCase();
+    if (!emailLimiter.hit(email)) {
+        reject(res, 429, 'email rate limit exceeded', ip);
+        return;
+    }
+
+    // Claim the token before the first await, so a replayed or concurrent post cannot reuse it
+    if (!spam.consumeFormToken(body.formToken)) {
+        reject(res, 403, 'token reused', ip);
+        return;
+    }
+
+    // Confirmed addresses get the same answer as new ones, so the form does not reveal who subscribed
+    const current = (await loadSubscribers()).find(subscriber => subscriber.email === email);
+    if (current && current.status === 'active') {
+        sendJson(res, 202, { success: true });
+        return;
+    }
+
+    // New, pending (the confirmation email is sent again) or previously unsubscribed
+    const signup = {
+        type: 'subscribe',
+        email,
+        source: data.source,
+        lang: data.lang,
+        confirmToken: createToken(),
+        unsubscribeToken: createToken(),
+        createdAt: new Date().toISOString()
+    };
+    await subscribers.append(signup);
+
+    // Emails are queued and retried in the background; they never fail the request
+    notifications.notifyNewsletterSignup(signup, getConfirmUrl(signup)).catch(error => {
+        console.error(`Could not queue the newsletter confirmation for ${email}:`, error);
+    });
+
+    sendJson(res, 202, { success: true });
+}
+
+/**
+ * Activate a subscription from the link in the confirmation email
+ */
+async function handleConfirm(req, res, url) {
+    const token = url.searchParams.get('token');
+    const subscriber = token ? (await loadSubscribers()).find(item => item.confirmToken === token) : null;
+
+    if (!subscriber || subscriber.status === 'unsubscribed') {
+        redirect(res, getStatusPath(subscriber, 'invalid'));
+        return;
+    }
+
+    if (subscriber.status === 'pending') {
+        if (Date.now() - Date.parse(subscriber.subscribedAt) > config.newsletter.confirmMaxAgeMs) {
+            redirect(res, getStatusPath(subscriber, 'invalid'));
+            return;
+        }
+
+        await subscribers.append({ type: 'confirm', email: subscriber.email, createdAt: new Date().toISOString() });
+
+        notifications.notifyNewsletterConfirmed(subscriber, getUnsubscribeUrl(subscriber)).catch(error => {
+            console.error(`Could not queue the newsletter welcome for ${subscriber.email}:`, error);
+        });
+    }
+
+    // Opening the link a second time shows the same page
+    redirect(res, getStatusPath(subscriber, 'confirmed'));
+}
+
+/**
+ * Unsubscribe the address an unsubscribe token belongs to
+ * Resolves to the subscriber, or null for an unknown token
+ */
+async function unsubscribe(token) {
+    const subscriber = token ? (await loadSubscribers()).find(item => item.unsubscribeToken === token) : null;
+    if (!subscriber) return null;
+
+    if (subscriber.status !== 'unsubscribed') {
+        await subscribers.append({ type: 'unsubscribe', email: subscriber.email, createdAt: new Date().toISOString() });
+    }
+    return subscriber;
+}
+
+/**
+ * Unsubscribe link opened in a browser
+ * Only asks for confirmation: mail scanners and link prefetchers follow GET
+ * links, and must not unsubscribe anyone
+ */
+async function handleUnsubscribe(req, res, url) {
+    const token = url.searchParams.get('token');
+    const subscriber = token ? (await loadSubscribers()).find(item => item.unsubscribeToken === token) : null;
+
+    if (!subscriber) {
+        redirect(res, getStatusPath(null, 'invalid'));
+    } else if (subscriber.status === 'unsubscribed') {
+        redirect(res, getStatusPath(subscriber, 'unsubscribed'));
+    } else {
+        redirect(res, getStatusPath(subscriber, 'unsubscribe', { token }));
+    }
+}
+
+/**
+ * Unsubscribe, posted by the confirmation on newsletter.html (token in the form,
+ * answered with the outcome page) or by the unsubscribe button of mail clients
+ * (token in the List-Unsubscribe URL, body "List-Unsubscribe=One-Click")
+ */
+async function handleConfirmUnsubscribe(req, res, url) {
+    const form = new URLSearchParams(await readBody(req));
+    const subscriber = await unsubscribe(url.searchParams.get('token') || form.get('token'));
+
+    if (form.get('List-Unsubscribe') === 'One-Click') {
+        if (!subscriber) {
+            throw new HttpError(404, 'Unknown unsubscribe link');
+        }
+        sendJson(res, 200, { success: true });
+        return;
+    }
+
+    redirect(res, getStatusPath(subscriber, subscriber ? 'unsubscribed' : 'invalid'));
+}
+
+module.exports = {
+    loadSubscribers,
+    getUnsubscribeUrl,
+    handleSubscribe,
+    handleConfirm,
+    handleUnsubscribe,
+    handleConfirmUnsubscribe
+};
@@ -0,0 +1,235 @@
+/**
+ * Service worker
+ * Built into /sw.js by build/build.js, which puts VERSION, PRECACHE_URLS,
+ * DATA_URLS and OFFLINE_PAGES in front of this file (see build/lib/pwa.js).
+ *
+ * - The main pages, search indexes, CSS, JavaScript and icons are cached on
+ *   install, one cache per build, and served from the cache, so those pages
+ *   always run with the styles and scripts of their own build
+ * - Data files (the speaking availability) are cached on install too, but
+ *   fetched from the network first since they change without a new build
+ * - Other pages are fetched from the network first and kept for offline
+ *   visits; without a connection the visitor gets the cached copy, or the
+ *   offline page of their language
+ * - Images are served from the cache while a fresh copy is fetched
+ *   (stale-while-revalidate)
+ * - API calls and other requests are left to the browser
+ *
+ * A new build installs next to the old one and waits: js/pwa.js asks the
+ * visitor to refresh and then posts SKIP_WAITING to take over.
+ */
+
+const PRECACHE = `precache-${VERSION}`;
+const PAGES_CACHE = 'pages';
+const IMAGES_CACHE = 'images';
+const DATA_CACHE = 'data';
+
+// Pages kept for offline visits beyond the precached ones, and images
+const MAX_PAGES = 30;
+const MAX_IMAGES = 60;
+
+// How long a page or data request may take before the cached copy is used
+const NETWORK_TIMEOUT_MS = 4000;
+
+const scopeUrl = new URL(self.registration.scope);
+
+/**
+ * Absolute URL of a path relative to the site root
+ */
+function toUrl(path) {
+    return new URL(path, scopeUrl).href;
+}
+
+const precachedUrls = new Set(PRECACHE_URLS.map(toUrl));
+const dataUrls = new Set(DATA_URLS.map(toUrl));
+
+/**
+ * Cache key of a URL: no query or hash, and a folder is its index.html
+ */
+function getCacheKey(url) {
+    const key = new URL(url);
+    key.search = '';
+    key.hash = '';
+    if (key.pathname.endsWith('/')) {
+        key.pathname += 'index.html';
+    }
+    return key.href;
+}
+
+/**
+ * Drop the oldest entries of a cache beyond a limit
+ */
+async function trimCache(name, maxEntries) {
+    const cache = await caches.open(name);
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}
+
+/**
+ * Offline page in the language of a URL (es/… gets es/offline.html)
+ */
+function getOfflinePage(url) {
+    const path = url.href.slice(scopeUrl.href.length);
+    const dir = Object.keys(OFFLINE_PAGES)
+        .filter(prefix => path.startsWith(prefix))
+        .sort((a, b) => b.length - a.length)[0];
+    return toUrl(OFFLINE_PAGES[dir || '']);
+}
+
+/**
+ * Reject after a delay, to race against a slow network
+ */
+function timeout(ms) {
+    return new Promise((resolve, reject) => setTimeout(() => reject(new Error('Network timeout')), ms));
+}
+
+/**
+ * Keep a page for offline visits
+ * Pages go in their own cache so a newer page never lands in an older build's precache
+ */
+async function storePage(key, response) {
+    if (!response.ok || response.type !== 'basic') return;
+    const cache = await caches.open(PAGES_CACHE);
+    await cache.put(key, response);
+    await trimCache(PAGES_CACHE, MAX_PAGES);
+}
+
+/**
+ * Most recent copy of a page: the one last visited, then the precached one
+ */
+async function matchPage(key) {
+    const visited = await caches.match(key, { cacheName: PAGES_CACHE });
+    return visited || caches.match(key, { cacheName: PRECACHE });
+}
+
+/**
+ * Precached pages from this build; network first for the others, falling
+ * back to the cached copy and then to the offline page
+ */
+async function handleNavigation(event) {
+    const url = new URL(event.request.url);
+    const key = getCacheKey(url);
+
+    // A newer deploy of the page would load this build's CSS and JavaScript;
+    // it is shown once the visitor accepts the refresh and its worker takes over
+    if (precachedUrls.has(key)) {
+        const precached = await caches.match(key, { cacheName: PRECACHE });
+        if (precached) return precached;
+    }
+
+    const network = fetch(event.request);
+
+    try {
+        const response = await Promise.race([network, timeout(NETWORK_TIMEOUT_MS)]);
+        event.waitUntil(storePage(key, response.clone()));
+        return response;
+    } catch (error) {
+        // A slow network may still answer; keep that copy for next time
+        event.waitUntil(network.then(response => storePage(key, response)).catch(() => {}));
+
+        const cached = await matchPage(key);
+        if (cached) return cached;
+
+        const offlineUrl = getOfflinePage(url);
+        if (await caches.match(offlineUrl, { cacheName: PRECACHE })) {
+            // The offline page offers to retry the address the visitor asked for
+            return Response.redirect(`${offlineUrl}?from=${encodeURIComponent(url.href)}`, 302);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Cache first for the files of the current build
+ */
+async function handlePrecached(request) {
+    const cached = await caches.match(getCacheKey(request.url), { cacheName: PRECACHE });
+    return cached || fetch(request);
+}
+
+/**
+ * Network first for data files, falling back to the last copy fetched
+ */
+async function handleData(event) {
+    const key = getCacheKey(event.request.url);
+    const network = fetch(event.request);
+
+    try {
+        const response = await Promise.race([network, timeout(NETWORK_TIMEOUT_MS)]);
+        if (response.ok) {
+            const copy = response.clone();
+            event.waitUntil(caches.open(DATA_CACHE).then(cache => cache.put(key, copy)));
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(key, { cacheName: DATA_CACHE });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Stale-while-revalidate for images, including those from other sites
+ */
+async function handleImage(event) {
+    const cache = await caches.open(IMAGES_CACHE);
+    const cached = await cache.match(event.request);
+
+    const update = fetch(event.request).then(async response => {
+        // Opaque (cross-origin) responses have status 0 but are still usable
+        if (response.ok || response.type === 'opaque') {
+            await cache.put(event.request, response.clone());
+            await trimCache(IMAGES_CACHE, MAX_IMAGES);
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(update.catch(() => {}));
+        return cached;
+    }
+    return update;
+}
+
+self.addEventListener('install', event => {
+    // `reload` skips the HTTP cache so the new build is stored, not stale copies
+    const reload = path => new Request(toUrl(path), { cache: 'reload' });
+    event.waitUntil(Promise.all([
+        caches.open(PRECACHE).then(cache => cache.addAll(PRECACHE_URLS.map(reload))),
+        caches.open(DATA_CACHE).then(cache => cache.addAll(DATA_URLS.map(reload)))
+    ]));
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(caches.keys()
+        .then(names => Promise.all(names
+            .filter(name => name.startsWith('precache-') && name !== PRECACHE)
+            .map(name => caches.delete(name))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener('message', event => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    const sameOrigin = url.origin === scopeUrl.origin;
+
+    if (sameOrigin && url.pathname.startsWith(`${scopeUrl.pathname}api/`)) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(handleNavigation(event));
+    } else if (sameOrigin && precachedUrls.has(getCacheKey(url))) {
+        event.respondWith(handlePrecached(request));
+    } else if (sameOrigin && dataUrls.has(getCacheKey(url))) {
+        event.respondWith(handleData(event));
+    } else if (request.destination === 'image') {
+        event.respondWith(handleImage(event));
+    }
+});